@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+const { main } = require('../src/agent');
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+process.once('SIGTERM', () => controller.abort());
+
+main(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { main } = require('../src/cli');
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+main(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+  process.exitCode = code;
+});
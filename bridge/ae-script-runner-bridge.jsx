@@ -0,0 +1,120 @@
+/**
+ * AE Script Runner bridge.
+ *
+ * Starts a small TCP listener inside After Effects so VS Code can send
+ * scripts to an already running instance without spawning osascript or
+ * AfterFX.exe for every run. Run it once per After Effects session, either
+ * with "AE: Start Bridge in After Effects" or by placing it in the
+ * After Effects `Scripts/Startup` folder.
+ *
+ * Requests are only accepted when they carry the token stored in
+ * `~/.ae-script-runner/bridge-token`, which the extension creates.
+ * See the "Bridge" section of the README for the protocol.
+ */
+(function () {
+  var port = $.global.AE_SCRIPT_RUNNER_BRIDGE_PORT || 48730;
+
+  var existing = $.global.__aeScriptRunnerBridge;
+  if (existing) {
+    existing.stop();
+  }
+
+  var tokenFile = new File('~/.ae-script-runner/bridge-token');
+  if (!tokenFile.exists || !tokenFile.open('r')) {
+    throw new Error('AE Script Runner bridge: token file not found at ' + tokenFile.fsName + '. Run "AE: Start Bridge in After Effects" from VS Code once to create it.');
+  }
+  var token = tokenFile.read().replace(/\s+$/, '');
+  tokenFile.close();
+
+  var server = new Socket();
+  if (!server.listen(port, 'UTF-8')) {
+    throw new Error('AE Script Runner bridge could not listen on port ' + port + ': ' + server.error);
+  }
+
+  function quote(value) {
+    var s = String(value);
+    var out = '"';
+    for (var i = 0; i < s.length; i++) {
+      var c = s.charAt(i);
+      var code = s.charCodeAt(i);
+      if (c === '"' || c === '\\') {
+        out += '\\' + c;
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        out += '\\u' + '0000'.substr(hex.length) + hex;
+      } else {
+        out += c;
+      }
+    }
+    return out + '"';
+  }
+
+  // Requests start with the token so they can be rejected before being parsed
+  var prefix = '{"token":' + quote(token) + ',';
+
+  function respond(conn, id, body) {
+    conn.writeln('{"id":' + (id === undefined || id === null ? 'null' : quote(id)) + ',' + body + '}');
+  }
+
+  var bridge = {
+    port: port,
+    server: server,
+    taskId: 0
+  };
+
+  bridge.handle = function (conn) {
+    conn.timeout = 5;
+    var line = conn.readln();
+    if (line.indexOf(prefix) !== 0) {
+      respond(conn, null, '"ok":false,"error":"Unauthorized"');
+      return;
+    }
+
+    var request;
+    try {
+      request = eval('(' + line + ')');
+    } catch (e) {
+      respond(conn, null, '"ok":false,"error":' + quote('Invalid request: ' + e.message));
+      return;
+    }
+
+    try {
+      if (request.method === 'ping') {
+        respond(conn, request.id, '"ok":true,"version":' + quote(app.version));
+      } else if (request.method === 'evalFile') {
+        // Harness scripts evaluate to their JSON report; anything else has no report
+        var report = $.evalFile(new File(request.path));
+        respond(conn, request.id, '"ok":true,"report":' + (typeof report === 'string' && report.length > 0 ? report : 'null'));
+      } else if (request.method === 'stop') {
+        respond(conn, request.id, '"ok":true');
+        bridge.stop();
+      } else {
+        respond(conn, request.id, '"ok":false,"error":' + quote('Unknown method: ' + request.method));
+      }
+    } catch (e) {
+      respond(conn, request.id, '"ok":false,"error":' + quote(e.message));
+    }
+  };
+
+  bridge.tick = function () {
+    var conn = server.poll();
+    while (conn) {
+      try {
+        bridge.handle(conn);
+      } finally {
+        conn.close();
+      }
+      conn = server.poll();
+    }
+  };
+
+  bridge.stop = function () {
+    app.cancelTask(bridge.taskId);
+    server.close();
+    $.global.__aeScriptRunnerBridge = null;
+  };
+
+  $.global.__aeScriptRunnerBridge = bridge;
+  bridge.taskId = app.scheduleTask('if ($.global.__aeScriptRunnerBridge) { $.global.__aeScriptRunnerBridge.tick(); }', 100, true);
+  return 'AE Script Runner bridge listening on port ' + port;
+})();
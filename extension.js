@@ -1,32 +1,121 @@
 const vscode = require('vscode');
-const cp = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const {
+  buildUndoScript,
+  toExtendScriptString,
+  toExtendScriptPath,
+  createHarness,
+  waitForResult
+} = require('./src/harness');
+const { findBlockAt } = require('./src/blocks');
+const { hasIncludes, bundleSource } = require('./src/bundler');
+const {
+  buildCommand,
+  executeCommand,
+  detectInstallations,
+  getInstallationFolders
+} = require('./src/transports');
+const {
+  DEFAULT_BRIDGE_PORT,
+  BRIDGE_SCRIPT_PATH,
+  ensureBridgeToken,
+  sendBridgeRequest,
+  evalFileOverBridge,
+  pingBridge,
+  isBridgeUnavailable
+} = require('./src/bridge');
+const { bundleIdToDisplayName, probeApplication, readPlistValue } = require('./src/transports/macJxa');
+const { getWindowsAdobeFolders } = require('./src/transports/windowsAfterFx');
+const { getInstallationsStamp, createInstallationCache } = require('./src/installations');
+const { parseTargetDirective, matchInstallation, withTargetOverride } = require('./src/targets');
+const { coerceParamValue } = require('./src/params');
+const { RUN_PROFILES_FILE, loadRunProfiles } = require('./src/profiles');
+const { ORPHAN_AGE_MS, writeRunFile, sweepRunFiles } = require('./src/runFiles');
+const { createRunScheduler } = require('./src/scheduler');
+const { createRunHistory } = require('./src/history');
+const { createRunQueue, isCancellation } = require('./src/runQueue');
+const { getJsxbinOutputPath, compileJsxbin } = require('./src/jsxbin');
+const { lintExtendScript, collectFixes } = require('./src/es3Lint');
+const { TYPE_DEFINITION_FILES, TYPES_FOLDER, buildJsconfig } = require('./src/typings');
+const { TEST_FILE_GLOB, discoverTests, buildTestRunnerScript, parseTestReport } = require('./src/testing');
+const { readScriptHeader } = require('./src/runner');
+const { REMOTE_TARGET_PREFIX, selectRemoteTarget, pingRemote, runRemote } = require('./src/remote');
+const { EXIT_CODES, getExitCode, printOutcome } = require('./src/outcome');
+const { buildProjectQueryScript, parseProjectReport, getFolderItems, markUniqueNames, buildReferencePath } = require('./src/projectTree');
+
+/** Output channel receiving script results, errors and `$.writeln` output. */
+let outputChannel;
+/** Diagnostics for errors thrown by scripts run in After Effects. */
+let diagnosticCollection;
+/** Diagnostics for syntax and built-ins the ExtendScript (ES3) engine does not support. */
+let lintDiagnostics;
+/** Cache of detected After Effects installations, persisted in `globalState`. */
+let installationCache;
+/** Status bar item showing which After Effects the active file runs against. */
+let targetStatusBarItem;
+/** Status bar item showing the active run profile. */
+let runProfileStatusBarItem;
+/** Queue that makes runs wait for each other instead of overlapping. */
+let runQueue;
+/** History of runs in this workspace, shown in the "AE Runs" view. */
+let runHistory;
+/** Status bar item showing the watch mode state. */
+let watchStatusBarItem;
+/** The active watch, or null when watch mode is off. */
+let activeWatch = null;
+/** Directory in the extension's storage that temporary run files are written to. */
+let runFilesDirectory;
+/** Undo group label and target of the last run wrapped in an undo group. */
+let lastUndoGroup = null;
+/** Workspace storage remembering the last parameter values per script and the active run profile. */
+let workspaceState;
+/** Secret storage holding the tokens of remote targets. */
+let secretStorage;
+
+/** Key the name of the active run profile is stored under in `workspaceState`. */
+const ACTIVE_RUN_PROFILE_KEY = 'aeScriptRunner.activeRunProfile';
+/** Prefix of the keys remote target tokens are stored under in `secretStorage`, followed by the target's name. */
+const REMOTE_TOKEN_KEY_PREFIX = 'aeScriptRunner.remoteToken.';
+
+/**
+ * Helpers passed to transports when building commands.
+ *
+ * @returns {{getInstallations: () => Promise<Object[]>}} Transport services
+ */
+function getTransportServices() {
+  return { getInstallations: () => installationCache.get() };
+}
 
 /**
  * Resolve the absolute path of a file to execute.
- * If a path is provided in the configuration it will be used. Otherwise the
- * currently open document is used. Unsaved documents are written to a
+ * If a run profile is active, its entry file is used together with its setup
+ * and teardown scripts, target and arguments. Otherwise, if a path is
+ * provided in the configuration it will be used, and failing that the
+ * currently open document. Unsaved documents are written to a
  * temporary file. For saved files, the temp file is created in the same
  * directory as the original file. For untitled files, the temp file is
  * created using the `aeScriptRunner.tempFile` setting.
  *
+ * Scripts containing `#include` / `//@include` directives are flattened into
+ * a single temporary script when `aeScriptRunner.bundleIncludes` is enabled.
+ *
  * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
- * @returns {Promise<{path: string, isTemp: boolean}>} Object with absolute path to the script file and whether it's a temporary file
+ * @returns {Promise<{path: string, isTemp: boolean, sourceUri: vscode.Uri, target: string|null, params: Object[], entryFile?: string, lineMap?: {file: string, line: number}[], profile?: string, setup?: string[], teardown?: string[], args?: Object}>} Object with absolute path to the script file, whether it's a temporary file, the URI of the source it was created from, its `@ae-target` pin and `@ae-param` declarations, for bundled scripts the origin of each line and, for run profiles, the profile's settings
  */
 async function resolveScriptPath(config) {
-  const executeFile = config.get('executeFile');
-  const workspaceFolders = vscode.workspace.workspaceFolders;
+  const profile = getActiveRunProfile(config);
+  if (profile) {
+    return resolveProfileScript(profile, config);
+  }
 
   // If a file path is configured, resolve it relative to the first workspace folder
+  const executeFile = config.get('executeFile');
   if (executeFile && executeFile.trim().length > 0) {
-    let candidate = executeFile;
-    if (!path.isAbsolute(candidate)) {
-      const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : process.cwd();
-      candidate = path.join(base, candidate);
-    }
-    return { path: path.resolve(candidate), isTemp: false };
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : process.cwd();
+    return resolveFileScript(path.resolve(base, executeFile), config);
   }
 
   // Use the active text document
@@ -35,44 +124,190 @@ async function resolveScriptPath(config) {
     throw new Error('No active editor found. Open a JSX/JS file before running the command.');
   }
   const document = editor.document;
+  const entryFile = documentEntryPath(document);
+  const header = readScriptHeader(document.getText());
+  const bundle = bundleIfNeeded(document.getText(), entryFile, config);
+
   // Save the document if required
   const saveBeforeRun = config.get('saveBeforeRun');
   if (!document.isUntitled && document.isDirty && saveBeforeRun) {
     try {
       // Try to save the document silently
       await document.save();
-      if (!document.isDirty) {
-        return { path: document.fileName, isTemp: false };
-      }
     } catch (err) {
       // If save fails, we'll fall through to use temporary file
       console.log('Save failed, using temporary file instead:', err.message);
     }
   }
+
+  // Saved files run from their own path, so relative includes and $.fileName keep working
+  if (!document.isUntitled && !document.isDirty && !bundle) {
+    return { path: document.fileName, isTemp: false, sourceUri: document.uri, ...header };
+  }
+
+  if (bundle) {
+    const tempFile = writeTempScript(document.fileName, bundle.code);
+    return { path: tempFile, isTemp: true, sourceUri: document.uri, ...header, entryFile, lineMap: bundle.lineMap };
+  }
+
   // Otherwise write the contents to a temporary file
-  let tempFile;
-  let tempDir;
-  
-  // If the document has been saved before (not untitled), use its directory
-  if (!document.isUntitled && document.fileName) {
-    tempDir = path.dirname(document.fileName);
-    tempFile = path.join(tempDir, 'ae-temp-script.jsx');
-  } else {
-    // For untitled documents, fall back to workspace or temp directory
-    let configTempFile = config.get('tempFile');
-    // Expand ${workspaceFolder} placeholder
-    if (configTempFile.includes('${workspaceFolder}')) {
-      const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : os.tmpdir();
-      configTempFile = configTempFile.replace('${workspaceFolder}', base);
+  const tempFile = writeTempScript(document.fileName, document.getText());
+  return { path: tempFile, isTemp: true, sourceUri: document.uri, ...header };
+}
+
+/**
+ * Resolve the entry file of a run profile together with the profile's setup
+ * and teardown scripts, target and arguments.
+ *
+ * @param {Object} profile Run profile, see `loadRunProfiles`
+ * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
+ * @returns {Object} The resolved script, see `resolveScriptPath`
+ */
+function resolveProfileScript(profile, config) {
+  const script = resolveFileScript(profile.entry, config);
+  return {
+    ...script,
+    target: profile.target || script.target,
+    profile: profile.name,
+    setup: profile.setup,
+    teardown: profile.teardown,
+    args: profile.args
+  };
+}
+
+/**
+ * Resolve a script file on disk, bundling its includes when needed.
+ *
+ * @param {string} filePath Absolute path of the script
+ * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
+ * @returns {{path: string, isTemp: boolean, sourceUri: vscode.Uri, target: string|null, params: Object[], entryFile?: string, lineMap?: {file: string, line: number}[]}} The resolved script, see `resolveScriptPath`
+ */
+function resolveFileScript(filePath, config) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Script not found: ${resolved}`);
+  }
+  const sourceUri = vscode.Uri.file(resolved);
+  const source = readScriptSource(resolved);
+  const header = readScriptHeader(source);
+  const bundle = bundleIfNeeded(source, resolved, config);
+  if (bundle) {
+    const tempFile = writeTempScript(resolved, bundle.code);
+    return { path: tempFile, isTemp: true, sourceUri, ...header, entryFile: resolved, lineMap: bundle.lineMap };
+  }
+  return { path: resolved, isTemp: false, sourceUri, ...header };
+}
+
+/**
+ * Write script content to a new, uniquely named temporary file in the
+ * extension's storage, so runs never overwrite each other or leave files in
+ * the workspace.
+ *
+ * @param {string} name Name of the file the content belongs to, used to make the temp file recognisable
+ * @param {string} content Script content to write
+ * @returns {string} Absolute path to the temporary file
+ */
+function writeTempScript(name, content) {
+  return writeRunFile(runFilesDirectory, name, content);
+}
+
+/**
+ * Read a script, preferring the unsaved contents of an open editor over the
+ * file on disk.
+ *
+ * @param {string} filePath Absolute path of the script
+ * @returns {string} Script source
+ */
+function readScriptSource(filePath) {
+  const resolved = path.resolve(filePath);
+  const open = vscode.workspace.textDocuments.find(
+    (doc) => !doc.isUntitled && path.resolve(doc.fileName) === resolved
+  );
+  return open ? open.getText() : fs.readFileSync(resolved, 'utf8');
+}
+
+/**
+ * Get the path includes of a document are resolved against. Untitled
+ * documents resolve relative to the first workspace folder.
+ *
+ * @param {vscode.TextDocument} document The document being run
+ * @returns {string} Absolute path of the document, real or notional
+ */
+function documentEntryPath(document) {
+  if (!document.isUntitled) {
+    return document.fileName;
+  }
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : os.tmpdir();
+  return path.join(base, path.basename(document.fileName));
+}
+
+/**
+ * Flatten a script's includes when it has any and bundling is enabled.
+ *
+ * @param {string} content Script source
+ * @param {string} filePath Absolute path includes are resolved against
+ * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
+ * @param {number} [lineOffset] Document line the content starts on
+ * @returns {{code: string, lineMap: {file: string, line: number}[], files: string[]}|null} The bundle, or null if no bundling is needed
+ */
+function bundleIfNeeded(content, filePath, config, lineOffset = 0) {
+  if (!config.get('bundleIncludes') || !hasIncludes(content)) {
+    return null;
+  }
+  return bundleSource(content, filePath, { readFile: readScriptSource, lineOffset });
+}
+
+/**
+ * Read a script to send to a remote target. Includes are bundled, because
+ * the remote machine cannot read the included files.
+ *
+ * @param {string} filePath Absolute path of the script
+ * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
+ * @returns {{name: string, source: string}} File name and self-contained source
+ */
+function readRemoteScript(filePath, config) {
+  const source = readScriptSource(filePath);
+  const bundle = bundleIfNeeded(source, filePath, config);
+  if (!bundle && hasIncludes(source)) {
+    throw new Error(`${path.basename(filePath)} uses #include, which remote targets only support with aeScriptRunner.bundleIncludes enabled.`);
+  }
+  return { name: path.basename(filePath), source: bundle ? bundle.code : source };
+}
+
+/**
+ * Resolve the script to run for the "Run Selection" command. The selected
+ * text is used when there is a selection; otherwise the `//%%` cell or
+ * top-level function under the cursor. The code is always written to a
+ * temporary file.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Current configuration for this extension
+ * @returns {{path: string, isTemp: boolean, sourceUri: vscode.Uri, target: string|null, params: Object[], lineOffset: number, entryFile?: string, lineMap?: {file: string, line: number}[]}} Script location, its header directives and the document line the code starts on
+ */
+function resolveSelectionScript(config) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    throw new Error('No active editor found. Open a JSX/JS file before running the command.');
+  }
+  const document = editor.document;
+  let range = editor.selection;
+
+  if (range.isEmpty) {
+    const block = findBlockAt(document.getText(), range.active.line);
+    if (!block) {
+      throw new Error('Nothing to run: select some code or place the cursor inside a top-level function or //%% cell.');
     }
-    tempFile = path.resolve(configTempFile);
-    tempDir = path.dirname(tempFile);
+    range = new vscode.Range(block.start, 0, block.end, document.lineAt(block.end).text.length);
   }
-  
-  // Ensure directory exists
-  fs.mkdirSync(tempDir, { recursive: true });
-  fs.writeFileSync(tempFile, document.getText(), 'utf8');
-  return { path: tempFile, isTemp: true };
+
+  // Pad with the columns before the selection so reported columns and lines stay aligned
+  const content = ' '.repeat(range.start.character) + document.getText(range);
+  const entryFile = documentEntryPath(document);
+  const bundle = bundleIfNeeded(content, entryFile, config, range.start.line);
+  const tempFile = writeTempScript(document.fileName, bundle ? bundle.code : content);
+  const header = readScriptHeader(document.getText());
+  const script = { path: tempFile, isTemp: true, sourceUri: document.uri, ...header, lineOffset: range.start.line };
+  return bundle ? { ...script, entryFile, lineMap: bundle.lineMap } : script;
 }
 
 /**
@@ -92,450 +327,2546 @@ function cleanupTempFile(filePath) {
 }
 
 /**
- * Get version information from bundle ID for user-friendly display
- * 
- * @param {string} bundleId Bundle identifier
- * @returns {Promise<string>} Version string or empty if not available
+ * Resolve the document location an ExtendScript error refers to. Errors raised
+ * in the script that was sent (possibly a temporary copy of a selection or a
+ * bundle) map back through the run's line map or line offset to the source;
+ * errors raised in files included at runtime map to those files.
+ *
+ * @param {string} fileName File name reported by ExtendScript
+ * @param {number} line One-based line reported by ExtendScript
+ * @param {{scriptPath: string, sourceUri: vscode.Uri, lineOffset?: number, entryFile?: string, lineMap?: {file: string, line: number}[]}} run The run the error came from
+ * @returns {{uri: vscode.Uri, line: number}|null} Document URI and one-based line, or null if unknown
+ */
+function resolveErrorLocation(fileName, line, run) {
+  if (!fileName || path.resolve(fileName) === path.resolve(run.scriptPath)) {
+    const mapped = run.lineMap && run.lineMap[line - 1];
+    if (mapped) {
+      const uri = mapped.file === path.resolve(run.entryFile) ? run.sourceUri : vscode.Uri.file(mapped.file);
+      return { uri, line: mapped.line };
+    }
+    return { uri: run.sourceUri, line: line + (run.lineOffset || 0) };
+  }
+  if (fs.existsSync(fileName)) {
+    return { uri: vscode.Uri.file(path.resolve(fileName)), line };
+  }
+  return null;
+}
+
+/**
+ * Write the result of a script run to the output channel and publish any
+ * thrown error as a diagnostic on the offending line.
+ *
+ * @param {Object} result Parsed harness result
+ * @param {{scriptPath: string, sourceUri: vscode.Uri, lineOffset?: number, lineMap?: {file: string, line: number}[]}} run The run the result belongs to
+ * @returns {{uri: vscode.Uri, line: number}|null} Location of the error in the source, if any
+ */
+function reportRunResult(result, run) {
+  const name = path.basename(run.sourceUri.fsPath);
+  outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] ${name} (${result.duration} ms)`);
+  for (const line of result.logs || []) {
+    outputChannel.appendLine(line);
+  }
+
+  if (result.ok) {
+    if (result.result !== undefined) {
+      outputChannel.appendLine(`=> ${result.result}`);
+    }
+    return null;
+  }
+
+  const { message, line, fileName } = result.error;
+  const location = resolveErrorLocation(fileName, line || 1, run);
+  const where = location ? ` (${location.uri.fsPath}:${location.line})` : (line ? ` (${fileName}:${line})` : '');
+  outputChannel.appendLine(`${result.error.name}: ${message}${where}`);
+  outputChannel.show(true);
+
+  if (location) {
+    const lineIndex = Math.max(location.line - 1, 0);
+    const range = new vscode.Range(lineIndex, 0, lineIndex, Number.MAX_SAFE_INTEGER);
+    const diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Error);
+    diagnostic.source = 'After Effects';
+    diagnosticCollection.set(location.uri, [diagnostic]);
+  }
+  return location;
+}
+
+/**
+ * Write what a dry run would have sent to the output channel.
+ *
+ * @param {string} sentPath Path of the file that would have been sent
+ * @param {{path: string, sourceUri: vscode.Uri}} script The resolved script
+ */
+function reportDryRun(sentPath, script) {
+  outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] Dry run: ${path.basename(script.sourceUri.fsPath)}`);
+  outputChannel.appendLine(`Would send: ${sentPath}`);
+  if (sentPath !== script.path) {
+    outputChannel.appendLine(`Script: ${script.path}`);
+  }
+  outputChannel.appendLine('-'.repeat(40));
+  outputChannel.appendLine(fs.readFileSync(script.path, 'utf8'));
+  outputChannel.appendLine('-'.repeat(40));
+  outputChannel.show(true);
+}
+
+/** Progress messages shown for each run state. */
+const RUN_STATE_MESSAGES = {
+  queued: 'Waiting for the previous run to finish...',
+  sending: 'Sending to After Effects...',
+  running: 'Running in After Effects...'
+};
+
+/**
+ * Send a resolved script to After Effects and report its outcome. Runs are
+ * queued so they never overlap, and show a progress notification whose
+ * Cancel button stops the run.
+ *
+ * @param {Object} script Script to run, see `runScriptWithOutcome`
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {vscode.CancellationToken} [token] Also cancels the run, e.g. from the Test Explorer
+ * @returns {Promise<Object|null>} The harness result, or null if none was captured or the run was cancelled
+ */
+async function runScript(script, config, token) {
+  const outcome = await runScriptWithOutcome(script, config, token);
+  return outcome.result || null;
+}
+
+/**
+ * Run a resolved script like `runScript`, and report how the run ended.
+ *
+ * @param {{path: string, isTemp: boolean, sourceUri: vscode.Uri, params: Object[], lineOffset?: number, setup?: string[], teardown?: string[], args?: Object, undoGroup?: boolean, quiet?: boolean, history?: boolean, title?: string}} script Script resolved by `resolveScriptPath` or `resolveSelectionScript`; `undoGroup: false` opts out of undo-group wrapping, `quiet` runs always capture their result and leave reporting it to the caller, and `history: false` keeps the run out of the run history
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {vscode.CancellationToken} [token] Also cancels the run, e.g. from the Test Explorer
+ * @returns {Promise<{status: 'ok'|'error'|'dryRun'|'timeout'|'sent'|'cancelled', via?: string, result?: Object, error?: string}>} Outcome of the run as recorded in the history; `result` is the harness result, if one was captured
+ */
+async function runScriptWithOutcome(script, config, token) {
+  const name = path.basename(script.sourceUri.fsPath);
+  let started = false;
+  try {
+    const scriptArgs = await promptForScriptArgs(script);
+    if (!scriptArgs) {
+      return { status: 'cancelled' };
+    }
+
+    const run = runQueue.enqueue(name, (current) => {
+      started = true;
+      return sendScript(script, scriptArgs, config, current);
+    });
+    if (token) {
+      token.onCancellationRequested(() => run.cancel());
+    }
+    await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `AE: ${script.title || name}`,
+      cancellable: true
+    }, (progress, progressToken) => {
+      progressToken.onCancellationRequested(() => run.cancel());
+      progress.report({ message: RUN_STATE_MESSAGES[run.state] });
+      const subscription = run.onDidChangeState((state) => progress.report({ message: RUN_STATE_MESSAGES[state] }));
+      return run.done.finally(() => subscription.dispose());
+    });
+    if (run.state === 'cancelled') {
+      vscode.window.showInformationMessage(`Cancelled ${name}. After Effects may still be busy with the script.`);
+      return { ...run.outcome, status: 'cancelled' };
+    }
+    return run.outcome;
+  } finally {
+    // Runs cancelled or rejected before they started leave their temp file behind
+    if (!started && script.isTemp) {
+      cleanupTempFile(script.path);
+    }
+  }
+}
+
+/**
+ * Perform a queued run: send the script to After Effects, wait for its
+ * outcome and record it in the history.
+ *
+ * @param {Object} script Script resolved by `resolveScriptPath` or `resolveSelectionScript`, see `runScript`
+ * @param {Object} scriptArgs Values of the script's parameters
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {{signal: AbortSignal, setState: (state: string) => void}} run The queued run; its `outcome` is set to the outcome recorded in the history
+ * @returns {Promise<Object|null>} The harness result, or null if none was captured
+ */
+async function sendScript(script, scriptArgs, config, run) {
+  const { path: scriptPath, isTemp, sourceUri } = script;
+  const timeoutMs = config.get('resultTimeout') * 1000;
+  let harness = null;
+  // Run files may only be removed once After Effects is known to be done with them
+  let sent = false;
+  let completed = false;
+  // History entry of the run and the outcome recorded for it
+  let record = null;
+  const outcome = { status: 'error' };
+  run.outcome = outcome;
+
+  try {
+    diagnosticCollection.delete(sourceUri);
+    const remote = await withRemoteToken(selectRemoteTarget(script.target, config.get('remoteTarget'), config.get('remoteTargets')));
+    const { settings, installation } = remote ? { settings: config, installation: null } : await resolveRunTarget(config, script.target);
+    record = script.history === false ? null : runHistory.start({
+      file: sourceUri.toString(),
+      name: path.basename(sourceUri.fsPath),
+      selection: script.lineOffset !== undefined,
+      lineOffset: script.lineOffset || 0,
+      pin: script.target || null,
+      args: scriptArgs,
+      profile: script.profile || null,
+      setup: script.setup || [],
+      teardown: script.teardown || []
+    }, scriptPath);
+    const undoGroup = config.get('wrapInUndoGroup') && script.undoGroup !== false ? path.basename(sourceUri.fsPath) : null;
+    const harnessOptions = { args: scriptArgs, setup: script.setup || [], teardown: script.teardown || [], undoGroup };
+    const rememberUndoGroup = () => {
+      if (undoGroup) {
+        lastUndoGroup = { label: undoGroup, target: script.target };
+      }
+    };
+
+    // Remote agents receive the scripts' source, since they cannot read local files
+    if (remote) {
+      const request = {
+        ...readRemoteScript(scriptPath, config),
+        name: path.basename(sourceUri.fsPath),
+        args: scriptArgs,
+        setup: harnessOptions.setup.map((filePath) => readRemoteScript(filePath, config)),
+        teardown: harnessOptions.teardown.map((filePath) => readRemoteScript(filePath, config)),
+        undoGroup
+      };
+      sent = true;
+      outcome.via = `Remote ${remote.name}`;
+      run.setState('running');
+      const remoteOutcome = await runRemote(remote, request, { timeoutMs, signal: run.signal });
+      completed = true;
+      if (remoteOutcome.status === 'dryRun') {
+        outcome.status = 'dryRun';
+        vscode.window.showInformationMessage(`Dry run: ${path.basename(sourceUri.fsPath)} was not sent to After Effects on ${remote.name}`);
+        return null;
+      }
+      if (remoteOutcome.status === 'timeout') {
+        outcome.status = 'timeout';
+        vscode.window.showWarningMessage(`Sent script to ${remote.name}, but no result arrived within ${config.get('resultTimeout')} seconds: ${path.basename(sourceUri.fsPath)}`);
+        return null;
+      }
+      const { result } = remoteOutcome;
+      Object.assign(outcome, { status: result.ok ? 'ok' : 'error', result });
+      rememberUndoGroup();
+      if (!script.quiet) {
+        showRunOutcome(result, { ...script, scriptPath });
+      }
+      return result;
+    }
+
+    // Prefer a bridge already running inside After Effects over spawning a process
+    if (config.get('useBridge') && !['dryRun', 'mock'].includes(config.get('transport')) && await bridgeMatchesTarget(config, installation)) {
+      harness = createHarness(scriptPath, runFilesDirectory, { ...harnessOptions, returnResult: true });
+      try {
+        sent = true;
+        outcome.via = `Bridge on port ${getBridgeOptions(config).port}`;
+        run.setState('running');
+        const result = await evalFileOverBridge(harness.harnessPath, { ...getBridgeOptions(config, timeoutMs), signal: run.signal });
+        completed = true;
+        Object.assign(outcome, { status: result.ok ? 'ok' : 'error', result });
+        rememberUndoGroup();
+        if (!script.quiet) {
+          showRunOutcome(result, { ...script, scriptPath });
+        }
+        return result;
+      } catch (err) {
+        if (!isBridgeUnavailable(err)) {
+          throw err;
+        }
+        sent = false;
+        cleanupTempFile(harness.harnessPath);
+        harness = null;
+      }
+    }
+
+    // Wrap the script in a harness that reports results back, unless disabled.
+    // Arguments, setup/teardown scripts and undo groups always need the harness,
+    // and quiet runs always capture their result for the caller.
+    if (config.get('captureOutput') || script.quiet) {
+      harness = createHarness(scriptPath, runFilesDirectory, harnessOptions);
+    } else if (Object.keys(scriptArgs).length > 0 || harnessOptions.setup.length > 0 || harnessOptions.teardown.length > 0 || undoGroup) {
+      harness = createHarness(scriptPath, runFilesDirectory, { ...harnessOptions, returnResult: true });
+    }
+    
+    const { command, args, bundleId, dryRun, launchesHost } = await buildCommand(harness ? harness.harnessPath : scriptPath, settings, getTransportServices());
+    outcome.via = bundleId || command || 'Dry run';
+    if (dryRun) {
+      outcome.status = 'dryRun';
+      outcome.sentPath = harness ? harness.harnessPath : scriptPath;
+      reportDryRun(harness ? harness.harnessPath : scriptPath, script);
+      vscode.window.showInformationMessage(`Dry run: ${path.basename(sourceUri.fsPath)} was not sent to After Effects`);
+      return null;
+    }
+    sent = true;
+    run.setState('running');
+    Object.assign(outcome, await executeCommand(command, args, { signal: run.signal, timeoutMs, kill: !launchesHost }));
+    rememberUndoGroup();
+
+    if (!harness || !harness.resultPath) {
+      outcome.status = 'sent';
+      vscode.window.showInformationMessage(`Sent script to After Effects: ${path.basename(sourceUri.fsPath)}`);
+      return null;
+    }
+
+    const result = await waitForResult(harness.resultPath, timeoutMs, 200, run.signal);
+    completed = Boolean(result);
+    if (!result) {
+      outcome.status = 'timeout';
+      vscode.window.showWarningMessage(`Sent script to After Effects, but no result arrived within ${config.get('resultTimeout')} seconds: ${path.basename(sourceUri.fsPath)}`);
+      return null;
+    }
+    Object.assign(outcome, { status: result.ok ? 'ok' : 'error', result });
+    if (!script.quiet) {
+      showRunOutcome(result, { ...script, scriptPath });
+    }
+    return result;
+  } catch (err) {
+    Object.assign(outcome, { status: isCancellation(err) ? 'cancelled' : 'error', error: err.message, exitCode: err.exitCode, stderr: err.stderr });
+    throw err;
+  } finally {
+    if (record) {
+      runHistory.finish(record.id, outcome);
+    }
+    // Files of runs that never reported back, or that are kept for debugging, are left to the sweep
+    if ((!sent || completed) && !config.get('keepRunFiles')) {
+      if (isTemp) {
+        cleanupTempFile(scriptPath);
+      }
+      if (harness) {
+        cleanupTempFile(harness.harnessPath);
+        if (harness.resultPath) {
+          cleanupTempFile(harness.resultPath);
+        }
+      }
+    }
+    sweepOrphanedRunFiles(config);
+  }
+}
+
+/**
+ * Remove run files left behind by runs that never reported back, by crashes,
+ * or that were kept for debugging and are past their retention.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ */
+function sweepOrphanedRunFiles(config) {
+  const retentionMs = (config.get('keepRunFiles') || 0) * 60 * 1000;
+  const removed = sweepRunFiles(runFilesDirectory, Math.max(retentionMs, ORPHAN_AGE_MS));
+  if (removed.length > 0) {
+    console.log(`Removed ${removed.length} old run file(s) from ${runFilesDirectory}`);
+  }
+}
+
+/**
+ * Ask for the values of the parameters a script declares with `@ae-param`.
+ * The last values entered for a file are remembered and offered as defaults.
+ * Parameters a run profile already provides are not asked for.
+ *
+ * @param {{sourceUri: vscode.Uri, params: Object[], args?: Object}} script Script about to run
+ * @returns {Promise<Object|null>} Argument values by parameter name, or null if the user cancelled
+ */
+async function promptForScriptArgs(script) {
+  const args = { ...(script.args || {}) };
+  const params = script.params.filter((param) => !(param.name in args));
+  if (params.length === 0) {
+    return args;
+  }
+
+  const storageKey = getArgsStorageKey(script.sourceUri);
+  const remembered = workspaceState.get(storageKey, {});
+  for (const [index, param] of params.entries()) {
+    const current = param.name in remembered ? remembered[param.name] : param.default;
+    const title = `${param.name} (${index + 1}/${params.length})`;
+    const value = await promptForParam(param, current, title);
+    if (value === undefined) {
+      return null;
+    }
+    args[param.name] = value;
+  }
+
+  const entered = {};
+  for (const param of params) {
+    entered[param.name] = args[param.name];
+  }
+  await workspaceState.update(storageKey, { ...remembered, ...entered });
+  return args;
+}
+
+/**
+ * Get the `workspaceState` key the last parameter values of a script are stored under.
+ *
+ * @param {vscode.Uri} uri The script's source
+ * @returns {string} Storage key
+ */
+function getArgsStorageKey(uri) {
+  return `aeScriptRunner.args:${uri.toString()}`;
+}
+
+/**
+ * Ask for the value of a single parameter using the input suited to its type.
+ *
+ * @param {{name: string, type: string, choices: string[], description: string}} param The parameter
+ * @param {any} current Value to preselect
+ * @param {string} title Title of the prompt
+ * @returns {Promise<any>} The typed value, or undefined if the user cancelled
+ */
+async function promptForParam(param, current, title) {
+  if (param.type === 'boolean' || param.type === 'choice') {
+    const options = param.type === 'boolean' ? ['true', 'false'] : param.choices;
+    const items = options.map((label) => ({ label, picked: label === String(current) }));
+    // Put the current value first so Enter keeps it
+    items.sort((a, b) => Number(b.picked) - Number(a.picked));
+    const picked = await vscode.window.showQuickPick(items, { title, placeHolder: param.description || `Choose a value for ${param.name}` });
+    return picked ? coerceParamValue(param, picked.label) : undefined;
+  }
+
+  if (param.type === 'file' || param.type === 'folder') {
+    const uris = await vscode.window.showOpenDialog({
+      title: param.description ? `${title}: ${param.description}` : title,
+      canSelectFiles: param.type === 'file',
+      canSelectFolders: param.type === 'folder',
+      canSelectMany: false,
+      defaultUri: current ? vscode.Uri.file(current) : undefined
+    });
+    return uris && uris.length > 0 ? uris[0].fsPath : undefined;
+  }
+
+  const input = await vscode.window.showInputBox({
+    title,
+    prompt: param.description || undefined,
+    value: current === undefined ? '' : String(current),
+    validateInput: (value) => {
+      try {
+        coerceParamValue(param, value);
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    }
+  });
+  return input === undefined ? undefined : coerceParamValue(param, input);
+}
+
+/**
+ * Undo the undo group of the last run in After Effects. After Effects only
+ * offers "undo the most recent step", so this is only correct while nothing
+ * else was done in After Effects since the run.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ */
+async function undoLastRun(config) {
+  if (!lastUndoGroup) {
+    vscode.window.showInformationMessage(config.get('wrapInUndoGroup')
+      ? 'No script run to undo yet.'
+      : 'Script runs are not wrapped in undo groups. Enable aeScriptRunner.wrapInUndoGroup to undo them.');
+    return;
+  }
+
+  const { label, target } = lastUndoGroup;
+  const undoPath = writeTempScript('undo-last-run.jsx', buildUndoScript(label));
+  lastUndoGroup = null;
+  await runScript({ path: undoPath, isTemp: true, sourceUri: vscode.Uri.file(undoPath), target, params: [], undoGroup: false }, config);
+}
+
+/**
+ * Compile scripts to JSXBIN with the configured JSXBIN compiler, which runs
+ * outside After Effects. Scripts with includes are bundled first. Failures
+ * are reported per file.
+ *
+ * @param {string[]} files Absolute paths of the scripts to export
+ * @param {string} baseFolder Folder the output layout is relative to when exporting into `jsxbinOutputFolder`
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ */
+async function exportJsxbin(files, baseFolder, config) {
+  const outputFolder = resolveWorkspacePath(config.get('jsxbinOutputFolder'));
+  const jobs = [];
+  const bundles = [];
+  const failures = [];
+  try {
+    for (const file of files) {
+      try {
+        const source = readScriptSource(file);
+        const bundle = bundleIfNeeded(source, file, config);
+        const bundlePath = bundle ? writeTempScript(file, bundle.code) : null;
+        if (bundlePath) {
+          bundles.push(bundlePath);
+        }
+        jobs.push({ source: bundlePath || file, output: getJsxbinOutputPath(file, { outputFolder, baseFolder }), name: path.basename(file), file });
+      } catch (err) {
+        failures.push({ file, error: err.message });
+      }
+    }
+
+    if (jobs.length > 0) {
+      const controller = new AbortController();
+      let report;
+      try {
+        report = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `AE: Exporting ${jobs.length} file(s) as JSXBIN`,
+          cancellable: true
+        }, (progress, token) => {
+          token.onCancellationRequested(() => controller.abort());
+          return compileJsxbin(jobs, config, {
+            directory: runFilesDirectory,
+            signal: controller.signal,
+            timeoutMs: config.get('resultTimeout') * 1000,
+            log: (text) => outputChannel.append(text)
+          });
+        });
+      } catch (err) {
+        if (isCancellation(err)) {
+          vscode.window.showInformationMessage('Cancelled JSXBIN export.');
+          return;
+        }
+        throw err;
+      }
+      for (const { job, ok, error } of report) {
+        if (!ok) {
+          failures.push({ file: job.file, error });
+        }
+      }
+    }
+  } finally {
+    for (const bundlePath of bundles) {
+      cleanupTempFile(bundlePath);
+    }
+  }
+
+  outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] JSXBIN export of ${files.length} file(s)`);
+  for (const file of files) {
+    const failure = failures.find((item) => item.file === file);
+    outputChannel.appendLine(failure
+      ? `  ✗ ${file}: ${failure.error}`
+      : `  ✓ ${file} -> ${getJsxbinOutputPath(file, { outputFolder, baseFolder })}`);
+  }
+
+  if (failures.length === 0) {
+    vscode.window.showInformationMessage(`Exported ${files.length} file(s) as JSXBIN.`);
+    return;
+  }
+  outputChannel.show(true);
+  vscode.window.showErrorMessage(files.length === 1
+    ? `JSXBIN export failed: ${failures[0].error}`
+    : `JSXBIN export failed for ${failures.length} of ${files.length} files. See the "After Effects" output for details.`);
+}
+
+/**
+ * Pick the scripts to export for the "AE: Export Folder as JSXBIN" command:
+ * the folder given by the Explorer, or a folder or glob pattern the user enters.
+ *
+ * @param {vscode.Uri} [folderUri] Folder selected in the Explorer
+ * @returns {Promise<{files: string[], baseFolder: string}|null>} Scripts and the folder they are relative to, or null if cancelled
+ */
+async function pickJsxbinBatch(folderUri) {
+  const workspaceFolders = vscode.workspace.workspaceFolders || [];
+  let pattern;
+  if (folderUri) {
+    pattern = new vscode.RelativePattern(folderUri, '**/*.{jsx,js}');
+  } else {
+    const input = await vscode.window.showInputBox({
+      prompt: 'Folder or glob pattern of the scripts to export',
+      placeHolder: 'e.g. src or src/**/*.jsx',
+      value: '**/*.jsx'
+    });
+    if (input === undefined) {
+      return null;
+    }
+    const folder = resolveWorkspacePath(input.trim());
+    pattern = folder && fs.existsSync(folder) && fs.statSync(folder).isDirectory()
+      ? new vscode.RelativePattern(folder, '**/*.{jsx,js}')
+      : input.trim();
+  }
+
+  const uris = await vscode.workspace.findFiles(pattern, '**/node_modules/**');
+  const files = uris.map((uri) => uri.fsPath).sort();
+  if (files.length === 0) {
+    throw new Error('No scripts match the selection.');
+  }
+  const baseFolder = typeof pattern === 'string'
+    ? (workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : path.dirname(files[0]))
+    : pattern.baseUri.fsPath;
+  return { files, baseFolder };
+}
+
+/**
+ * Resolve a path from the settings against the first workspace folder.
+ *
+ * @param {string} value Absolute or workspace-relative path, possibly empty
+ * @returns {string} Absolute path, or an empty string for an empty value
+ */
+function resolveWorkspacePath(value) {
+  if (!value) {
+    return '';
+  }
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : process.cwd();
+  return path.resolve(base, value);
+}
+
+/**
+ * File extensions of ExtendScript files checked for ES3 compatibility.
+ */
+const EXTENDSCRIPT_EXTENSIONS = ['.jsx', '.jsxinc'];
+
+/**
+ * Check whether a document is an ExtendScript file that should be linted.
+ *
+ * @param {vscode.TextDocument} document Document to check
+ * @returns {boolean} True for saved `.jsx` and `.jsxinc` files
+ */
+function isExtendScriptDocument(document) {
+  return document.uri.scheme === 'file' && EXTENDSCRIPT_EXTENSIONS.includes(path.extname(document.fileName).toLowerCase());
+}
+
+/**
+ * Get the source of a document's includes, which may define polyfills for
+ * built-ins the document uses.
+ *
+ * @param {vscode.TextDocument} document Document being linted
+ * @returns {string} Source of the included files, or an empty string
+ */
+function getLintContext(document) {
+  const text = document.getText();
+  if (!hasIncludes(text)) {
+    return '';
+  }
+  try {
+    return bundleSource(text, documentEntryPath(document), { readFile: readScriptSource }).code;
+  } catch (err) {
+    // Missing includes are reported when the script is run
+    return '';
+  }
+}
+
+/**
+ * Check a document for syntax and built-ins ExtendScript does not support
+ * and publish the problems as diagnostics.
+ *
+ * @param {vscode.TextDocument} document Document to lint
+ */
+function lintDocument(document) {
+  if (!isExtendScriptDocument(document) || !vscode.workspace.getConfiguration('aeScriptRunner').get('es3Lint')) {
+    lintDiagnostics.delete(document.uri);
+    return;
+  }
+  const diagnostics = lintExtendScript(document.getText(), { context: getLintContext(document) }).map((issue) => {
+    const range = new vscode.Range(document.positionAt(issue.start), document.positionAt(issue.end));
+    const severity = issue.severity === 'error' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
+    const diagnostic = new vscode.Diagnostic(range, issue.message, severity);
+    diagnostic.source = 'ExtendScript';
+    diagnostic.code = issue.rule;
+    return diagnostic;
+  });
+  lintDiagnostics.set(document.uri, diagnostics);
+}
+
+/**
+ * Create the code action provider offering quick fixes for ES3 problems
+ * that have a trivial replacement.
+ *
+ * @returns {vscode.CodeActionProvider} The provider
+ */
+function createLintFixProvider() {
+  const toEdit = (document, fixes) => {
+    const edit = new vscode.WorkspaceEdit();
+    for (const fix of fixes) {
+      edit.replace(document.uri, new vscode.Range(document.positionAt(fix.start), document.positionAt(fix.end)), fix.text);
+    }
+    return edit;
+  };
+
+  return {
+    provideCodeActions(document, range, context) {
+      if (!isExtendScriptDocument(document) || !context.diagnostics.some((diagnostic) => diagnostic.source === 'ExtendScript')) {
+        return [];
+      }
+      const text = document.getText();
+      const issues = lintExtendScript(text, { context: getLintContext(document) });
+      const actions = [];
+      for (const issue of issues) {
+        const issueRange = new vscode.Range(document.positionAt(issue.start), document.positionAt(issue.end));
+        if (!issue.fix || !issueRange.intersection(range)) {
+          continue;
+        }
+        const action = new vscode.CodeAction(issue.fix.title, vscode.CodeActionKind.QuickFix);
+        action.edit = toEdit(document, [issue.fix]);
+        action.diagnostics = context.diagnostics.filter((diagnostic) => diagnostic.code === issue.rule && diagnostic.range.isEqual(issueRange));
+        action.isPreferred = true;
+        actions.push(action);
+      }
+
+      const fixes = collectFixes(text, issues);
+      if (actions.length > 0 && fixes.length > 1) {
+        const fixAll = new vscode.CodeAction('Fix all auto-fixable ExtendScript problems', vscode.CodeActionKind.QuickFix);
+        fixAll.edit = toEdit(document, fixes);
+        actions.push(fixAll);
+      }
+      return actions;
+    }
+  };
+}
+
+/**
+ * Copy the bundled After Effects, ExtendScript and ScriptUI type definitions
+ * into the workspace and reference them from `jsconfig.json`, so the
+ * JavaScript language service offers completion and hover for them.
+ *
+ * @param {vscode.ExtensionContext} context Extension context, for the bundled files
+ */
+async function addTypeDefinitions(context) {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  if (!workspaceFolders || workspaceFolders.length === 0) {
+    throw new Error('Open a folder to add the After Effects type definitions to it.');
+  }
+  const root = workspaceFolders[0].uri.fsPath;
+  const typesFolder = path.join(root, TYPES_FOLDER);
+  fs.mkdirSync(typesFolder, { recursive: true });
+  for (const file of TYPE_DEFINITION_FILES) {
+    fs.copyFileSync(path.join(context.extensionPath, 'types', file), path.join(typesFolder, file));
+  }
+
+  const jsconfigPath = path.join(root, 'jsconfig.json');
+  const { text, warning } = buildJsconfig(fs.existsSync(jsconfigPath) ? fs.readFileSync(jsconfigPath, 'utf8') : null);
+  if (text !== null) {
+    fs.writeFileSync(jsconfigPath, text, 'utf8');
+  }
+  vscode.window.showInformationMessage(`Added After Effects type definitions to ${TYPES_FOLDER}.`);
+  if (warning) {
+    vscode.window.showWarningMessage(warning);
+  }
+}
+
+/** Suite and test names leading from a test file to each test item. */
+const testItemPaths = new WeakMap();
+
+/**
+ * Create the test controller that discovers `*.test.jsx` files and runs them
+ * in After Effects through the usual run pipeline.
+ *
+ * @returns {{controller: vscode.TestController, disposables: vscode.Disposable[]}} The controller and the listeners keeping it up to date
+ */
+function createTestController() {
+  const controller = vscode.tests.createTestController('aeScriptRunner.tests', 'ExtendScript Tests');
+
+  controller.resolveHandler = async (item) => {
+    if (item) {
+      refreshTestFile(controller, item);
+      return;
+    }
+    const uris = await vscode.workspace.findFiles(TEST_FILE_GLOB, '**/node_modules/**');
+    for (const uri of uris) {
+      getTestFileItem(controller, uri);
+    }
+  };
+
+  controller.createRunProfile('Run', vscode.TestRunProfileKind.Run, (request, token) => runTests(controller, request, token), true);
+
+  const watcher = vscode.workspace.createFileSystemWatcher(TEST_FILE_GLOB);
+  const refresh = (uri) => {
+    const item = controller.items.get(uri.toString());
+    if (item && item.children.size > 0) {
+      refreshTestFile(controller, item);
+    } else if (!item) {
+      getTestFileItem(controller, uri);
+    }
+  };
+  const disposables = [
+    watcher,
+    watcher.onDidCreate(refresh),
+    watcher.onDidChange(refresh),
+    watcher.onDidDelete((uri) => controller.items.delete(uri.toString())),
+    vscode.workspace.onDidChangeTextDocument(({ document }) => {
+      const item = controller.items.get(document.uri.toString());
+      if (item) {
+        refreshTestFile(controller, item);
+      }
+    })
+  ];
+  return { controller, disposables };
+}
+
+/**
+ * Get the test item of a test file, adding it to the controller if needed.
+ *
+ * @param {vscode.TestController} controller The test controller
+ * @param {vscode.Uri} uri URI of the test file
+ * @returns {vscode.TestItem} The file's test item
+ */
+function getTestFileItem(controller, uri) {
+  let item = controller.items.get(uri.toString());
+  if (!item) {
+    item = controller.createTestItem(uri.toString(), path.basename(uri.fsPath), uri);
+    item.canResolveChildren = true;
+    testItemPaths.set(item, []);
+    controller.items.add(item);
+  }
+  return item;
+}
+
+/**
+ * Re-read the suites and tests declared in a test file, including unsaved
+ * changes.
+ *
+ * @param {vscode.TestController} controller The test controller
+ * @param {vscode.TestItem} fileItem The file's test item
+ */
+function refreshTestFile(controller, fileItem) {
+  let text;
+  try {
+    text = readScriptSource(fileItem.uri.fsPath);
+  } catch (err) {
+    controller.items.delete(fileItem.id);
+    return;
+  }
+  const toItem = (node, parentPath) => {
+    const names = parentPath.concat(node.name);
+    const item = controller.createTestItem(`${fileItem.uri}#${JSON.stringify(names)}`, node.name, fileItem.uri);
+    item.range = new vscode.Range(node.line, 0, node.line, 0);
+    testItemPaths.set(item, names);
+    item.children.replace(node.children.map((child) => toItem(child, names)));
+    return item;
+  };
+  fileItem.children.replace(discoverTests(text).map((node) => toItem(node, [])));
+}
+
+/**
+ * Find the test item for a suite/test path reported by the runner, creating
+ * items for tests whose names could not be discovered statically.
+ *
+ * @param {vscode.TestController} controller The test controller
+ * @param {vscode.TestItem} fileItem The file's test item
+ * @param {string[]} names Suite names followed by the test name
+ * @returns {vscode.TestItem} The test item
+ */
+function findTestItem(controller, fileItem, names) {
+  let item = fileItem;
+  for (let i = 0; i < names.length; i++) {
+    const id = `${fileItem.uri}#${JSON.stringify(names.slice(0, i + 1))}`;
+    let child = item.children.get(id);
+    if (!child) {
+      child = controller.createTestItem(id, names[i], fileItem.uri);
+      testItemPaths.set(child, names.slice(0, i + 1));
+      item.children.add(child);
+    }
+    item = child;
+  }
+  return item;
+}
+
+/**
+ * Collect the tests (leaf items) below a test item.
+ *
+ * @param {vscode.TestItem} item A file, suite or test item
+ * @returns {vscode.TestItem[]} The tests
+ */
+function collectTests(item) {
+  if (item.children.size === 0) {
+    return testItemPaths.get(item).length > 0 ? [item] : [];
+  }
+  const tests = [];
+  item.children.forEach((child) => tests.push(...collectTests(child)));
+  return tests;
+}
+
+/**
+ * Run the tests of a Test Explorer request, one test file at a time.
+ *
+ * @param {vscode.TestController} controller The test controller
+ * @param {vscode.TestRunRequest} request Tests to run and to exclude
+ * @param {vscode.CancellationToken} token Cancels the run
+ */
+async function runTests(controller, request, token) {
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const run = controller.createTestRun(request);
+  const excluded = new Set(request.exclude || []);
+
+  // Group the requested items by file; whole files run without a filter
+  const files = new Map();
+  const requested = [];
+  if (request.include) {
+    requested.push(...request.include);
+  } else {
+    controller.items.forEach((item) => requested.push(item));
+  }
+  for (const item of requested) {
+    let fileItem = item;
+    while (fileItem.parent) {
+      fileItem = fileItem.parent;
+    }
+    const names = testItemPaths.get(item);
+    const filter = files.has(fileItem) ? files.get(fileItem) : [];
+    files.set(fileItem, names.length === 0 || filter === null ? null : filter.concat([names]));
+  }
+
+  try {
+    for (const [fileItem, filter] of files) {
+      if (token.isCancellationRequested) {
+        break;
+      }
+      await runTestFile(controller, run, fileItem, filter || [], config, token, excluded);
+    }
+  } finally {
+    run.end();
+  }
+}
+
+/**
+ * Run the selected tests of one test file and report their results.
+ *
+ * @param {vscode.TestController} controller The test controller
+ * @param {vscode.TestRun} run The test run results are reported to
+ * @param {vscode.TestItem} fileItem The file's test item
+ * @param {string[][]} filter Paths of the suites and tests to run; all when empty
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {vscode.CancellationToken} token Cancels the run
+ * @param {Set<vscode.TestItem>} excluded Items the request excludes
+ */
+async function runTestFile(controller, run, fileItem, filter, config, token, excluded) {
+  refreshTestFile(controller, fileItem);
+  const isSelected = (names) => filter.length === 0 || filter.some((prefix) => prefix.every((name, index) => names[index] === name));
+  const tests = collectTests(fileItem).filter((item) => isSelected(testItemPaths.get(item)) && !excluded.has(item));
+  tests.forEach((item) => run.started(item));
+
+  const fail = (message) => tests.forEach((item) => run.errored(item, message));
+  let result;
+  try {
+    const runnerPath = writeTempScript(fileItem.uri.fsPath, buildTestRunnerScript(fileItem.uri.fsPath, { filter }));
+    result = await runScript({
+      path: runnerPath,
+      isTemp: true,
+      sourceUri: fileItem.uri,
+      target: readScriptHeader(readScriptSource(fileItem.uri.fsPath)).target,
+      params: [],
+      undoGroup: false,
+      quiet: true,
+      title: `Testing ${path.basename(fileItem.uri.fsPath)}`
+    }, config, token);
+  } catch (err) {
+    fail(new vscode.TestMessage(err.message));
+    return;
+  }
+
+  // Cancelled runs, dry runs and timeouts have already been reported
+  if (!result) {
+    tests.forEach((item) => run.skipped(item));
+    return;
+  }
+  for (const line of result.logs || []) {
+    run.appendOutput(`${line}\r\n`);
+  }
+  if (!result.ok) {
+    const { name, message, line, fileName } = result.error;
+    const failure = new vscode.TestMessage(`${name}: ${message}`);
+    if (line > 0 && fileName) {
+      failure.location = new vscode.Location(vscode.Uri.file(fileName), new vscode.Position(line - 1, 0));
+    }
+    fail(failure);
+    return;
+  }
+
+  let report;
+  try {
+    report = parseTestReport(result.result);
+  } catch (err) {
+    fail(new vscode.TestMessage(err.message));
+    return;
+  }
+  const reported = new Set();
+  for (const entry of report) {
+    const item = findTestItem(controller, fileItem, entry.path);
+    if (excluded.has(item)) {
+      continue;
+    }
+    if (!tests.includes(item)) {
+      run.started(item);
+    }
+    reported.add(item);
+    if (entry.ok) {
+      run.passed(item, entry.duration);
+      continue;
+    }
+    const failure = entry.actual !== undefined
+      ? vscode.TestMessage.diff(entry.message, entry.expected, entry.actual)
+      : new vscode.TestMessage(entry.message);
+    const line = entry.line ? entry.line - 1 : item.range ? item.range.start.line : 0;
+    failure.location = new vscode.Location(fileItem.uri, new vscode.Position(line, 0));
+    run.failed(item, failure, entry.duration);
+  }
+  tests.filter((item) => !reported.has(item)).forEach((item) => run.skipped(item));
+}
+
+/**
+ * Resolve the settings a run uses. A file pinned with `@ae-target` targets
+ * the matching installation; otherwise the configured settings apply.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {string|null} target The script's `@ae-target` pin
+ * @returns {Promise<{settings: {get: (key: string) => any}, installation: Object|null}>} Settings for the transport and the pinned installation
+ */
+async function resolveRunTarget(config, target) {
+  if (!target) {
+    return { settings: config, installation: null };
+  }
+  const installation = matchInstallation(target, await installationCache.get());
+  if (!installation) {
+    throw new Error(`@ae-target ${target} does not match any installed After Effects version. Run "AE: Refresh Installations" if it was installed recently.`);
+  }
+  return { settings: withTargetOverride(config, installation), installation };
+}
+
+/**
+ * Check whether a running bridge belongs to the pinned installation. Without
+ * a pin any bridge is used; with one, the bridge's After Effects version must
+ * have the same major version.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {{version: string}|null} installation The pinned installation
+ * @returns {Promise<boolean>} True if the bridge may be used for the run
+ */
+async function bridgeMatchesTarget(config, installation) {
+  if (!installation) {
+    return true;
+  }
+  const version = await pingBridge(getBridgeOptions(config));
+  return Boolean(version) && version.split('.')[0] === installation.version.split('.')[0];
+}
+
+/**
+ * Report a harness result and notify the user of the outcome.
+ *
+ * @param {Object} result Parsed harness result
+ * @param {Object} run The run the result belongs to, see `reportRunResult`
+ */
+function showRunOutcome(result, run) {
+  const location = reportRunResult(result, run);
+  const name = path.basename(run.sourceUri.fsPath);
+  if (result.ok) {
+    vscode.window.showInformationMessage(`Script finished in After Effects: ${name}`);
+  } else {
+    const where = location ? ` (line ${location.line})` : '';
+    vscode.window.showErrorMessage(`Script error in After Effects: ${result.error.message}${where}`);
+  }
+}
+
+/**
+ * Build connection options for the After Effects bridge from the settings.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @param {number} [timeoutMs] Maximum time to wait for a response
+ * @returns {{port: number, token: string, timeoutMs?: number}} Options for the bridge client
+ */
+function getBridgeOptions(config, timeoutMs) {
+  return {
+    port: config.get('bridgePort') || DEFAULT_BRIDGE_PORT,
+    token: ensureBridgeToken(),
+    timeoutMs
+  };
+}
+
+/**
+ * Start the bridge inside After Effects by sending the bundled bridge script
+ * through the regular spawn transport, then confirm it answers.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ */
+async function startBridge(config) {
+  const options = getBridgeOptions(config, 5000);
+  const launcher = `$.global.AE_SCRIPT_RUNNER_BRIDGE_PORT = ${Number(options.port)};\n` +
+    `$.evalFile(new File(${toExtendScriptString(toExtendScriptPath(BRIDGE_SCRIPT_PATH))}));\n`;
+  const launcherPath = writeTempScript('bridge-launcher.jsx', launcher);
+
+  let version = null;
+  let pending = false;
+  try {
+    const { command, args, dryRun } = await buildCommand(launcherPath, config, getTransportServices());
+    if (dryRun) {
+      vscode.window.showInformationMessage('Dry run: the bridge was not started.');
+      return;
+    }
+    await executeCommand(command, args);
+    version = await pingBridge(options);
+    // A bridge that answers has finished reading the launcher; otherwise the sweep removes it
+    pending = !version;
+  } finally {
+    if (!pending && !config.get('keepRunFiles')) {
+      cleanupTempFile(launcherPath);
+    }
+  }
+
+  if (version) {
+    vscode.window.showInformationMessage(`After Effects bridge running on port ${options.port} (After Effects ${version})`);
+  } else {
+    vscode.window.showWarningMessage(`Sent the bridge script to After Effects, but it is not answering on port ${options.port}.`);
+  }
+}
+
+/**
+ * Show an error from a failed run, with extra guidance when After Effects
+ * could not be found on macOS.
+ *
+ * @param {Error} err The error raised while running a script
+ */
+async function showRunError(err) {
+  console.error(err);
+  
+  // Provide helpful error message for macOS bundle issues
+  if (process.platform === 'darwin' && err.message.includes("Application can't be found")) {
+    // The cached installations are evidently stale, so detect again
+    const installed = await installationCache.refresh();
+    let errorMsg = 'Could not find After Effects. ';
+    
+    if (installed.length > 0) {
+      errorMsg += `Found these versions: ${installed.map((item) => item.bundleId || item.exePath).join(', ')}. Try running "AE: Choose After Effects Version" command.`;
+    } else {
+      errorMsg += 'No After Effects installations detected. Please make sure After Effects is installed.';
+    }
+    
+    vscode.window.showErrorMessage(errorMsg);
+  } else {
+    vscode.window.showErrorMessage(err.message || 'Failed to run script in After Effects');
+  }
+}
+
+/**
+ * Handle browsing for After Effects application manually
+ */
+async function handleBrowseForAfterEffects() {
+  const uri = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Select After Effects',
+    defaultUri: vscode.Uri.file('/Applications'),
+    filters: {
+      'Applications': ['app']
+    }
+  });
+
+  if (uri && uri[0]) {
+    const selectedPath = uri[0].fsPath;
+    
+    // Validate it's actually After Effects
+    if (!selectedPath.toLowerCase().includes('after effects')) {
+      vscode.window.showWarningMessage('Selected application does not appear to be After Effects.');
+      return;
+    }
+
+    try {
+      // Try to extract bundle identifier from the selected app
+      const infoPlistPath = path.join(selectedPath, 'Contents', 'Info.plist');
+      
+      const bundleId = await readPlistValue(infoPlistPath, 'CFBundleIdentifier');
+
+      if (!bundleId) {
+        vscode.window.showErrorMessage('Could not read bundle identifier from selected application.');
+        return;
+      }
+
+      // Test if this bundle ID works with JXA
+      const probe = await probeApplication(bundleId, 5000);
+      if (!probe.ok) {
+        vscode.window.showErrorMessage('Selected After Effects application is not accessible via scripting.');
+        return;
+      }
+
+      // Save the bundle ID
+      if (!(await saveTargetSetting('macAfterEffectsBundle', bundleId))) {
+        return;
+      }
+      
+      // Applications without a version string are still usable; name them by their bundle
+      const displayName = bundleIdToDisplayName(bundleId);
+      vscode.window.showInformationMessage(`After Effects target set to: ${displayName}${probe.version ? ` ${probe.version}` : ''} (${bundleId})`);
+      
+    } catch (err) {
+      vscode.window.showErrorMessage(`Failed to configure selected After Effects: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Save the After Effects target setting, asking whether it should apply to
+ * this workspace only or to all workspaces when a workspace is open. Saving
+ * a local target also clears `remoteTarget` in the same scope.
+ *
+ * @param {string} key Setting key, e.g. `macAfterEffectsBundle` or `remoteTarget`
+ * @param {string} value Value to save
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function saveTargetSetting(key, value) {
+  let target = vscode.ConfigurationTarget.Global;
+  if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+    const scope = await vscode.window.showQuickPick([
+      { label: 'This workspace', description: 'Saved in the workspace settings', value: vscode.ConfigurationTarget.Workspace },
+      { label: 'All workspaces', description: 'Saved in your user settings', value: vscode.ConfigurationTarget.Global }
+    ], {
+      placeHolder: 'Where should this After Effects target be saved?',
+      ignoreFocusOut: true
+    });
+    if (!scope) {
+      return false;
+    }
+    target = scope.value;
+  }
+
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  await config.update(key, value, target);
+  // Choosing a local version stops runs from going to a remote target
+  if (key !== 'remoteTarget' && config.get('remoteTarget')) {
+    await config.update('remoteTarget', undefined, target);
+  }
+  if (target === vscode.ConfigurationTarget.Global && config.inspect(key).workspaceValue !== undefined) {
+    vscode.window.showWarningMessage('This workspace overrides the After Effects target in its own settings, so the new user setting does not apply here.');
+  }
+  return true;
+}
+
+/**
+ * Work out which After Effects a document will run against, and why.
+ *
+ * @param {vscode.TextDocument|undefined} document The document, whose `@ae-target` pin applies
+ * @returns {Promise<{remote?: Object, installation?: Object, pin: string|null, configured?: string, source: string}>} The remote target or matching installation, if any, and where the choice comes from
+ */
+async function resolveActiveTarget(document) {
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const pin = document ? parseTargetDirective(document.getText()) : null;
+  const remote = selectRemoteTarget(pin, config.get('remoteTarget'), config.get('remoteTargets'));
+  if (remote) {
+    return { remote, pin, source: pin ? `pinned by "@ae-target ${pin}" in this file` : 'remoteTarget setting' };
+  }
+  const installed = process.platform === 'darwin' || process.platform === 'win32' ? await installationCache.get() : [];
+  const key = getTargetSettingKey();
+  const configured = config.get(key);
+
+  if (pin) {
+    return { installation: matchInstallation(pin, installed), pin, source: `pinned by "@ae-target ${pin}" in this file` };
+  }
+  if (!configured || configured === 'auto') {
+    return { installation: matchInstallation('auto', installed), pin, source: 'newest installed version (auto)' };
+  }
+  const inspected = config.inspect(key);
+  return {
+    installation: matchInstallation(configured, installed),
+    pin,
+    configured,
+    source: inspected.workspaceValue !== undefined ? 'workspace setting' : 'user setting'
+  };
+}
+
+/**
+ * Describe which After Effects the active file will run against, and why.
+ *
+ * @param {vscode.TextDocument|undefined} document The active document
+ * @returns {Promise<{text: string, tooltip: string}>} Status bar text and tooltip
+ */
+async function describeActiveTarget(document) {
+  const { remote, installation, pin, configured, source } = await resolveActiveTarget(document);
+  if (remote) {
+    return { text: `$(remote) AE: ${remote.name}`, tooltip: `Runs on the remote target ${remote.name} at ${remote.url} — ${source}. Click to change.` };
+  }
+  if (!installation && pin) {
+    return { text: `$(warning) AE ${pin}`, tooltip: `@ae-target ${pin} does not match any installed After Effects version` };
+  }
+  if (!installation && configured) {
+    return { text: '$(play) AE: custom', tooltip: `Runs against ${configured} (${source})` };
+  }
+  if (!installation) {
+    return { text: '$(warning) AE: not found', tooltip: 'No After Effects installation detected' };
+  }
+  const name = getInstallationName(installation);
+  return {
+    text: `$(play) ${name.replace(/^After Effects/, 'AE')}`,
+    tooltip: `Runs against ${name}${installation.version ? ` ${installation.version}` : ''} — ${source}. Click to change.`
+  };
+}
+
+/**
+ * Refresh the target status bar item for the active editor. It is only
+ * shown for script files on platforms with local installations, or when
+ * remote targets are configured.
+ */
+async function updateTargetStatusBar() {
+  const editor = vscode.window.activeTextEditor;
+  const isScript = editor && /\.(jsx|jsxinc|js)$/i.test(editor.document.fileName);
+  const hasRemotes = getRemoteTargets().length > 0;
+  if ((process.platform !== 'darwin' && process.platform !== 'win32' && !hasRemotes) || !isScript) {
+    targetStatusBarItem.hide();
+    return;
+  }
+  try {
+    const { text, tooltip } = await describeActiveTarget(editor && editor.document);
+    targetStatusBarItem.text = text;
+    targetStatusBarItem.tooltip = tooltip;
+  } catch (err) {
+    targetStatusBarItem.text = '$(warning) AE';
+    targetStatusBarItem.tooltip = `Could not detect After Effects: ${err.message}`;
+  }
+  targetStatusBarItem.show();
+}
+
+/**
+ * Handle browsing for AfterFX.exe manually on Windows
+ */
+async function handleBrowseForAfterFxExe() {
+  const uri = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Select AfterFX.exe',
+    defaultUri: vscode.Uri.file(getWindowsAdobeFolders()[0]),
+    filters: {
+      'AfterFX.exe': ['exe']
+    }
+  });
+
+  if (uri && uri[0]) {
+    const selectedPath = uri[0].fsPath;
+
+    // Validate it's actually the After Effects executable
+    if (path.basename(selectedPath).toLowerCase() !== 'afterfx.exe') {
+      vscode.window.showWarningMessage('Selected file is not AfterFX.exe.');
+      return;
+    }
+
+    if (!(await saveTargetSetting('winAfterEffectsExe', selectedPath))) {
+      return;
+    }
+    vscode.window.showInformationMessage(`After Effects target set to: ${selectedPath}`);
+  }
+}
+
+/**
+ * Turn watch mode on or off. While on, the watched script is re-run whenever
+ * it, one of its includes or, for run profiles, one of its setup or teardown
+ * scripts is saved. The active run profile or `executeFile` is watched when
+ * set; otherwise the file in the active editor.
+ */
+async function toggleWatchMode() {
+  if (activeWatch) {
+    stopWatching();
+    vscode.window.showInformationMessage('Watch mode stopped.');
+    return;
+  }
+
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const profile = getActiveRunProfile(config);
+  const executeFile = config.get('executeFile');
+  let watch;
+  if (profile) {
+    watch = {
+      name: profile.name,
+      entry: profile.entry,
+      extraFiles: [...profile.setup, ...profile.teardown],
+      resolve: (current) => resolveScriptPath(current)
+    };
+  } else if (executeFile && executeFile.trim().length > 0) {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : process.cwd();
+    const entry = path.resolve(base, executeFile);
+    watch = { name: path.basename(entry), entry, extraFiles: [], resolve: (current) => resolveFileScript(entry, current) };
+  } else {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.document.isUntitled) {
+      throw new Error('Open a saved JSX/JS file to watch it.');
+    }
+    const entry = editor.document.fileName;
+    watch = { name: path.basename(entry), entry, extraFiles: [], resolve: (current) => resolveFileScript(entry, current) };
+  }
+
+  watch.files = collectWatchedFiles(watch);
+  watch.scheduler = createRunScheduler(async () => {
+    const current = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      const script = await watch.resolve(current);
+      // Reuse the remembered parameter values instead of prompting on every save
+      const remembered = workspaceState.get(getArgsStorageKey(script.sourceUri), {});
+      await runScript({ ...script, args: { ...remembered, ...(script.args || {}) } }, current);
+    } catch (err) {
+      await showRunError(err);
+    } finally {
+      watch.files = collectWatchedFiles(watch);
+    }
+  }, {
+    debounceMs: config.get('watchDebounce'),
+    onStateChange: () => updateWatchStatusBar()
+  });
+  watch.listener = vscode.workspace.onDidSaveTextDocument((document) => {
+    if (!document.isUntitled && watch.files.has(path.resolve(document.fileName))) {
+      watch.scheduler.trigger();
+    }
+  });
+
+  activeWatch = watch;
+  updateWatchStatusBar();
+  vscode.window.showInformationMessage(`Watching ${watch.name}: it runs in After Effects whenever it or its includes are saved.`);
+}
+
+/**
+ * Stop watch mode if it is on.
+ */
+function stopWatching() {
+  if (!activeWatch) {
+    return;
+  }
+  activeWatch.scheduler.dispose();
+  activeWatch.listener.dispose();
+  activeWatch = null;
+  updateWatchStatusBar();
+}
+
+/**
+ * Collect the files whose saving re-runs a watched script: the entry file,
+ * the files it includes and any extra files such as setup scripts.
+ *
+ * @param {{entry: string, extraFiles: string[]}} watch The watch
+ * @returns {Set<string>} Absolute paths of the watched files
+ */
+function collectWatchedFiles(watch) {
+  const files = new Set([path.resolve(watch.entry), ...watch.extraFiles.map((file) => path.resolve(file))]);
+  try {
+    const source = readScriptSource(watch.entry);
+    if (hasIncludes(source)) {
+      for (const file of bundleSource(source, watch.entry, { readFile: readScriptSource }).files) {
+        files.add(path.resolve(file));
+      }
+    }
+  } catch (err) {
+    // A missing or broken include is reported by the next run; keep watching the entry file
+    console.log('Could not collect includes of watched script:', err.message);
+  }
+  return files;
+}
+
+/**
+ * Refresh the watch mode status bar item. It is only shown while watching.
+ */
+function updateWatchStatusBar() {
+  if (!activeWatch) {
+    watchStatusBarItem.hide();
+    return;
+  }
+  const state = activeWatch.scheduler.state;
+  watchStatusBarItem.text = state === 'running' ? `$(sync~spin) ${activeWatch.name}` : `$(eye) ${activeWatch.name}`;
+  watchStatusBarItem.tooltip = `${state === 'running' ? 'Running' : 'Watching'} ${activeWatch.name}: runs in After Effects when one of its ${activeWatch.files.size} watched file(s) is saved. Click to stop watching.`;
+  watchStatusBarItem.show();
+}
+
+/** Icons of the run states shown in the "AE Runs" view. */
+const RUN_STATUS_ICONS = {
+  running: 'sync~spin',
+  ok: 'pass',
+  error: 'error',
+  sent: 'arrow-right',
+  timeout: 'watch',
+  dryRun: 'eye',
+  interrupted: 'debug-disconnect',
+  cancelled: 'circle-slash'
+};
+
+/**
+ * Create the data provider of the "AE Runs" view. Each run expands into
+ * rows with its details.
+ *
+ * @returns {vscode.TreeDataProvider<Object> & {dispose: () => void}} The tree data provider
+ */
+function createHistoryTreeProvider() {
+  const emitter = new vscode.EventEmitter();
+  const subscription = runHistory.onChange(() => emitter.fire());
+
+  return {
+    onDidChangeTreeData: emitter.event,
+
+    getTreeItem(element) {
+      if (!element.id) {
+        const row = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.None);
+        row.description = element.description;
+        row.tooltip = element.tooltip || element.description;
+        return row;
+      }
+
+      const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.Collapsed);
+      item.id = element.id;
+      item.description = [
+        new Date(element.startedAt).toLocaleTimeString(),
+        element.duration !== undefined ? formatDuration(element.duration) : null,
+        element.selection ? 'selection' : null
+      ].filter(Boolean).join(' · ');
+      item.iconPath = new vscode.ThemeIcon(RUN_STATUS_ICONS[element.status] || 'circle-outline');
+      item.tooltip = `${element.name} — ${element.status}\n${new Date(element.startedAt).toLocaleString()}${element.via ? `\n${element.via}` : ''}`;
+      item.contextValue = 'aeScriptRunner.run';
+      return item;
+    },
+
+    getChildren(element) {
+      if (!element) {
+        return runHistory.list();
+      }
+      if (!element.id) {
+        return [];
+      }
+      return describeHistoryEntry(element);
+    },
+
+    dispose() {
+      subscription.dispose();
+      emitter.dispose();
+    }
+  };
+}
+
+/**
+ * Build the detail rows of a run in the "AE Runs" view.
+ *
+ * @param {Object} entry A run from the history
+ * @returns {{label: string, description: string, tooltip?: string}[]} Detail rows
+ */
+function describeHistoryEntry(entry) {
+  const rows = [
+    { label: 'Status', description: entry.status },
+    { label: 'File', description: vscode.Uri.parse(entry.file).fsPath },
+    { label: 'Target', description: entry.via || 'not sent' },
+    { label: 'Started', description: new Date(entry.startedAt).toLocaleString() }
+  ];
+  if (entry.duration !== undefined) {
+    rows.push({ label: 'Duration', description: formatDuration(entry.duration) });
+  }
+  if (entry.profile) {
+    rows.push({ label: 'Profile', description: entry.profile });
+  }
+  if (entry.args && Object.keys(entry.args).length > 0) {
+    rows.push({ label: 'Arguments', description: JSON.stringify(entry.args) });
+  }
+  if (entry.exitCode !== undefined) {
+    rows.push({ label: 'Exit code', description: String(entry.exitCode) });
+  }
+  if (entry.stderr) {
+    rows.push({ label: 'Stderr', description: entry.stderr.trim().split(/\r?\n/)[0], tooltip: entry.stderr });
+  }
+  if (entry.result && entry.result.ok && entry.result.result !== undefined) {
+    rows.push({ label: 'Result', description: entry.result.result });
+  }
+  if (entry.result && !entry.result.ok) {
+    const { name, message, line } = entry.result.error;
+    rows.push({ label: 'Error', description: `${name}: ${message}${line ? ` (line ${line})` : ''}` });
+  } else if (entry.error) {
+    rows.push({ label: 'Error', description: entry.error });
+  }
+  if (entry.result && entry.result.logs && entry.result.logs.length > 0) {
+    rows.push({ label: 'Output', description: `${entry.result.logs.length} line(s)`, tooltip: entry.result.logs.join('\n') });
+  }
+  return rows;
+}
+
+/**
+ * Format a duration for display.
+ *
+ * @param {number} ms Duration in milliseconds
+ * @returns {string} E.g. `850 ms` or `2.4 s`
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Run a script from the history again with the same target and arguments.
+ * Whole-file runs use the file as it is now; selections and untitled
+ * documents re-run the exact code that was sent.
+ *
+ * @param {Object} entry A run from the history
+ */
+async function rerunFromHistory(entry) {
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const sourceUri = vscode.Uri.parse(entry.file);
+  let script;
+  if (!entry.selection && sourceUri.scheme === 'file' && fs.existsSync(sourceUri.fsPath)) {
+    script = resolveFileScript(sourceUri.fsPath, config);
+  } else {
+    const snapshot = fs.readFileSync(entry.snapshotPath, 'utf8');
+    script = { path: writeTempScript(entry.name, snapshot), isTemp: true, sourceUri, params: [], target: null, lineOffset: entry.lineOffset };
+  }
+  await runScript({
+    ...script,
+    target: entry.pin,
+    args: entry.args,
+    setup: entry.setup,
+    teardown: entry.teardown,
+    profile: entry.profile || undefined
+  }, config);
+}
+
+/**
+ * Compare the script that was sent in a run with the current file.
+ *
+ * @param {Object} entry A run from the history
+ */
+async function diffWithCurrent(entry) {
+  const sourceUri = vscode.Uri.parse(entry.file);
+  if (sourceUri.scheme === 'file' && !fs.existsSync(sourceUri.fsPath)) {
+    throw new Error(`${sourceUri.fsPath} no longer exists.`);
+  }
+  await vscode.commands.executeCommand('vscode.diff', vscode.Uri.file(entry.snapshotPath), sourceUri,
+    `${entry.name} (sent ${new Date(entry.startedAt).toLocaleTimeString()}) ↔ current`);
+}
+
+/**
+ * Get the directory the run history of the open workspace is stored in.
+ *
+ * @param {vscode.ExtensionContext} context Extension context
+ * @returns {string} History directory
+ */
+function getHistoryDirectory(context) {
+  return context.storageUri
+    ? path.join(context.storageUri.fsPath, 'history')
+    : path.join(context.globalStorageUri.fsPath, 'history');
+}
+
+/**
+ * Load the run profiles defined for the open workspace.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @returns {Object[]} Run profiles, see `loadRunProfiles`
+ */
+function getRunProfiles(config) {
+  const folders = (vscode.workspace.workspaceFolders || []).map((folder) => folder.uri.fsPath);
+  return loadRunProfiles(folders, config.get('runProfiles'));
+}
+
+/**
+ * Get the run profile selected for this workspace.
+ *
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @returns {Object|null} The active profile, or null when the active editor or `executeFile` is run
+ */
+function getActiveRunProfile(config) {
+  const name = workspaceState.get(ACTIVE_RUN_PROFILE_KEY);
+  if (!name) {
+    return null;
+  }
+  const profile = getRunProfiles(config).find((item) => item.name === name);
+  if (!profile) {
+    throw new Error(`Run profile "${name}" no longer exists. Choose another one with "AE: Choose Run Profile".`);
+  }
+  return profile;
+}
+
+/**
+ * Let the user pick the run profile used by "AE: Run ExtendScript in After Effects".
+ */
+async function chooseRunProfile() {
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const profiles = getRunProfiles(config);
+  const active = workspaceState.get(ACTIVE_RUN_PROFILE_KEY);
+  const items = [
+    {
+      label: '$(file) Active editor',
+      description: !active ? 'active' : '',
+      detail: config.get('executeFile') ? `Runs ${config.get('executeFile')} (aeScriptRunner.executeFile)` : 'Runs the file in the active editor',
+      value: null
+    },
+    ...profiles.map((profile) => ({
+      label: `$(debug-configure) ${profile.name}`,
+      description: [profile.name === active ? 'active' : '', profile.target ? `AE ${profile.target}` : ''].filter(Boolean).join(' · '),
+      detail: vscode.workspace.asRelativePath(profile.entry),
+      value: profile.name
+    }))
+  ];
+
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: profiles.length > 0
+      ? 'Choose what "AE: Run ExtendScript in After Effects" runs'
+      : `No run profiles defined. Add them to ${RUN_PROFILES_FILE.replace(/\\/g, '/')} or the aeScriptRunner.runProfiles setting.`
+  });
+  if (!selected) {
+    return;
+  }
+  await workspaceState.update(ACTIVE_RUN_PROFILE_KEY, selected.value || undefined);
+  updateRunProfileStatusBar();
+}
+
+/**
+ * Refresh the run profile status bar item. It is only shown when the
+ * workspace defines run profiles or one is active.
+ */
+function updateRunProfileStatusBar() {
+  const config = vscode.workspace.getConfiguration('aeScriptRunner');
+  const active = workspaceState.get(ACTIVE_RUN_PROFILE_KEY);
+  let profiles;
+  try {
+    profiles = getRunProfiles(config);
+  } catch (err) {
+    runProfileStatusBarItem.text = '$(warning) AE profile';
+    runProfileStatusBarItem.tooltip = err.message;
+    runProfileStatusBarItem.show();
+    return;
+  }
+
+  if (profiles.length === 0 && !active) {
+    runProfileStatusBarItem.hide();
+    return;
+  }
+  if (active && !profiles.some((profile) => profile.name === active)) {
+    runProfileStatusBarItem.text = `$(warning) ${active}`;
+    runProfileStatusBarItem.tooltip = `Run profile "${active}" no longer exists. Click to choose another one.`;
+  } else {
+    runProfileStatusBarItem.text = `$(debug-configure) ${active || 'Active editor'}`;
+    runProfileStatusBarItem.tooltip = active
+      ? `"AE: Run ExtendScript in After Effects" runs the "${active}" profile. Click to change.`
+      : '"AE: Run ExtendScript in After Effects" runs the active editor. Click to choose a run profile.';
+  }
+  runProfileStatusBarItem.show();
+}
+
+/** Icons of project items in the "AE Project" view, by item type. */
+const PROJECT_ITEM_ICONS = {
+  comp: 'symbol-class',
+  folder: 'folder',
+  footage: 'file-media'
+};
+
+/**
+ * Read part of the open After Effects project by running a query script.
+ *
+ * @param {{item: number, layer?: number, properties?: number[]}|null} location What to read, see `buildProjectQueryScript`
+ * @returns {Promise<Object|null>} The parsed report, or null if the run was cancelled or produced no result
+ */
+async function queryProject(location) {
+  const queryPath = writeTempScript('project-query.jsx', buildProjectQueryScript(location));
+  const result = await runScript({
+    path: queryPath,
+    isTemp: true,
+    sourceUri: vscode.Uri.file(queryPath),
+    params: [],
+    target: null,
+    undoGroup: false,
+    quiet: true,
+    history: false,
+    title: 'Reading the After Effects project'
+  }, vscode.workspace.getConfiguration('aeScriptRunner'));
+  if (!result) {
+    return null;
+  }
+  if (!result.ok) {
+    throw new Error(result.error.message);
+  }
+  return parseProjectReport(result.result);
+}
+
+/**
+ * Create the tree data provider of the "AE Project" view. The project is
+ * only read once the user loads it, since running a script may start After
+ * Effects; layers and properties are read when their parent is expanded.
+ * Elements are project items (`kind: 'item'`) or layers and properties,
+ * which carry the location to query their children and the path from their
+ * layer down to them.
+ *
+ * @returns {vscode.TreeDataProvider & {refresh: () => void, dispose: () => void}} The provider
+ */
+function createProjectTreeProvider() {
+  const emitter = new vscode.EventEmitter();
+  let loaded = false;
+  let project = null;
+
+  const readChildren = async (location) => {
+    const report = await queryProject(location);
+    return report ? markUniqueNames(report.children) : [];
+  };
+
+  return {
+    onDidChangeTreeData: emitter.event,
+
+    refresh() {
+      loaded = true;
+      project = null;
+      emitter.fire();
+    },
+
+    getTreeItem(element) {
+      if (element.kind === 'item') {
+        const { item } = element;
+        const expandable = item.type === 'folder' || (item.type === 'comp' && item.numLayers > 0);
+        const row = new vscode.TreeItem(item.name, expandable ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
+        row.description = item.type === 'comp' ? `${item.numLayers} layer${item.numLayers === 1 ? '' : 's'}` : undefined;
+        row.iconPath = new vscode.ThemeIcon(PROJECT_ITEM_ICONS[item.type]);
+        row.tooltip = buildReferencePath(item.index);
+        row.contextValue = 'aeScriptRunner.projectItem';
+        return row;
+      }
+
+      const { data } = element;
+      const isLayer = element.kind === 'layer';
+      const row = new vscode.TreeItem(isLayer ? `${data.index}. ${data.name}` : data.name,
+        data.group ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
+      row.description = data.value !== undefined ? `${data.value} · ${data.matchName}` : data.matchName;
+      row.iconPath = new vscode.ThemeIcon(isLayer ? 'layers' : data.group ? 'symbol-namespace' : 'symbol-property');
+      row.tooltip = [
+        buildReferencePath(element.itemIndex, element.segments),
+        data.numKeys ? `${data.numKeys} keyframes` : null,
+        data.expression ? `Expression: ${data.expression}` : null
+      ].filter(Boolean).join('\n');
+      row.contextValue = 'aeScriptRunner.projectItem';
+      return row;
+    },
+
+    async getChildren(element) {
+      if (!loaded) {
+        return [];
+      }
+      try {
+        if (!element || element.item) {
+          if (!project) {
+            project = await queryProject(null);
+          }
+          if (!project) {
+            return [];
+          }
+          if (element && element.item.type === 'comp') {
+            const layers = await readChildren({ item: element.item.index });
+            return layers.map((layer) => ({
+              kind: 'layer',
+              itemIndex: element.item.index,
+              segments: [layer],
+              location: { item: element.item.index, layer: layer.index, properties: [] },
+              data: layer
+            }));
+          }
+          return getFolderItems(project, element ? element.item.id : project.rootId).map((item) => ({ kind: 'item', item }));
+        }
+
+        const properties = await readChildren(element.location);
+        return properties.map((property) => ({
+          kind: 'property',
+          itemIndex: element.itemIndex,
+          segments: [...element.segments, property],
+          location: { ...element.location, properties: [...element.location.properties, property.index] },
+          data: property
+        }));
+      } catch (err) {
+        vscode.window.showErrorMessage(`Could not read the After Effects project: ${err.message}`);
+        return [];
+      }
+    },
+
+    dispose() {
+      emitter.dispose();
+    }
+  };
+}
+
+/**
+ * Build the ExtendScript expression for an element of the "AE Project" view.
+ *
+ * @param {Object} element Element from `createProjectTreeProvider`
+ * @returns {string} ExtendScript expression accessing the element
+ */
+function getProjectReference(element) {
+  return element.kind === 'item'
+    ? buildReferencePath(element.item.index)
+    : buildReferencePath(element.itemIndex, element.segments);
+}
+
+/**
+ * Insert the reference to an element of the "AE Project" view at the
+ * cursor, or copy it to the clipboard when no editor is open.
+ *
+ * @param {Object} element Element from `createProjectTreeProvider`
+ */
+async function insertProjectReference(element) {
+  const reference = getProjectReference(element);
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    await vscode.env.clipboard.writeText(reference);
+    vscode.window.showInformationMessage(`No editor is open; copied ${reference} to the clipboard.`);
+    return;
+  }
+  await editor.edit((edit) => {
+    for (const selection of editor.selections) {
+      edit.replace(selection, reference);
+    }
+  });
+}
+
+/**
+ * Get the setting that selects the After Effects version on this platform.
+ *
+ * @returns {string} `winAfterEffectsExe` on Windows, `macAfterEffectsBundle` elsewhere
+ */
+function getTargetSettingKey() {
+  return process.platform === 'win32' ? 'winAfterEffectsExe' : 'macAfterEffectsBundle';
+}
+
+/**
+ * Get the configured remote targets.
+ *
+ * @returns {{name: string, url: string, token?: string}[]} Remote targets with a name and URL
+ */
+function getRemoteTargets() {
+  const remoteTargets = vscode.workspace.getConfiguration('aeScriptRunner').get('remoteTargets') || [];
+  return remoteTargets.filter((item) => item && item.name && item.url);
+}
+
+/**
+ * Add the token of a remote target from secret storage. A token in the
+ * `remoteTargets` setting is still honored when no secret is stored.
+ *
+ * @param {{name: string, url: string, token?: string}|null} remote Remote target
+ * @returns {Promise<{name: string, url: string, token: string}|null>} The remote target with its token, empty if none is set
+ */
+async function withRemoteToken(remote) {
+  if (!remote) {
+    return null;
+  }
+  const token = await secretStorage.get(`${REMOTE_TOKEN_KEY_PREFIX}${remote.name}`);
+  return { ...remote, token: token || remote.token || '' };
+}
+
+/**
+ * Ask for the token of a remote target and keep it in secret storage, so it
+ * stays out of settings files. An empty token removes the stored one.
+ *
+ * @returns {Promise<void>}
+ */
+async function setRemoteTargetToken() {
+  const remotes = getRemoteTargets();
+  if (remotes.length === 0) {
+    vscode.window.showWarningMessage('Add a remote target to aeScriptRunner.remoteTargets first.');
+    return;
+  }
+  const picked = remotes.length === 1 ? { remote: remotes[0] } : await vscode.window.showQuickPick(
+    remotes.map((remote) => ({ label: remote.name, description: remote.url, remote })),
+    { placeHolder: 'Remote target to set the token for' }
+  );
+  if (!picked) {
+    return;
+  }
+  const token = await vscode.window.showInputBox({
+    prompt: `Token printed by the agent for ${picked.remote.name}. Leave empty to remove the stored token.`,
+    password: true,
+    ignoreFocusOut: true
+  });
+  if (token === undefined) {
+    return;
+  }
+  const key = `${REMOTE_TOKEN_KEY_PREFIX}${picked.remote.name}`;
+  if (token.trim()) {
+    await secretStorage.store(key, token.trim());
+    vscode.window.showInformationMessage(`Token stored for remote target ${picked.remote.name}.`);
+  } else {
+    await secretStorage.delete(key);
+    vscode.window.showInformationMessage(`Token removed for remote target ${picked.remote.name}.`);
+  }
+}
+
+/**
+ * Build version picker entries for the remote targets, asking each agent
+ * which installations it can run.
+ *
+ * @returns {Promise<vscode.QuickPickItem[]>} One entry per remote target, with its name in `remote`
+ */
+async function getRemoteTargetOptions() {
+  return Promise.all(getRemoteTargets().map(async (item) => {
+    const remote = await withRemoteToken(item);
+    const info = remote.token ? await pingRemote(remote, 1500) : null;
+    let description = remote.token ? 'Not reachable' : 'No token set';
+    if (info) {
+      description = info.installations.length > 0
+        ? info.installations.map((item) => `${item.name}${item.version ? ` ${item.version}` : ''}`).join(', ')
+        : 'No After Effects detected';
+    }
+    return { label: `🌐 ${remote.name}`, description, detail: remote.url, remote: remote.name };
+  }));
+}
+
+/**
+ * Get a user-friendly name for a detected installation.
+ *
+ * @param {{bundleId?: string, name?: string}} installation A detected installation
+ * @returns {string} Display name
+ */
+function getInstallationName(installation) {
+  return installation.name || bundleIdToDisplayName(installation.bundleId);
+}
+
+/**
+ * Describe a target for the public API.
+ *
+ * @param {{remote?: Object, installation?: Object}} target A remote target or a detected installation
+ * @returns {{kind: 'local'|'remote', id: string, name: string, version: string, path?: string|null, url?: string}} The target; `id` can be passed as `target` to `runScript`
+ */
+function toApiTarget({ remote, installation }) {
+  if (remote) {
+    return { kind: 'remote', id: `${REMOTE_TARGET_PREFIX}${remote.name}`, name: remote.name, version: '', url: remote.url };
+  }
+  return {
+    kind: 'local',
+    id: installation.appPath || installation.exePath || installation.bundleId,
+    name: getInstallationName(installation),
+    version: installation.version || '',
+    path: installation.appPath || installation.exePath || null
+  };
+}
+
+/**
+ * Map the error of a harness result back to the source it came from, see
+ * `resolveErrorLocation`.
+ *
+ * @param {Object|undefined} result Parsed harness result
+ * @param {Object} script The resolved script the result belongs to
+ * @returns {Object|null} The result, with the error's `fileName` and `line` pointing into the source
  */
-async function getBundleVersion(bundleId) {
-  try {
-    const versionResult = await new Promise((resolve) => {
-      const testCommand = `osascript -l JavaScript -e "Application('${bundleId}').version()"`;
-      cp.exec(testCommand, { timeout: 3000 }, (error, stdout, stderr) => {
-        if (!error && stdout.trim()) {
-          resolve(stdout.trim());
-        } else {
-          resolve('');
-        }
-      });
-    });
-    return versionResult;
-  } catch (err) {
-    return '';
+function mapResultToSource(result, script) {
+  if (!result || result.ok) {
+    return result || null;
   }
+  const location = resolveErrorLocation(result.error.fileName, result.error.line || 1, { ...script, scriptPath: script.path });
+  return location ? { ...result, error: { ...result.error, fileName: location.uri.fsPath, line: location.line } } : result;
 }
 
 /**
- * Convert a bundle identifier to a user-friendly display name
- * 
- * @param {string} bundleId Bundle identifier
- * @returns {string} User-friendly name
+ * Resolve the script a caller of the public API asked to run.
+ *
+ * @param {string|vscode.Uri} source ExtendScript code, or the URI of a script file
+ * @param {Object} options Options passed to `runScript`, see `createPublicApi`
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @returns {Object} The resolved script, see `runScriptWithOutcome`
  */
-function bundleIdToDisplayName(bundleId) {
-  // Handle new naming convention (AE 2025+)
-  if (bundleId === 'com.adobe.AfterEffects.application') {
-    return 'After Effects 2025+';
-  }
-  
-  // Handle specific version naming
-  if (bundleId === 'com.adobe.AfterEffects') {
-    return 'After Effects 2024';
-  }
-  
-  // Handle legacy versioned naming
-  if (bundleId.includes('.2023')) {
-    return 'After Effects 2023';
-  }
-  if (bundleId.includes('.2022')) {
-    return 'After Effects 2022';
-  }
-  if (bundleId.includes('.2021')) {
-    return 'After Effects 2021';
-  }
-  
-  // Handle generic fallback
-  if (bundleId === 'com.adobe.aftereffects') {
-    return 'After Effects (Generic)';
-  }
-  
-  // For any unknown bundle IDs, try to extract year or show as-is
-  const yearMatch = bundleId.match(/\.(\d{4})$/);
-  if (yearMatch) {
-    return `After Effects ${yearMatch[1]}`;
+function resolveApiScript(source, options, config) {
+  let script;
+  if (source instanceof vscode.Uri) {
+    script = resolveFileScript(source.fsPath, config);
+  } else if (typeof source === 'string') {
+    // Code resolves its includes relative to the first workspace folder, like untitled documents
+    const name = options.name || 'script.jsx';
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    const entryFile = path.join(workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : os.tmpdir(), name);
+    const bundle = bundleIfNeeded(source, entryFile, config);
+    const tempFile = writeTempScript(name, bundle ? bundle.code : source);
+    // The temp file is gone once the run finished, so the history could not run or compare it again
+    script = { path: tempFile, isTemp: true, sourceUri: vscode.Uri.file(tempFile), ...readScriptHeader(source), history: false };
+    if (bundle) {
+      Object.assign(script, { entryFile, lineMap: bundle.lineMap });
+    }
+  } else {
+    throw new Error('runScript expects ExtendScript code or the vscode.Uri of a script file.');
   }
-  
-  return bundleId; // Fallback to showing the bundle ID itself
+  // Relative paths are relative to the first workspace folder, not the directory VS Code was started in
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  const base = workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : os.homedir();
+  const toPath = (item) => (item instanceof vscode.Uri ? item.fsPath : path.resolve(base, item));
+  return {
+    ...script,
+    target: options.target || script.target,
+    args: options.args,
+    setup: (options.setup || []).map(toPath),
+    teardown: (options.teardown || []).map(toPath),
+    undoGroup: options.undoGroup,
+    quiet: options.quiet !== false,
+    title: options.title
+  };
 }
 
 /**
- * Get suggestions for After Effects bundle identifiers based on actual installation patterns.
- * 
- * @returns {string[]} Array of suggested bundle identifiers
+ * Create the API other extensions get from `activate`, e.g. through
+ * `vscode.extensions.getExtension(...).activate()`. Runs started through it
+ * share the queue, targets, bridge and history of the commands.
+ *
+ * - `runScript(source, options)` runs ExtendScript code, or a script file
+ *   given as a `vscode.Uri`. Options: `args` (parameter values; missing ones
+ *   are prompted for), `target` (an `@ae-target` pin or a target `id`),
+ *   `setup`/`teardown` (script paths), `undoGroup: false`, `name` (file name
+ *   for code), `title`, `quiet: false` to report the outcome like the run
+ *   command, and `token` (a `vscode.CancellationToken`). It resolves to
+ *   `{status, via, result}` and rejects when the script could not be sent.
+ *   Code runs are not recorded in the run history; file runs are
+ * - `listTargets()` lists detected installations and remote targets
+ * - `getActiveTarget(uri)` tells which target a script would run against
+ * - `onDidChangeRunState` and `onDidFinishRun` report every run, whoever started it
+ *
+ * @returns {{api: Object, disposables: vscode.Disposable[]}} The API and what to dispose on deactivation
  */
-function getAfterEffectsBundleSuggestions() {
-  return [
-    'com.adobe.AfterEffects.application', // AE 2025+ (newest naming convention)
-    'com.adobe.AfterEffects', // AE 2024 and some versions
-    'com.adobe.aftereffects', // Legacy/fallback
-    'com.adobe.aftereffects.2023', // Older versions might still use this
-    'com.adobe.aftereffects.2022',
-    'com.adobe.aftereffects.2021'
-  ];
+function createPublicApi() {
+  const stateEmitter = new vscode.EventEmitter();
+  const finishEmitter = new vscode.EventEmitter();
+  const describeRun = (run) => ({ id: run.id, name: run.name, state: run.state });
+
+  const queueListener = runQueue.onDidChange((run) => {
+    stateEmitter.fire(describeRun(run));
+    // Runs are reported as soon as they are queued; follow each one to its end once
+    if (run.state === 'queued') {
+      run.done.then(
+        () => finishEmitter.fire({ ...describeRun(run), status: run.outcome ? run.outcome.status : 'cancelled' }),
+        (err) => finishEmitter.fire({ ...describeRun(run), status: 'error', error: err.message })
+      );
+    }
+  });
+
+  const api = {
+    version: 1,
+
+    async runScript(source, options = {}) {
+      const config = vscode.workspace.getConfiguration('aeScriptRunner');
+      const script = resolveApiScript(source, options, config);
+      const outcome = await runScriptWithOutcome(script, config, options.token);
+      return { status: outcome.status, via: outcome.via, result: mapResultToSource(outcome.result, script) };
+    },
+
+    async listTargets() {
+      const installed = process.platform === 'darwin' || process.platform === 'win32' ? await installationCache.get() : [];
+      return [
+        ...installed.map((installation) => toApiTarget({ installation })),
+        ...getRemoteTargets().map((remote) => toApiTarget({ remote }))
+      ];
+    },
+
+    async getActiveTarget(uri) {
+      const document = uri ? await vscode.workspace.openTextDocument(uri) : undefined;
+      const target = await resolveActiveTarget(document);
+      if (!target.remote && !target.installation) {
+        return null;
+      }
+      return { ...toApiTarget(target), source: target.source };
+    },
+
+    onDidChangeRunState: stateEmitter.event,
+    onDidFinishRun: finishEmitter.event
+  };
+
+  return { api, disposables: [queueListener, stateEmitter, finishEmitter] };
 }
 
+/** Type of the tasks contributed for ExtendScript runs, see `taskDefinitions` in package.json. */
+const TASK_TYPE = 'aeScript';
+
 /**
- * Dynamically discover After Effects installations by scanning /Applications folder
- * This makes the extension future-proof for AE 2026, 2027, etc.
- * 
- * @returns {Promise<string[]>} Array of discovered bundle identifiers
+ * Resolve the script an `aeScript` task runs: its `profile`, or its
+ * `script` relative to the task's workspace folder, with the task's `args`,
+ * `target`, `setup` and `teardown` on top. Paths are relative to the
+ * workspace folder.
+ *
+ * @param {{script?: string, profile?: string, args?: Object, target?: string, setup?: string|string[], teardown?: string|string[]}} definition Task definition, with variables resolved
+ * @param {vscode.WorkspaceFolder|undefined} folder Workspace folder of the task
+ * @param {vscode.WorkspaceConfiguration} config Extension configuration
+ * @returns {Object} The resolved script, see `runScriptWithOutcome`
  */
-async function discoverAfterEffectsInstallations() {
-  if (process.platform !== 'darwin') {
-    return [];
-  }
-  
-  const discovered = [];
-  
-  try {
-    // Scan /Applications for After Effects installations
-    const applicationsPath = '/Applications';
-    const items = fs.readdirSync(applicationsPath);
-    
-    for (const item of items) {
-      if (item.startsWith('Adobe After Effects')) {
-        const appPath = path.join(applicationsPath, item, `${item}.app`, 'Contents', 'Info.plist');
-        
-        try {
-          if (fs.existsSync(appPath)) {
-            // Try to read the bundle identifier
-            const bundleId = await new Promise((resolve) => {
-              cp.exec(`defaults read "${appPath}" CFBundleIdentifier`, (error, stdout, stderr) => {
-                if (!error && stdout.trim()) {
-                  resolve(stdout.trim());
-                } else {
-                  resolve(null);
-                }
-              });
-            });
-            
-            if (bundleId && !discovered.includes(bundleId)) {
-              discovered.push(bundleId);
-            }
-          }
-        } catch (err) {
-          // Skip this installation if we can't read its info
-          continue;
-        }
-      }
+function resolveTaskScript(definition, folder, config) {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  const base = folder ? folder.uri.fsPath : (workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : os.homedir());
+  const resolvePaths = (value) => [].concat(value).map((item) => path.resolve(base, item));
+  let script;
+  if (definition.profile) {
+    const profile = getRunProfiles(config).find((item) => item.name === definition.profile);
+    if (!profile) {
+      throw new Error(`Run profile "${definition.profile}" is not defined.`);
     }
-  } catch (err) {
-    console.log('Could not scan Applications folder:', err.message);
+    script = resolveProfileScript(profile, config);
+  } else if (definition.script) {
+    script = resolveFileScript(path.resolve(base, definition.script), config);
+  } else {
+    throw new Error('An aeScript task needs a "script" or a "profile".');
   }
-  
-  return discovered;
+  return {
+    ...script,
+    target: definition.target || script.target,
+    args: { ...(script.args || {}), ...(definition.args || {}) },
+    setup: definition.setup ? resolvePaths(definition.setup) : script.setup,
+    teardown: definition.teardown ? resolvePaths(definition.teardown) : script.teardown,
+    quiet: true
+  };
 }
 
 /**
- * Detect installed After Effects versions on macOS by checking common bundle identifiers
- * and scanning the Applications folder for future-proofing
- * 
- * @returns {Promise<string[]>} Array of detected bundle identifiers
+ * Create the terminal an `aeScript` task runs in. Output is printed like
+ * `ae-run` prints it, with errors pointing into the source, so the `$aeScript`
+ * problem matcher can pick them up; the exit code follows `ae-run` too.
+ *
+ * @param {Object} definition Task definition, with variables resolved
+ * @param {vscode.WorkspaceFolder|undefined} folder Workspace folder of the task
+ * @returns {vscode.Pseudoterminal} The task's terminal
  */
-async function detectInstalledAfterEffects() {
-  if (process.platform !== 'darwin') {
-    return [];
-  }
-  
-  const installed = new Set(); // Use Set to avoid duplicates
-  
-  // First, try the known bundle IDs
-  const knownBundles = getAfterEffectsBundleSuggestions();
-  for (const bundleId of knownBundles) {
-    try {
-      await new Promise((resolve) => {
-        const testCommand = `osascript -l JavaScript -e "Application('${bundleId}').version()"`;
-        cp.exec(testCommand, { timeout: 5000 }, (error, stdout, stderr) => {
-          if (!error && stdout.trim()) {
-            installed.add(bundleId);
-            console.log(`Found After Effects: ${bundleId} (version: ${stdout.trim()})`);
-          }
-          resolve();
-        });
-      });
-    } catch (err) {
-      // This bundle doesn't exist, continue
-    }
-  }
-  
-  // Then, discover any additional installations (future-proofing)
-  const discovered = await discoverAfterEffectsInstallations();
-  for (const bundleId of discovered) {
-    if (!installed.has(bundleId)) {
-      // Test if this discovered bundle actually works with JXA
+function createTaskTerminal(definition, folder) {
+  const writeEmitter = new vscode.EventEmitter();
+  const closeEmitter = new vscode.EventEmitter();
+  const cancellation = new vscode.CancellationTokenSource();
+  const stream = { write: (text) => writeEmitter.fire(text.replace(/\r?\n/g, '\r\n')) };
+
+  return {
+    onDidWrite: writeEmitter.event,
+    onDidClose: closeEmitter.event,
+
+    async open() {
+      const config = vscode.workspace.getConfiguration('aeScriptRunner');
+      let exitCode;
       try {
-        await new Promise((resolve) => {
-          const testCommand = `osascript -l JavaScript -e "Application('${bundleId}').version()"`;
-          cp.exec(testCommand, { timeout: 3000 }, (error, stdout, stderr) => {
-            if (!error && stdout.trim()) {
-              installed.add(bundleId);
-              console.log(`Discovered working After Effects: ${bundleId} (version: ${stdout.trim()})`);
-            }
-            resolve();
-          });
-        });
+        const script = resolveTaskScript(definition, folder, config);
+        stream.write(`Running ${path.basename(script.sourceUri.fsPath)} in After Effects...\n`);
+        const outcome = await runScriptWithOutcome(script, config, cancellation.token);
+        printOutcome({ ...outcome, result: mapResultToSource(outcome.result, script) }, { stdout: stream, stderr: stream });
+        if (outcome.status === 'cancelled' && !outcome.error) {
+          stream.write('Run cancelled.\n');
+        }
+        exitCode = getExitCode(outcome);
       } catch (err) {
-        // Skip if it doesn't work
+        stream.write(`${err.message}\n`);
+        exitCode = isCancellation(err) ? EXIT_CODES.cancelled : EXIT_CODES.sendFailed;
       }
+      closeEmitter.fire(exitCode);
+    },
+
+    close() {
+      cancellation.cancel();
+      cancellation.dispose();
     }
-  }
-  
-  const result = Array.from(installed);
-  console.log(`Total detected After Effects versions: ${result.length}`);
-  return result;
+  };
 }
 
 /**
- * Build a shell command to send a script to After Effects based on the current OS.
+ * Build an `aeScript` task for a task definition.
  *
- * For macOS this uses JavaScript for Automation (JXA) via `osascript -l JavaScript`.
- * This approach has been shown to work reliably on Apple Silicon Macs when
- * `DoScriptFile` fails【368440511994649†L268-L283】. For Windows it calls the
- * AfterFX executable with the `-r` switch as documented in Adobe's scripting
- * guide【697721517310854†L285-L317】.
- *
- * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
- * @param {vscode.WorkspaceConfiguration} config Extension configuration
- * @returns {Promise<Object>} An object containing the command to execute and its arguments
+ * @param {Object} definition Task definition
+ * @param {vscode.WorkspaceFolder|vscode.TaskScope} scope Workspace folder or scope of the task
+ * @param {string} name Name shown in the task list
+ * @returns {vscode.Task} The task
  */
-async function buildCommand(scriptPath, config) {
-  const platform = process.platform;
-  if (platform === 'darwin') {
-    // Get the After Effects bundle identifier from config, or auto-detect
-    let bundleId = config.get('macAfterEffectsBundle');
-    
-    // If no bundle ID is configured or it's set to 'auto', detect installed versions
-    if (!bundleId || bundleId === 'auto') {
-      console.log('Auto-detecting After Effects versions...');
-      const installed = await detectInstalledAfterEffects();
-      if (installed.length > 0) {
-        bundleId = installed[0]; // Use the first (newest) detected version
-        console.log(`Auto-detected After Effects: ${bundleId}`);
-      } else {
-        // If detection fails, try the most common bundle IDs as fallback
-        console.log('Auto-detection failed, trying fallback bundle IDs...');
-        const fallbacks = ['com.adobe.aftereffects', 'com.adobe.aftereffects.2024', 'com.adobe.aftereffects.2025'];
-        for (const fallback of fallbacks) {
-          try {
-            // Quick test to see if this bundle works
-            await new Promise((resolve, reject) => {
-              const testCommand = `osascript -l JavaScript -e "Application('${fallback}').running()"`;
-              cp.exec(testCommand, { timeout: 3000 }, (error, stdout, stderr) => {
-                if (!error) {
-                  bundleId = fallback;
-                  console.log(`Fallback successful: ${bundleId}`);
-                }
-                resolve();
-              });
-            });
-            if (bundleId) break;
-          } catch (err) {
-            continue;
-          }
-        }
-        
-        // Final fallback
-        if (!bundleId) {
-          bundleId = 'com.adobe.aftereffects';
-          console.log(`Using final fallback: ${bundleId}`);
-        }
-      }
-    }
-    
-    // Escape single quotes in the path for insertion into single-quoted JXA string
-    const escapedPath = scriptPath.replace(/'/g, "\\'");
-    // Compose a JXA one‑liner that activates After Effects and runs the script file.
-    const jxa = `ae = Application('${bundleId}'); ae.activate(); ae.doscriptfile('${escapedPath}');`;
-    return {
-      command: 'osascript',
-      args: ['-l', 'JavaScript', '-e', jxa],
-      bundleId: bundleId
-    };
-  }
-  if (platform === 'win32') {
-    // Determine path to AfterFX.exe
-    const exe = config.get('winAfterEffectsExe');
-    const exePath = exe && exe.trim().length > 0 ? exe : 'AfterFX.exe';
-    return {
-      command: exePath,
-      args: ['-r', scriptPath]
-    };
-  }
-  // Unsupported platform
-  throw new Error('AE Script Runner only supports macOS and Windows at this time.');
+function createScriptTask(definition, scope, name) {
+  const folder = scope && scope.uri ? scope : undefined;
+  const task = new vscode.Task(definition, scope, name, 'AE', new vscode.CustomExecution(async (resolved) => createTaskTerminal(resolved, folder)), '$aeScript');
+  task.presentationOptions = { reveal: vscode.TaskRevealKind.Silent };
+  return task;
 }
 
 /**
- * Execute a shell command asynchronously.
+ * Create the provider of `aeScript` tasks. Every run profile is offered as a
+ * task; tasks in tasks.json can run any script.
  *
- * @param {string} command The executable to run
- * @param {string[]} args Array of arguments
- * @returns {Promise<void>}
+ * @returns {vscode.TaskProvider} The task provider
  */
-function executeCommand(command, args) {
-  return new Promise((resolve, reject) => {
-    const proc = cp.spawn(command, args, { shell: false });
-    let stderr = '';
-    proc.stdout.on('data', (data) => {
-      console.log(data.toString());
-    });
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || `Process exited with code ${code}`));
-      } else {
-        resolve();
+function createScriptTaskProvider() {
+  return {
+    provideTasks() {
+      const config = vscode.workspace.getConfiguration('aeScriptRunner');
+      const scope = (vscode.workspace.workspaceFolders || [])[0] || vscode.TaskScope.Workspace;
+      try {
+        return getRunProfiles(config).map((profile) => createScriptTask({ type: TASK_TYPE, profile: profile.name }, scope, profile.name));
+      } catch (err) {
+        console.log('Could not load run profiles for tasks:', err.message);
+        return [];
       }
-    });
-  });
+    },
+
+    resolveTask(task) {
+      const { definition } = task;
+      if (definition.type !== TASK_TYPE || (!definition.script && !definition.profile)) {
+        return undefined;
+      }
+      return createScriptTask(definition, task.scope, task.name);
+    }
+  };
 }
 
 /**
- * Handle browsing for After Effects application manually
+ * This method is called when your extension is activated. Your extension is
+ * activated the very first time the command is executed.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {Object} The API offered to other extensions, see `createPublicApi`
  */
-async function handleBrowseForAfterEffects() {
-  const uri = await vscode.window.showOpenDialog({
-    canSelectMany: false,
-    openLabel: 'Select After Effects',
-    defaultUri: vscode.Uri.file('/Applications'),
-    filters: {
-      'Applications': ['app']
+function activate(context) {
+  outputChannel = vscode.window.createOutputChannel('After Effects');
+  workspaceState = context.workspaceState;
+  secretStorage = context.secrets;
+  runFilesDirectory = path.join(context.globalStorageUri.fsPath, 'runs');
+  sweepOrphanedRunFiles(vscode.workspace.getConfiguration('aeScriptRunner'));
+  diagnosticCollection = vscode.languages.createDiagnosticCollection('aeScriptRunner');
+  installationCache = createInstallationCache(
+    context.globalState,
+    () => detectInstallations(),
+    () => getInstallationsStamp(getInstallationFolders())
+  );
+  if (process.platform === 'darwin' || process.platform === 'win32') {
+    // Warm the cache in the background so the first run does not pay for detection
+    installationCache.get().catch((err) => console.log('Could not detect After Effects installations:', err.message));
+  }
+
+  targetStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+  targetStatusBarItem.command = 'aeScriptRunner.chooseVersion';
+  updateTargetStatusBar();
+  const statusBarListeners = [
+    vscode.window.onDidChangeActiveTextEditor(() => updateTargetStatusBar()),
+    vscode.workspace.onDidSaveTextDocument((document) => {
+      const editor = vscode.window.activeTextEditor;
+      if (editor && editor.document === document) {
+        updateTargetStatusBar();
+      }
+    }),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('aeScriptRunner')) {
+        updateTargetStatusBar();
+        updateRunProfileStatusBar();
+      }
+      if (event.affectsConfiguration('aeScriptRunner.historySize')) {
+        runHistory.setLimit(vscode.workspace.getConfiguration('aeScriptRunner').get('historySize'));
+      }
+    })
+  ];
+
+  runProfileStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+  runProfileStatusBarItem.command = 'aeScriptRunner.chooseRunProfile';
+  updateRunProfileStatusBar();
+  const runProfilesWatcher = vscode.workspace.createFileSystemWatcher(`**/${RUN_PROFILES_FILE.replace(/\\/g, '/')}`);
+  runProfilesWatcher.onDidCreate(() => updateRunProfileStatusBar());
+  runProfilesWatcher.onDidChange(() => updateRunProfileStatusBar());
+  runProfilesWatcher.onDidDelete(() => updateRunProfileStatusBar());
+
+  runQueue = createRunQueue({ policy: () => vscode.workspace.getConfiguration('aeScriptRunner').get('concurrentRuns') });
+  runHistory = createRunHistory(getHistoryDirectory(context), { limit: vscode.workspace.getConfiguration('aeScriptRunner').get('historySize') });
+  const historyProvider = createHistoryTreeProvider();
+  const historyView = vscode.window.createTreeView('aeScriptRunner.history', { treeDataProvider: historyProvider });
+  const projectProvider = createProjectTreeProvider();
+  const projectView = vscode.window.createTreeView('aeScriptRunner.project', { treeDataProvider: projectProvider });
+  const { api, disposables: apiDisposables } = createPublicApi();
+  const taskProvider = vscode.tasks.registerTaskProvider(TASK_TYPE, createScriptTaskProvider());
+
+  watchStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 98);
+  watchStatusBarItem.command = 'aeScriptRunner.toggleWatch';
+
+  // Main command to run script
+  const runCommand = vscode.commands.registerCommand('aeScriptRunner.run', async () => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      await runScript(await resolveScriptPath(config), config);
+    } catch (err) {
+      await showRunError(err);
     }
   });
 
-  if (uri && uri[0]) {
-    const selectedPath = uri[0].fsPath;
-    
-    // Validate it's actually After Effects
-    if (!selectedPath.toLowerCase().includes('after effects')) {
-      vscode.window.showWarningMessage('Selected application does not appear to be After Effects.');
-      return;
+  // Command to run the selection, or the cell/function under the cursor
+  const runSelectionCommand = vscode.commands.registerCommand('aeScriptRunner.runSelection', async () => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      await runScript(resolveSelectionScript(config), config);
+    } catch (err) {
+      await showRunError(err);
     }
+  });
 
+  // Command to re-run the script whenever it or its includes are saved
+  const toggleWatchCommand = vscode.commands.registerCommand('aeScriptRunner.toggleWatch', async () => {
     try {
-      // Try to extract bundle identifier from the selected app
-      const infoPlistPath = path.join(selectedPath, 'Contents', 'Info.plist');
-      
-      const bundleId = await new Promise((resolve) => {
-        cp.exec(`defaults read "${infoPlistPath}" CFBundleIdentifier`, (error, stdout, stderr) => {
-          if (!error && stdout.trim()) {
-            resolve(stdout.trim());
-          } else {
-            resolve(null);
-          }
-        });
-      });
+      await toggleWatchMode();
+    } catch (err) {
+      vscode.window.showErrorMessage(err.message);
+    }
+  });
 
-      if (!bundleId) {
-        vscode.window.showErrorMessage('Could not read bundle identifier from selected application.');
-        return;
+  // Commands of the "AE Runs" view
+  const historyCommands = [
+    vscode.commands.registerCommand('aeScriptRunner.history.rerun', async (entry) => {
+      try {
+        await rerunFromHistory(entry);
+      } catch (err) {
+        await showRunError(err);
       }
+    }),
+    vscode.commands.registerCommand('aeScriptRunner.history.openSnapshot', async (entry) => {
+      try {
+        await vscode.window.showTextDocument(vscode.Uri.file(entry.snapshotPath), { preview: true });
+      } catch (err) {
+        vscode.window.showErrorMessage(`Could not open the script snapshot: ${err.message}`);
+      }
+    }),
+    vscode.commands.registerCommand('aeScriptRunner.history.diff', async (entry) => {
+      try {
+        await diffWithCurrent(entry);
+      } catch (err) {
+        vscode.window.showErrorMessage(`Could not compare with the current file: ${err.message}`);
+      }
+    }),
+    vscode.commands.registerCommand('aeScriptRunner.history.clear', () => runHistory.clear())
+  ];
 
-      // Test if this bundle ID works with JXA
-      const testResult = await new Promise((resolve) => {
-        const testCommand = `osascript -l JavaScript -e "Application('${bundleId}').version()"`;
-        cp.exec(testCommand, { timeout: 5000 }, (error, stdout, stderr) => {
-          resolve({ success: !error, version: stdout?.trim() });
-        });
-      });
+  // Commands of the AE Project view
+  const projectCommands = [
+    vscode.commands.registerCommand('aeScriptRunner.project.refresh', () => projectProvider.refresh()),
+    vscode.commands.registerCommand('aeScriptRunner.project.insertReference', async (element) => {
+      try {
+        await insertProjectReference(element);
+      } catch (err) {
+        vscode.window.showErrorMessage(`Could not insert the reference: ${err.message}`);
+      }
+    }),
+    vscode.commands.registerCommand('aeScriptRunner.project.copyReference', async (element) => {
+      await vscode.env.clipboard.writeText(getProjectReference(element));
+    })
+  ];
 
-      if (!testResult.success) {
-        vscode.window.showErrorMessage('Selected After Effects application is not accessible via scripting.');
-        return;
+  // ES3 compatibility checks for ExtendScript files
+  lintDiagnostics = vscode.languages.createDiagnosticCollection('aeScriptRunner.es3');
+  const lintTimers = new Map();
+  const lintListeners = [
+    vscode.workspace.onDidOpenTextDocument((document) => lintDocument(document)),
+    vscode.workspace.onDidChangeTextDocument(({ document }) => {
+      clearTimeout(lintTimers.get(document.uri.toString()));
+      lintTimers.set(document.uri.toString(), setTimeout(() => {
+        lintTimers.delete(document.uri.toString());
+        lintDocument(document);
+      }, 300));
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => lintDiagnostics.delete(document.uri)),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('aeScriptRunner.es3Lint')) {
+        vscode.workspace.textDocuments.forEach(lintDocument);
       }
+    }),
+    vscode.languages.registerCodeActionsProvider(
+      [{ language: 'javascript' }, { language: 'javascriptreact' }],
+      createLintFixProvider(),
+      { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    ),
+    { dispose: () => lintTimers.forEach((timer) => clearTimeout(timer)) }
+  ];
+  vscode.workspace.textDocuments.forEach(lintDocument);
 
-      // Save the bundle ID
-      const config = vscode.workspace.getConfiguration('aeScriptRunner');
-      await config.update('macAfterEffectsBundle', bundleId, vscode.ConfigurationTarget.Global);
-      
-      const displayName = bundleIdToDisplayName(bundleId);
-      vscode.window.showInformationMessage(`After Effects target set to: ${displayName} (${bundleId})`);
-      
+  const addTypeDefinitionsCommand = vscode.commands.registerCommand('aeScriptRunner.addTypeDefinitions', async () => {
+    try {
+      await addTypeDefinitions(context);
     } catch (err) {
-      vscode.window.showErrorMessage(`Failed to configure selected After Effects: ${err.message}`);
+      vscode.window.showErrorMessage(err.message);
     }
-  }
-}
+  });
 
-/**
- * This method is called when your extension is activated. Your extension is
- * activated the very first time the command is executed.
- *
- * @param {vscode.ExtensionContext} context
- */
-function activate(context) {
-  // Main command to run script
-  const runCommand = vscode.commands.registerCommand('aeScriptRunner.run', async () => {
+  // ExtendScript tests in the Test Explorer
+  const { controller: testController, disposables: testListeners } = createTestController();
+
+  // Commands to export scripts as JSXBIN
+  const exportJsxbinCommand = vscode.commands.registerCommand('aeScriptRunner.exportJsxbin', async (uri, selected) => {
     const config = vscode.workspace.getConfiguration('aeScriptRunner');
-    let tempFilePath = null;
-    
     try {
-      const { path: scriptPath, isTemp } = await resolveScriptPath(config);
-      if (isTemp) {
-        tempFilePath = scriptPath;
+      let files = (selected && selected.length > 0 ? selected : [uri]).filter(Boolean).map((item) => item.fsPath);
+      if (files.length === 0) {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.isUntitled) {
+          throw new Error('Open a saved JSX/JS file to export it as JSXBIN.');
+        }
+        if (editor.document.isDirty) {
+          await editor.document.save();
+        }
+        files = [editor.document.fileName];
       }
-      
-      const { command, args, bundleId } = await buildCommand(scriptPath, config);
-      await executeCommand(command, args);
-      vscode.window.showInformationMessage(`Sent script to After Effects: ${path.basename(scriptPath)}`);
+      await exportJsxbin(files, path.dirname(files[0]), config);
     } catch (err) {
-      console.error(err);
-      
-      // Provide helpful error message for macOS bundle issues
-      if (process.platform === 'darwin' && err.message.includes("Application can't be found")) {
-        const installed = await detectInstalledAfterEffects();
-        let errorMsg = 'Could not find After Effects. ';
-        
-        if (installed.length > 0) {
-          errorMsg += `Found these versions: ${installed.join(', ')}. Try running "AE: Choose After Effects Version" command.`;
-        } else {
-          errorMsg += 'No After Effects installations detected. Please make sure After Effects is installed.';
-        }
-        
-        vscode.window.showErrorMessage(errorMsg);
-      } else {
-        vscode.window.showErrorMessage(err.message || 'Failed to run script in After Effects');
+      await showRunError(err);
+    }
+  });
+
+  const exportJsxbinBatchCommand = vscode.commands.registerCommand('aeScriptRunner.exportJsxbinBatch', async (folderUri) => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      const batch = await pickJsxbinBatch(folderUri);
+      if (batch) {
+        await exportJsxbin(batch.files, batch.baseFolder, config);
       }
-    } finally {
-      // Clean up temporary file if one was created
-      if (tempFilePath) {
-        // Add a small delay to ensure After Effects has finished reading the file
-        setTimeout(() => cleanupTempFile(tempFilePath), 1000);
+    } catch (err) {
+      await showRunError(err);
+    }
+  });
+
+  // Command to undo the undo group of the last run
+  const undoLastRunCommand = vscode.commands.registerCommand('aeScriptRunner.undoLastRun', async () => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      await undoLastRun(config);
+    } catch (err) {
+      await showRunError(err);
+    }
+  });
+
+  // Commands to start and stop the persistent bridge inside After Effects
+  const startBridgeCommand = vscode.commands.registerCommand('aeScriptRunner.startBridge', async () => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      await startBridge(config);
+    } catch (err) {
+      await showRunError(err);
+    }
+  });
+
+  const stopBridgeCommand = vscode.commands.registerCommand('aeScriptRunner.stopBridge', async () => {
+    const config = vscode.workspace.getConfiguration('aeScriptRunner');
+    try {
+      await sendBridgeRequest({ method: 'stop' }, getBridgeOptions(config, 5000));
+      vscode.window.showInformationMessage('After Effects bridge stopped.');
+    } catch (err) {
+      if (isBridgeUnavailable(err)) {
+        vscode.window.showInformationMessage('After Effects bridge is not running.');
+      } else {
+        vscode.window.showErrorMessage(`Failed to stop the After Effects bridge: ${err.message}`);
       }
     }
   });
 
+  // Command to re-detect After Effects installations, bypassing the cache
+  const refreshInstallationsCommand = vscode.commands.registerCommand('aeScriptRunner.refreshInstallations', async () => {
+    try {
+      const installed = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Detecting After Effects installations...' },
+        () => installationCache.refresh()
+      );
+      updateTargetStatusBar();
+      const names = installed.map((item) => `${getInstallationName(item)}${item.version ? ` (${item.version})` : ''}`);
+      vscode.window.showInformationMessage(installed.length > 0
+        ? `Found After Effects: ${names.join(', ')}`
+        : 'No After Effects installations detected.');
+    } catch (err) {
+      vscode.window.showErrorMessage(`Failed to detect After Effects versions: ${err.message}`);
+    }
+  });
+
+  // Command to choose the run profile used by the run command
+  const chooseRunProfileCommand = vscode.commands.registerCommand('aeScriptRunner.chooseRunProfile', async () => {
+    try {
+      await chooseRunProfile();
+    } catch (err) {
+      vscode.window.showErrorMessage(err.message);
+    }
+  });
+
+  // Command to store the token of a remote target
+  const setRemoteTokenCommand = vscode.commands.registerCommand('aeScriptRunner.setRemoteToken', async () => {
+    try {
+      await setRemoteTargetToken();
+    } catch (err) {
+      vscode.window.showErrorMessage(`Failed to store the remote target token: ${err.message}`);
+    }
+  });
+
   // Command to choose After Effects version
   const chooseVersionCommand = vscode.commands.registerCommand('aeScriptRunner.chooseVersion', async () => {
-    if (process.platform !== 'darwin') {
-      vscode.window.showWarningMessage('Version selection is only available on macOS.');
+    const hasLocal = process.platform === 'darwin' || process.platform === 'win32';
+    if (!hasLocal && getRemoteTargets().length === 0) {
+      vscode.window.showWarningMessage('Version selection is only available on macOS and Windows, or with remote targets in aeScriptRunner.remoteTargets.');
       return;
     }
 
+    const settingKey = getTargetSettingKey();
+    const browse = process.platform === 'win32' ? handleBrowseForAfterFxExe : handleBrowseForAfterEffects;
+
     try {
-      const installed = await detectInstalledAfterEffects();
+      const [installed, remoteOptions] = await Promise.all([
+        hasLocal ? installationCache.get() : [],
+        getRemoteTargetOptions()
+      ]);
       
       // Create user-friendly options with version information
-      const installedOptions = await Promise.all(
-        installed.map(async (bundleId) => {
-          const displayName = bundleIdToDisplayName(bundleId);
-          const version = await getBundleVersion(bundleId);
-          
-          return {
-            label: `🎬 ${displayName}`,
-            description: version ? `Version ${version}` : 'Installed version',
-            detail: `Bundle ID: ${bundleId}`, // Technical details shown smaller
-            value: bundleId
-          };
-        })
-      );
+      const installedOptions = installed.map((item) => ({
+        label: `🎬 ${getInstallationName(item)}`,
+        description: item.version ? `Version ${item.version}` : 'Installed version',
+        detail: item.exePath || `Bundle ID: ${item.bundleId}${item.appPath ? ` — ${item.appPath}` : ''}`, // Technical details shown smaller
+        value: item.exePath || item.bundleId
+      }));
       
-      const allOptions = [
+      const allOptions = hasLocal ? [
         { 
           label: '🔍 Auto-detect (recommended)', 
           description: 'Automatically use the newest installed version', 
-          detail: 'Scans for all installed versions and picks the newest',
+          detail: 'Uses the installed version with the highest version number',
           value: 'auto' 
         },
         { 
@@ -544,10 +2875,18 @@ function activate(context) {
           detail: 'Use file picker to choose specific installation',
           value: 'browse' 
         },
-        ...installedOptions
+        ...installedOptions,
+        ...remoteOptions
+      ] : [
+        {
+          label: '💻 This machine',
+          description: 'Use the configured transport',
+          value: 'auto'
+        },
+        ...remoteOptions
       ];
 
-      if (installed.length === 0) {
+      if (installed.length === 0 && remoteOptions.length === 0) {
         // If no auto-detected versions, still show browse option
         const browseOptions = [
           { label: '📁 Browse for After Effects...', description: 'Manually select After Effects application', value: 'browse' }
@@ -559,23 +2898,33 @@ function activate(context) {
         });
         
         if (selected && selected.value === 'browse') {
-          await handleBrowseForAfterEffects();
+          await browse();
         }
         return;
       }
 
+      const editor = vscode.window.activeTextEditor;
+      const pin = editor ? parseTargetDirective(editor.document.getText()) : null;
       const selected = await vscode.window.showQuickPick(allOptions, {
-        placeHolder: 'Choose After Effects version to target',
+        placeHolder: pin
+          ? `This file is pinned to "@ae-target ${pin}". Choose the After Effects version for other files`
+          : 'Choose After Effects version to target',
         ignoreFocusOut: true
       });
 
       if (selected) {
         if (selected.value === 'browse') {
-          await handleBrowseForAfterEffects();
+          await browse();
+        } else if (selected.remote) {
+          if (!(await saveTargetSetting('remoteTarget', selected.remote))) {
+            return;
+          }
+          vscode.window.showInformationMessage(`After Effects target set to: remote ${selected.remote}`);
         } else {
-          const config = vscode.workspace.getConfiguration('aeScriptRunner');
-          await config.update('macAfterEffectsBundle', selected.value, vscode.ConfigurationTarget.Global);
-          vscode.window.showInformationMessage(`After Effects target set to: ${selected.label.replace(/^🎬 /, '')}`);
+          if (!(await saveTargetSetting(settingKey, selected.value))) {
+            return;
+          }
+          vscode.window.showInformationMessage(`After Effects target set to: ${selected.label.replace(/^(🎬|🔍|💻) /, '')}`);
         }
       }
     } catch (err) {
@@ -583,7 +2932,8 @@ function activate(context) {
     }
   });
 
-  context.subscriptions.push(runCommand, chooseVersionCommand);
+  context.subscriptions.push(outputChannel, diagnosticCollection, lintDiagnostics, ...lintListeners, testController, ...testListeners, historyProvider, historyView, ...historyCommands, projectProvider, projectView, ...projectCommands, ...apiDisposables, taskProvider, targetStatusBarItem, runProfileStatusBarItem, watchStatusBarItem, { dispose: stopWatching }, runProfilesWatcher, ...statusBarListeners, runCommand, runSelectionCommand, toggleWatchCommand, exportJsxbinCommand, exportJsxbinBatchCommand, addTypeDefinitionsCommand, undoLastRunCommand, startBridgeCommand, stopBridgeCommand, refreshInstallationsCommand, chooseRunProfileCommand, setRemoteTokenCommand, chooseVersionCommand);
+  return api;
 }
 
 /**
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Find the `aerender` executable of an After Effects installation. It sits
+ * next to `AfterFX.exe` on Windows and next to the application bundle on
+ * macOS. Falls back to `aerender` on the PATH.
+ *
+ * @param {{exePath?: string, appPath?: string}|null} installation Installation to render with
+ * @param {(filePath: string) => boolean} [exists] Checks whether a file exists
+ * @returns {string} Path or name of the executable
+ */
+function findAerender(installation, exists = fs.existsSync) {
+  const candidates = [];
+  if (installation && installation.exePath) {
+    candidates.push(path.join(path.dirname(installation.exePath), 'aerender.exe'));
+  }
+  if (installation && installation.appPath) {
+    candidates.push(path.join(path.dirname(installation.appPath), 'aerender'));
+  }
+  const found = candidates.find((candidate) => exists(candidate));
+  return found || (process.platform === 'win32' ? 'aerender.exe' : 'aerender');
+}
+
+/**
+ * Build the arguments of an `aerender` call that renders a project's render
+ * queue, or a single composition of it.
+ *
+ * @param {Object} options
+ * @param {string} options.project Path of the `.aep` project
+ * @param {string} [options.comp] Composition to render instead of the render queue
+ * @param {string} [options.output] Output file, required by aerender when `comp` is given
+ * @param {string[]} [options.extraArgs] Further arguments passed through unchanged, e.g. `-RStemplate`
+ * @returns {string[]} Arguments for `aerender`
+ */
+function buildAerenderArgs({ project, comp = null, output = null, extraArgs = [] }) {
+  if (!project) {
+    throw new Error('aerender needs a project to render.');
+  }
+  if (comp && !output) {
+    throw new Error('aerender needs an output file when rendering a single composition.');
+  }
+  const args = ['-project', path.resolve(project)];
+  if (comp) {
+    args.push('-comp', comp);
+  }
+  if (output) {
+    args.push('-output', path.resolve(output));
+  }
+  return args.concat(extraArgs);
+}
+
+module.exports = {
+  findAerender,
+  buildAerenderArgs
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadSettings } = require('./settings');
+const { runScriptFile, DEFAULT_RUN_FILES_DIRECTORY } = require('./runner');
+const { writeRunFile } = require('./runFiles');
+const { detectInstallations } = require('./transports');
+const { bundleIdToDisplayName } = require('./transports/macJxa');
+const { ensureBridgeToken } = require('./bridge');
+const { DEFAULT_AGENT_PORT, AGENT_TOKEN_PATH } = require('./remote');
+const { createUsageError, parseArgs, getSettingOverrides } = require('./cli');
+const { EXIT_CODES } = require('./outcome');
+
+/** Largest request body the agent accepts. */
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+
+const USAGE = `Usage: ae-agent [options]
+
+Accept scripts from AE Script Runner on other machines and run them in the
+After Effects installed here. Settings are read from .vscode/settings.json in
+the current folder, like the VS Code extension.
+
+Options:
+  --host <address>       Address to listen on (default 127.0.0.1; use 0.0.0.0 for the network)
+  --port <port>          Port to listen on (default ${DEFAULT_AGENT_PORT})
+  --token-file <file>    File holding the token clients must send (created if missing)
+  --config <file>        Settings file applied on top of .vscode/settings.json
+  --set <key>=<value>    Override a setting, e.g. --set transport=mock
+  --transport <id>       Shortcut for --set transport=<id>
+  --help                 Show this help`;
+
+/** Options of `ae-agent`, see `CLI_OPTIONS` in `cli.js`. */
+const AGENT_OPTIONS = {
+  values: {
+    '--host': 'host',
+    '--port': 'port',
+    '--token-file': 'tokenFile',
+    '--config': 'config',
+    '--transport': 'transport'
+  },
+  lists: {
+    '--set': 'set'
+  },
+  flags: {
+    '--help': 'help',
+    '-h': 'help'
+  }
+};
+
+/**
+ * Check the token of a request in constant time.
+ *
+ * @param {http.IncomingMessage} request The request
+ * @param {string} token Token clients must send
+ * @returns {boolean} True if the request carries the token
+ */
+function isAuthorized(request, token) {
+  const match = String(request.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    return false;
+  }
+  const expected = Buffer.from(token, 'utf8');
+  const actual = Buffer.from(match[1], 'utf8');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read and parse the JSON body of a request.
+ *
+ * @param {http.IncomingMessage} request The request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new Error(`Request is not valid JSON: ${err.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Check that a run request has the expected shape.
+ *
+ * @param {Object} body Parsed request body
+ * @returns {string|null} Description of the problem, or null if the request is valid
+ */
+function validateRunRequest(body) {
+  const isScript = (item) => item && typeof item.name === 'string' && typeof item.source === 'string';
+  if (!isScript(body)) {
+    return 'Expected "name" and "source" strings.';
+  }
+  if (body.args !== undefined && (!body.args || typeof body.args !== 'object' || Array.isArray(body.args))) {
+    return '"args" must be an object.';
+  }
+  for (const key of ['setup', 'teardown']) {
+    if (body[key] !== undefined && !(Array.isArray(body[key]) && body[key].every(isScript))) {
+      return `"${key}" must be a list of {name, source} scripts.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the HTTP server of the remote agent. `GET /ping` reports the
+ * agent's version and the installations it can run; `POST /run` runs a
+ * script sent as source and answers with its outcome once it finished. Runs
+ * are performed one at a time, in the order they arrive. Every request must
+ * carry `Authorization: Bearer <token>`.
+ *
+ * @param {Object} options
+ * @param {string} options.token Token clients must send
+ * @param {{get: (key: string) => any}} options.settings Settings runs use, e.g. from `loadSettings`
+ * @param {string} [options.runFilesDirectory] Directory the received scripts are written to
+ * @param {Function} [options.runScript] Runs a script file, see `runScriptFile`
+ * @param {() => Promise<Object[]>} [options.getInstallations] Lists the local installations
+ * @returns {http.Server} The server, not yet listening
+ */
+function createAgentServer({
+  token,
+  settings,
+  runFilesDirectory = DEFAULT_RUN_FILES_DIRECTORY,
+  runScript = runScriptFile,
+  getInstallations = detectInstallations
+}) {
+  let queue = Promise.resolve();
+
+  const run = async (body) => {
+    const written = [];
+    const write = (item) => {
+      const filePath = writeRunFile(runFilesDirectory, path.basename(item.name), item.source);
+      written.push({ filePath, name: item.name });
+      return filePath;
+    };
+    const scriptPath = write(body);
+    const setup = (body.setup || []).map(write);
+    const teardown = (body.teardown || []).map(write);
+    const timeoutMs = Number(body.timeoutMs) > 0 ? Number(body.timeoutMs) : settings.get('resultTimeout') * 1000;
+    const runSettings = { get: (key) => (key === 'resultTimeout' ? timeoutMs / 1000 : settings.get(key)) };
+
+    let keepFiles = Boolean(settings.get('keepRunFiles'));
+    try {
+      const { sentPath, ...outcome } = await runScript(scriptPath, runSettings, {
+        args: body.args || {},
+        setup,
+        teardown,
+        undoGroup: body.undoGroup === undefined ? null : body.undoGroup,
+        runFilesDirectory
+      });
+      // A run that did not report back may still be using its files
+      keepFiles = keepFiles || outcome.status === 'timeout' || Boolean(sentPath);
+      const error = outcome.result && outcome.result.error;
+      if (error && error.fileName) {
+        // Report errors against the names the client knows the files by
+        const file = written.find((item) => path.resolve(item.filePath) === path.resolve(error.fileName));
+        if (file) {
+          error.fileName = file.filePath === scriptPath ? undefined : file.name;
+        }
+      }
+      console.log(`[${new Date().toLocaleTimeString()}] ${body.name}: ${outcome.status}`);
+      return outcome;
+    } finally {
+      if (!keepFiles) {
+        for (const { filePath } of written) {
+          fs.rmSync(filePath, { force: true });
+        }
+      }
+    }
+  };
+
+  const respond = (response, statusCode, body) => {
+    const text = JSON.stringify(body);
+    response.writeHead(statusCode, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    response.end(text);
+  };
+
+  return http.createServer(async (request, response) => {
+    if (!isAuthorized(request, token)) {
+      respond(response, 401, { ok: false, error: 'Invalid token' });
+      return;
+    }
+    const route = new URL(request.url, 'http://agent').pathname;
+    try {
+      if (request.method === 'GET' && route === '/ping') {
+        const installations = await getInstallations();
+        respond(response, 200, {
+          ok: true,
+          version: require('../package.json').version,
+          installations: installations.map((item) => ({ name: item.name || bundleIdToDisplayName(item.bundleId), version: item.version }))
+        });
+      } else if (request.method === 'POST' && route === '/run') {
+        const body = await readJsonBody(request);
+        const problem = validateRunRequest(body);
+        if (problem) {
+          respond(response, 400, { ok: false, error: problem });
+          return;
+        }
+        const pending = queue.then(() => run(body));
+        queue = pending.catch(() => {});
+        respond(response, 200, { ok: true, outcome: await pending });
+      } else {
+        respond(response, 404, { ok: false, error: `Unknown endpoint ${request.method} ${route}` });
+      }
+    } catch (err) {
+      respond(response, 500, { ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Run `ae-agent` until it is interrupted.
+ *
+ * @param {string[]} argv Arguments after the executable name
+ * @param {Object} [io]
+ * @param {string} [io.cwd] Folder settings are read from
+ * @param {NodeJS.WritableStream} [io.stdout] Stream for status messages
+ * @param {NodeJS.WritableStream} [io.stderr] Stream for problems
+ * @param {AbortSignal} [io.signal] Stops the agent, e.g. on Ctrl+C
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+  let server;
+  try {
+    const options = parseArgs(argv, AGENT_OPTIONS);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.ok;
+    }
+    if (options.script !== null) {
+      throw createUsageError(`Unexpected argument ${options.script}.`);
+    }
+    const port = options.port === undefined ? DEFAULT_AGENT_PORT : Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw createUsageError(`--port must be a port number, got "${options.port}".`);
+    }
+    const settings = loadSettings({ cwd, configFile: options.config, overrides: getSettingOverrides(options) });
+    const tokenPath = options.tokenFile ? path.resolve(cwd, options.tokenFile) : AGENT_TOKEN_PATH;
+    const token = ensureBridgeToken(tokenPath);
+    const host = options.host || '127.0.0.1';
+
+    server = createAgentServer({ token, settings });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+    stdout.write(`AE Script Runner agent listening on http://${host}:${server.address().port}\n`);
+    stdout.write(`Token (from ${tokenPath}): ${token}\n`);
+    if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+      stdout.write('Requests are not encrypted. Only listen on a trusted network, or put the agent behind an HTTPS proxy.\n');
+    }
+  } catch (err) {
+    if (err.exitCode === EXIT_CODES.usage) {
+      stderr.write(`${err.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.usage;
+    }
+    stderr.write(`${err.message}\n`);
+    return EXIT_CODES.sendFailed;
+  }
+
+  await new Promise((resolve) => {
+    server.on('close', resolve);
+    if (signal) {
+      signal.addEventListener('abort', () => server.close(), { once: true });
+    }
+  });
+  return EXIT_CODES.ok;
+}
+
+module.exports = {
+  createAgentServer,
+  main
+};
@@ -0,0 +1,163 @@
+/**
+ * Pattern matching a notebook-style cell marker line such as `//%%` or `// %% Setup`.
+ */
+const CELL_MARKER = /^\s*\/\/\s*%%/;
+
+/**
+ * Find the `//%%`-delimited cell containing a line. The marker line itself
+ * belongs to the cell it starts.
+ *
+ * @param {string[]} lines Document lines
+ * @param {number} line Zero-based line of the cursor
+ * @returns {{start: number, end: number}|null} Inclusive zero-based line range, or null if the document has no cells
+ */
+function findCellRange(lines, line) {
+  if (!lines.some((text) => CELL_MARKER.test(text))) {
+    return null;
+  }
+
+  let start = 0;
+  for (let i = Math.min(line, lines.length - 1); i >= 0; i--) {
+    if (CELL_MARKER.test(lines[i])) {
+      start = i;
+      break;
+    }
+  }
+
+  let end = lines.length - 1;
+  for (let i = Math.max(line, start) + 1; i < lines.length; i++) {
+    if (CELL_MARKER.test(lines[i])) {
+      end = i - 1;
+      break;
+    }
+  }
+  return { start, end };
+}
+
+/**
+ * Find the line ranges of all top-level functions in a script, including
+ * function expressions assigned or wrapped at the top level (IIFEs).
+ * Strings, comments and regular expression literals are skipped so braces
+ * inside them do not affect nesting.
+ *
+ * @param {string} text Script source
+ * @returns {{start: number, end: number}[]} Inclusive zero-based line ranges
+ */
+function findTopLevelFunctionRanges(text) {
+  const ranges = [];
+  let depth = 0;
+  let line = 0;
+  let pendingStart = -1;
+  let currentStart = -1;
+  let lastSignificant = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '\n') {
+      line++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      continue;
+    }
+
+    // Comments
+    if (ch === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      i--;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) {
+        if (text[i] === '\n') line++;
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    // Strings
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === '\\') i++;
+        if (text[i] === '\n') line++;
+        i++;
+      }
+      lastSignificant = ch;
+      continue;
+    }
+
+    // Regular expression literals follow an operator or the start of a statement
+    if (ch === '/' && (lastSignificant === '' || '(,=:[!&|?{};+-*%<>~^'.includes(lastSignificant))) {
+      let inClass = false;
+      i++;
+      while (i < text.length && text[i] !== '\n' && (inClass || text[i] !== '/')) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '[') inClass = true;
+        else if (text[i] === ']') inClass = false;
+        i++;
+      }
+      lastSignificant = '/';
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      let j = i;
+      while (j < text.length && /[\w$]/.test(text[j])) j++;
+      const word = text.slice(i, j);
+      if (word === 'function' && depth === 0 && pendingStart === -1) {
+        pendingStart = line;
+      }
+      i = j - 1;
+      lastSignificant = 'a';
+      continue;
+    }
+
+    if (ch === '{') {
+      if (depth === 0 && pendingStart !== -1) {
+        currentStart = pendingStart;
+        pendingStart = -1;
+      }
+      depth++;
+    } else if (ch === '}') {
+      depth = Math.max(depth - 1, 0);
+      if (depth === 0 && currentStart !== -1) {
+        ranges.push({ start: currentStart, end: line });
+        currentStart = -1;
+      }
+    } else if (ch === ';' && depth === 0) {
+      pendingStart = -1;
+    }
+    lastSignificant = ch;
+  }
+
+  return ranges;
+}
+
+/**
+ * Find the block of code to run for a cursor position: the enclosing
+ * `//%%` cell when the document uses cells, otherwise the enclosing
+ * top-level function.
+ *
+ * @param {string} text Script source
+ * @param {number} line Zero-based line of the cursor
+ * @returns {{start: number, end: number}|null} Inclusive zero-based line range, or null if nothing encloses the cursor
+ */
+function findBlockAt(text, line) {
+  const lines = text.split(/\r?\n/);
+  const cell = findCellRange(lines, line);
+  if (cell) {
+    return cell;
+  }
+  return findTopLevelFunctionRanges(text).find((range) => range.start <= line && line <= range.end) || null;
+}
+
+module.exports = {
+  findCellRange,
+  findTopLevelFunctionRanges,
+  findBlockAt
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createCancellationError } = require('./runQueue');
+
+/** Port the bridge listens on unless configured otherwise. */
+const DEFAULT_BRIDGE_PORT = 48730;
+
+/** Path of the shared secret the bridge requires on every request. */
+const BRIDGE_TOKEN_PATH = path.join(os.homedir(), '.ae-script-runner', 'bridge-token');
+
+/** Path of the ExtendScript side of the bridge shipped with the extension. */
+const BRIDGE_SCRIPT_PATH = path.join(__dirname, '..', 'bridge', 'ae-script-runner-bridge.jsx');
+
+/**
+ * Read the bridge token, creating a random one if none exists yet.
+ *
+ * @param {string} [tokenPath] Location of the token file
+ * @returns {string} The bridge token
+ */
+function ensureBridgeToken(tokenPath = BRIDGE_TOKEN_PATH) {
+  if (fs.existsSync(tokenPath)) {
+    const existing = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (existing.length > 0) {
+      return existing;
+    }
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  fs.writeFileSync(tokenPath, token, { encoding: 'utf8', mode: 0o600 });
+  return token;
+}
+
+/**
+ * Serialise a bridge request. The token is always the first key so the
+ * bridge can reject unauthenticated requests before parsing them.
+ *
+ * @param {string} token Bridge token
+ * @param {Object} request Request fields (`id`, `method`, ...)
+ * @returns {string} A single line of JSON
+ */
+function encodeRequest(token, request) {
+  return JSON.stringify({ token, ...request })
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Send one request to the bridge and wait for its response. Each request
+ * uses its own short-lived connection to the long-lived listener.
+ *
+ * Rejects with an error whose `code` is `ECONNREFUSED` when no bridge is
+ * listening, so callers can fall back to spawning a process.
+ *
+ * @param {Object} request Request fields without the token (`method`, `path`, ...)
+ * @param {Object} options
+ * @param {string} [options.host] Host the bridge listens on
+ * @param {number} [options.port] Port the bridge listens on
+ * @param {string} options.token Bridge token
+ * @param {number} [options.timeoutMs] Maximum time to wait for the response
+ * @param {AbortSignal} [options.signal] Stops waiting for the response when aborted
+ * @returns {Promise<Object>} Parsed response
+ */
+function sendBridgeRequest(request, { host = '127.0.0.1', port = DEFAULT_BRIDGE_PORT, token, timeoutMs = 60000, signal }) {
+  const id = request.id || crypto.randomBytes(8).toString('hex');
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let settled = false;
+
+    const onAbort = () => finish(createCancellationError());
+    const finish = (err, response) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (err) {
+        reject(err);
+      } else {
+        resolve(response);
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        finish(createCancellationError());
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => {
+      const err = new Error(`After Effects bridge did not respond within ${Math.round(timeoutMs / 1000)} seconds`);
+      err.code = 'ETIMEDOUT';
+      finish(err);
+    });
+    socket.on('connect', () => {
+      socket.write(`${encodeRequest(token, { ...request, id })}\n`);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      try {
+        const response = JSON.parse(buffer.slice(0, newline));
+        if (response.id !== null && response.id !== id) {
+          finish(new Error(`After Effects bridge answered request ${response.id} instead of ${id}`));
+        } else {
+          finish(null, response);
+        }
+      } catch (err) {
+        finish(new Error(`Invalid response from After Effects bridge: ${err.message}`));
+      }
+    });
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => finish(new Error('After Effects bridge closed the connection without responding')));
+  });
+}
+
+/**
+ * Ask the bridge to evaluate a harness script and return its report.
+ *
+ * @param {string} harnessPath Path of a harness created with `returnResult`
+ * @param {Object} options Connection options, see `sendBridgeRequest`
+ * @returns {Promise<Object>} The harness report; a file that evaluated to nothing reports success without a result
+ */
+async function evalFileOverBridge(harnessPath, options) {
+  const response = await sendBridgeRequest({ method: 'evalFile', path: harnessPath.replace(/\\/g, '/') }, options);
+  if (!response.ok) {
+    throw new Error(`After Effects bridge error: ${response.error}`);
+  }
+  return response.report || { ok: true, duration: 0, logs: [] };
+}
+
+/**
+ * Check whether a bridge is listening and accepts our token.
+ *
+ * @param {Object} options Connection options, see `sendBridgeRequest`
+ * @returns {Promise<string|null>} After Effects version reported by the bridge, or null if unavailable
+ */
+async function pingBridge(options) {
+  try {
+    const response = await sendBridgeRequest({ method: 'ping' }, { timeoutMs: 2000, ...options });
+    return response.ok ? response.version : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an error means no bridge is listening, as opposed to a
+ * bridge that failed while handling the request.
+ *
+ * @param {Error} err Error raised by `sendBridgeRequest`
+ * @returns {boolean} True if the spawn path should be used instead
+ */
+function isBridgeUnavailable(err) {
+  return Boolean(err) && err.code === 'ECONNREFUSED';
+}
+
+module.exports = {
+  DEFAULT_BRIDGE_PORT,
+  BRIDGE_TOKEN_PATH,
+  BRIDGE_SCRIPT_PATH,
+  ensureBridgeToken,
+  encodeRequest,
+  sendBridgeRequest,
+  evalFileOverBridge,
+  pingBridge,
+  isBridgeUnavailable
+};
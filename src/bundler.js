@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pattern matching `#include "file"` and `//@include "file"` directives.
+ * Quotes are optional, as in ExtendScript.
+ */
+const INCLUDE_DIRECTIVE = /^\s*(?:#|\/\/\s*@)include\s+(?:"([^"]+)"|'([^']+)'|([^\s;]+))\s*;?\s*$/;
+
+/**
+ * Pattern matching `#includepath "dir1;dir2"` and `//@includepath` directives.
+ */
+const INCLUDEPATH_DIRECTIVE = /^\s*(?:#|\/\/\s*@)includepath\s+(?:"([^"]*)"|'([^']*)'|([^\s;]+))\s*;?\s*$/;
+
+/**
+ * Check whether a script contains any include directives.
+ *
+ * @param {string} content Script source
+ * @returns {boolean} True if at least one `#include` / `//@include` line is present
+ */
+function hasIncludes(content) {
+  return content.split(/\r?\n/).some((line) => INCLUDE_DIRECTIVE.test(line));
+}
+
+/**
+ * Resolve an include target against the including file's directory and any
+ * `#includepath` directories declared before it.
+ *
+ * @param {string} target Path from the include directive
+ * @param {string} baseDir Directory of the including file
+ * @param {string[]} searchPaths Directories from `#includepath` directives
+ * @param {(filePath: string) => boolean} exists File existence check
+ * @returns {string|null} Absolute path of the included file, or null if not found
+ */
+function resolveInclude(target, baseDir, searchPaths, exists) {
+  if (path.isAbsolute(target)) {
+    return exists(target) ? path.resolve(target) : null;
+  }
+  for (const dir of [baseDir, ...searchPaths]) {
+    const candidate = path.resolve(baseDir, dir, target);
+    if (exists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten a script and everything it includes into a single script.
+ * Include directives are replaced by the included file's contents,
+ * recursively. Every line of the output is recorded in a line map so errors
+ * reported against the bundle can be traced back to their original file and
+ * line.
+ *
+ * @param {string} content Source of the entry script
+ * @param {string} filePath Absolute path of the entry script, used to resolve relative includes
+ * @param {Object} [options]
+ * @param {(filePath: string) => string} [options.readFile] Reads an included file; defaults to reading from disk
+ * @param {(filePath: string) => boolean} [options.exists] Checks whether a file exists; defaults to the file system
+ * @param {number} [options.lineOffset] Number of lines to add to the entry script's mapped line numbers
+ * @returns {{code: string, lineMap: {file: string, line: number}[], files: string[]}} Flattened code, the origin of each output line (one-based) and every included file
+ */
+function bundleSource(content, filePath, options = {}) {
+  const readFile = options.readFile || ((file) => fs.readFileSync(file, 'utf8'));
+  const exists = options.exists || ((file) => fs.existsSync(file));
+  const lineOffset = options.lineOffset || 0;
+  const entry = path.resolve(filePath);
+
+  const output = [];
+  const lineMap = [];
+  const files = new Set();
+
+  const visit = (source, file, stack) => {
+    const baseDir = path.dirname(file);
+    const searchPaths = [];
+    const offset = file === entry && stack.length === 1 ? lineOffset : 0;
+    const lines = source.split(/\r?\n/);
+
+    lines.forEach((text, index) => {
+      const includePath = text.match(INCLUDEPATH_DIRECTIVE);
+      if (includePath) {
+        const dirs = includePath[1] || includePath[2] || includePath[3] || '';
+        searchPaths.push(...dirs.split(';').filter(Boolean));
+        return;
+      }
+
+      const include = text.match(INCLUDE_DIRECTIVE);
+      if (!include) {
+        output.push(text);
+        lineMap.push({ file, line: index + 1 + offset });
+        return;
+      }
+
+      const target = include[1] || include[2] || include[3];
+      const resolved = resolveInclude(target, baseDir, searchPaths, exists);
+      if (!resolved) {
+        throw new Error(`Cannot resolve include "${target}" (${file}:${index + 1 + offset})`);
+      }
+      if (stack.includes(resolved)) {
+        const chain = [...stack.slice(stack.indexOf(resolved)), resolved].map((item) => path.basename(item));
+        throw new Error(`Circular include detected: ${chain.join(' -> ')}`);
+      }
+
+      files.add(resolved);
+      visit(readFile(resolved), resolved, [...stack, resolved]);
+    });
+  };
+
+  visit(content, entry, [entry]);
+  return { code: output.join('\n'), lineMap, files: Array.from(files) };
+}
+
+module.exports = {
+  hasIncludes,
+  resolveInclude,
+  bundleSource
+};
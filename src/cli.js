@@ -0,0 +1,314 @@
+const path = require('path');
+const { loadSettings } = require('./settings');
+const { loadRunProfiles } = require('./profiles');
+const { runScriptFile } = require('./runner');
+const { findAerender, buildAerenderArgs } = require('./aerender');
+const { detectInstallations, executeCommand } = require('./transports');
+const { matchInstallation } = require('./targets');
+const { isCancellation } = require('./runQueue');
+const { EXIT_CODES, getExitCode, printOutcome } = require('./outcome');
+
+const USAGE = `Usage: ae-run [script.jsx] [options]
+
+Run an ExtendScript file in After Effects, then optionally render a project
+with aerender. Settings are read from .vscode/settings.json in the current
+folder, like the VS Code extension.
+
+Options:
+  --target <version>     Installation to use, e.g. 2025 or 25.1 (overrides @ae-target)
+  --args <json>          Values of the script's @ae-param parameters, as a JSON object
+  --profile <name>       Run a profile from .vscode/ae-runs.json or the runProfiles setting
+  --config <file>        Settings file applied on top of .vscode/settings.json
+  --set <key>=<value>    Override a setting, e.g. --set resultTimeout=300
+  --transport <id>       Shortcut for --set transport=<id>
+  --timeout <seconds>    Shortcut for --set resultTimeout=<seconds>
+  --headless             Start After Effects without its user interface (Windows)
+  --render <project>     Render a project with aerender after the script succeeded
+  --comp <name>          Render only this composition (requires --output)
+  --output <file>        Output file of the render
+  --render-arg <arg>     Pass an argument to aerender; repeatable
+  --aerender <path>      aerender executable to use
+  --json                 Print the outcome as JSON on stdout
+  --help                 Show this help
+
+Exit codes:
+  0 success, 1 script error, 2 usage error, 3 could not send the script
+  or start aerender, 4 no result within the timeout, 5 render failed,
+  130 cancelled`;
+
+/**
+ * Options of `ae-run`: options taking a value, options that may be given
+ * more than once and flags, each mapped to the property they are stored in.
+ */
+const CLI_OPTIONS = {
+  values: {
+    '--target': 'target',
+    '--args': 'args',
+    '--profile': 'profile',
+    '--config': 'config',
+    '--transport': 'transport',
+    '--timeout': 'timeout',
+    '--render': 'render',
+    '--comp': 'comp',
+    '--output': 'output',
+    '--aerender': 'aerender'
+  },
+  lists: {
+    '--set': 'set',
+    '--render-arg': 'renderArgs'
+  },
+  flags: {
+    '--json': 'json',
+    '--headless': 'headless',
+    '--help': 'help',
+    '-h': 'help'
+  }
+};
+
+/**
+ * Create an error that makes the command print its usage and exit with the
+ * usage exit code.
+ *
+ * @param {string} message Description of the problem
+ * @returns {Error} The error
+ */
+function createUsageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_CODES.usage;
+  return err;
+}
+
+/**
+ * Parse a command line against a set of options. Values may follow their
+ * option as the next argument or after `=`, e.g. `--target=2025`.
+ *
+ * @param {string[]} argv Arguments after the executable name
+ * @param {{values: Object, lists: Object, flags: Object}} spec Options by name, see `CLI_OPTIONS`
+ * @returns {Object} Parsed options; `script` is the positional argument, if any
+ */
+function parseArgs(argv, spec) {
+  const options = { script: null };
+  for (const property of Object.values(spec.lists)) {
+    options[property] = [];
+  }
+  for (const property of Object.values(spec.flags)) {
+    options[property] = false;
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const name = equals === -1 ? arg : arg.slice(0, equals);
+    const takeValue = () => {
+      if (equals !== -1) {
+        return arg.slice(equals + 1);
+      }
+      if (i + 1 >= argv.length) {
+        throw createUsageError(`${name} needs a value.`);
+      }
+      return argv[++i];
+    };
+
+    if (spec.flags[name] && equals === -1) {
+      options[spec.flags[name]] = true;
+    } else if (spec.values[name]) {
+      options[spec.values[name]] = takeValue();
+    } else if (spec.lists[name]) {
+      options[spec.lists[name]].push(takeValue());
+    } else if (arg.startsWith('-')) {
+      throw createUsageError(`Unknown option ${arg}.`);
+    } else if (options.script === null) {
+      options.script = arg;
+    } else {
+      throw createUsageError(`Unexpected argument ${arg}; only one script can be run at a time.`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse the command line of `ae-run`. `--args` is parsed here, so malformed
+ * JSON is reported as a usage error before anything runs.
+ *
+ * @param {string[]} argv Arguments after the executable name
+ * @returns {Object} Parsed options; `script` is the positional script path and `args` the parsed `--args` object, if given
+ */
+function parseCliArgs(argv) {
+  const options = parseArgs(argv, CLI_OPTIONS);
+  if (options.args !== undefined) {
+    const args = parseJsonOption('--args', options.args);
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw createUsageError('--args must be a JSON object.');
+    }
+    options.args = args;
+  }
+  return options;
+}
+
+/**
+ * Parse a JSON option value.
+ *
+ * @param {string} name Option the value belongs to
+ * @param {string} text JSON text
+ * @returns {*} The parsed value
+ */
+function parseJsonOption(name, text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw createUsageError(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Collect the setting overrides given on the command line. `--set` values
+ * are read as JSON when they parse and as strings otherwise.
+ *
+ * @param {Object} options Parsed command line
+ * @returns {Object} Settings by name without the `aeScriptRunner.` prefix
+ */
+function getSettingOverrides(options) {
+  const overrides = {};
+  for (const entry of options.set || []) {
+    const equals = entry.indexOf('=');
+    if (equals <= 0) {
+      throw createUsageError(`--set expects <key>=<value>, got "${entry}".`);
+    }
+    const value = entry.slice(equals + 1);
+    try {
+      overrides[entry.slice(0, equals)] = JSON.parse(value);
+    } catch (err) {
+      overrides[entry.slice(0, equals)] = value;
+    }
+  }
+  if (options.transport) {
+    overrides.transport = options.transport;
+  }
+  if (options.timeout) {
+    const seconds = Number(options.timeout);
+    if (!(seconds > 0)) {
+      throw createUsageError(`--timeout must be a positive number of seconds, got "${options.timeout}".`);
+    }
+    overrides.resultTimeout = seconds;
+  }
+  if (options.headless) {
+    overrides.winNoUi = true;
+  }
+  return overrides;
+}
+
+/**
+ * Render a project with aerender.
+ *
+ * @param {Object} options Parsed command line
+ * @param {AbortSignal} signal Stops the render
+ * @param {(...items: any[]) => void} log Writes diagnostics and aerender's progress
+ * @returns {Promise<{status: 'ok'|'error', command: string, args: string[], exitCode?: number, error?: string}>} Outcome of the render
+ */
+async function renderProject(options, signal, log) {
+  const args = buildAerenderArgs({ project: options.render, comp: options.comp, output: options.output, extraArgs: options.renderArgs });
+  let command = options.aerender;
+  if (!command) {
+    command = findAerender(matchInstallation(options.target || 'auto', await detectInstallations(process.platform, { log })));
+  }
+  try {
+    await executeCommand(command, args, { signal, onOutput: log });
+    return { status: 'ok', command, args, exitCode: 0 };
+  } catch (err) {
+    if (isCancellation(err)) {
+      throw err;
+    }
+    return { status: 'error', command, args, exitCode: err.exitCode, error: err.message };
+  }
+}
+
+/**
+ * Run `ae-run`. Diagnostics of the shared modules are passed a logger that
+ * writes to stderr, so stdout only carries script output, or the JSON
+ * outcome with `--json`.
+ *
+ * @param {string[]} argv Arguments after the executable and script name
+ * @param {Object} [io]
+ * @param {string} [io.cwd] Folder settings and profiles are read from
+ * @param {NodeJS.WritableStream} [io.stdout] Stream for the outcome
+ * @param {NodeJS.WritableStream} [io.stderr] Stream for diagnostics
+ * @param {AbortSignal} [io.signal] Cancels the run, e.g. on Ctrl+C
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+  const log = (...items) => stderr.write(`${items.join(' ').replace(/\n$/, '')}\n`);
+  let json = argv.includes('--json');
+  const outcome = { status: 'error' };
+  try {
+    const options = parseCliArgs(argv);
+    json = options.json;
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.ok;
+    }
+
+    const settings = loadSettings({ cwd, configFile: options.config, overrides: getSettingOverrides(options) });
+    const run = {
+      script: options.script ? path.resolve(cwd, options.script) : null,
+      setup: [],
+      teardown: [],
+      target: options.target || null,
+      args: {}
+    };
+    if (options.profile) {
+      const profile = loadRunProfiles([cwd], settings.get('runProfiles')).find((item) => item.name === options.profile);
+      if (!profile) {
+        throw createUsageError(`Run profile "${options.profile}" not found.`);
+      }
+      Object.assign(run, {
+        script: run.script || profile.entry,
+        setup: profile.setup,
+        teardown: profile.teardown,
+        target: run.target || profile.target || null,
+        args: profile.args || {}
+      });
+    }
+    if (options.args) {
+      run.args = { ...run.args, ...options.args };
+    }
+    if (!run.script && !options.render) {
+      throw createUsageError('Nothing to do: pass a script, a --profile or a --render project.');
+    }
+    if ((options.comp || options.output || options.renderArgs.length > 0) && !options.render) {
+      throw createUsageError('--comp, --output and --render-arg need a --render project.');
+    }
+    if (options.comp && !options.output) {
+      throw createUsageError('--comp needs an --output file.');
+    }
+
+    if (run.script) {
+      // The harness captures the script's output, so what the transport prints is not repeated
+      Object.assign(outcome, await runScriptFile(run.script, settings, { ...run, signal, log, onOutput: null }));
+    } else {
+      outcome.status = 'ok';
+    }
+    if (options.render && outcome.status === 'ok') {
+      outcome.render = await renderProject(options, signal, log);
+    }
+  } catch (err) {
+    if (err.exitCode === EXIT_CODES.usage) {
+      stderr.write(`${err.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.usage;
+    }
+    Object.assign(outcome, { status: isCancellation(err) ? 'cancelled' : 'error', error: err.message });
+  }
+
+  if (json) {
+    stdout.write(`${JSON.stringify(outcome, null, 2)}\n`);
+  } else {
+    printOutcome(outcome, { stdout, stderr });
+  }
+  return getExitCode(outcome);
+}
+
+module.exports = {
+  createUsageError,
+  parseArgs,
+  parseCliArgs,
+  getSettingOverrides,
+  main
+};
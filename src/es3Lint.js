@@ -0,0 +1,465 @@
+/**
+ * Multi-character punctuators, longest first.
+ */
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '??=', '||=', '&&=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+/**
+ * Keywords after which a `/` starts a regular expression literal.
+ */
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'else', 'do'];
+
+/**
+ * Operators added after ES3, with the message reported for each.
+ */
+const UNSUPPORTED_OPERATORS = {
+  '...': 'Spread and rest syntax (`...`) is not supported by ExtendScript (ES3).',
+  '**': 'The exponent operator (`**`) is not supported by ExtendScript (ES3). Use `Math.pow`.',
+  '**=': 'The exponent operator (`**=`) is not supported by ExtendScript (ES3). Use `Math.pow`.',
+  '??': 'Nullish coalescing (`??`) is not supported by ExtendScript (ES3).',
+  '??=': 'Logical assignment (`??=`) is not supported by ExtendScript (ES3).',
+  '||=': 'Logical assignment (`||=`) is not supported by ExtendScript (ES3).',
+  '&&=': 'Logical assignment (`&&=`) is not supported by ExtendScript (ES3).',
+  '?.': 'Optional chaining (`?.`) is not supported by ExtendScript (ES3).'
+};
+
+/**
+ * Static methods missing from ExtendScript, by object.
+ */
+const UNSUPPORTED_STATICS = {
+  Array: ['isArray', 'from', 'of'],
+  Object: ['keys', 'values', 'entries', 'assign', 'create', 'defineProperty', 'defineProperties', 'getPrototypeOf',
+    'getOwnPropertyNames', 'getOwnPropertyDescriptor', 'freeze', 'isFrozen', 'seal', 'isSealed', 'preventExtensions'],
+  Date: ['now'],
+  Number: ['isInteger', 'isNaN', 'isFinite', 'parseFloat', 'parseInt'],
+  Math: ['trunc', 'sign', 'log10', 'log2', 'hypot', 'cbrt'],
+  String: ['fromCodePoint', 'raw'],
+  JSON: ['parse', 'stringify']
+};
+
+/**
+ * Prototype methods missing from ExtendScript, with the prototypes that
+ * would define them.
+ */
+const UNSUPPORTED_METHODS = {
+  forEach: ['Array'],
+  map: ['Array'],
+  filter: ['Array'],
+  reduce: ['Array'],
+  reduceRight: ['Array'],
+  some: ['Array'],
+  every: ['Array'],
+  find: ['Array'],
+  findIndex: ['Array'],
+  fill: ['Array'],
+  flat: ['Array'],
+  flatMap: ['Array'],
+  includes: ['Array', 'String'],
+  trim: ['String'],
+  trimStart: ['String'],
+  trimEnd: ['String'],
+  startsWith: ['String'],
+  endsWith: ['String'],
+  padStart: ['String'],
+  padEnd: ['String'],
+  repeat: ['String'],
+  bind: ['Function']
+};
+
+/**
+ * Global objects missing from ExtendScript.
+ */
+const UNSUPPORTED_GLOBALS = ['Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Symbol', 'Proxy', 'Reflect',
+  'ArrayBuffer', 'Uint8Array', 'Int32Array', 'Float32Array', 'Float64Array'];
+
+/**
+ * Split a script into tokens. Comments, whitespace and preprocessor lines
+ * such as `#include` are dropped; template literals are kept whole with
+ * their text parts and the source of their `${}` expressions.
+ *
+ * @param {string} text Script source
+ * @returns {{type: string, value: string, start: number, end: number, parts?: string[], expressions?: string[]}[]} Tokens of type `word`, `number`, `string`, `template`, `regex` or `punct`
+ */
+function tokenize(text) {
+  const tokens = [];
+  let lineStart = true;
+  let i = 0;
+
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) {
+      return true;
+    }
+    if (prev.type === 'word') {
+      return REGEX_KEYWORDS.includes(prev.value);
+    }
+    return prev.type === 'punct' && prev.value !== ')' && prev.value !== ']';
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '\n') {
+      lineStart = true;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '#' && lineStart) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    lineStart = false;
+
+    if (ch === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+
+    const start = i;
+    if (ch === '"' || ch === "'") {
+      i++;
+      while (i < text.length && text[i] !== ch && text[i] !== '\n') {
+        if (text[i] === '\\') i++;
+        i++;
+      }
+      i++;
+      tokens.push({ type: 'string', value: text.slice(start, i), start, end: i });
+      continue;
+    }
+    if (ch === '`') {
+      const template = readTemplate(text, i);
+      tokens.push({ type: 'template', value: text.slice(start, template.end), start, end: template.end, parts: template.parts, expressions: template.expressions });
+      i = template.end;
+      continue;
+    }
+    if (ch === '/' && regexAllowed()) {
+      let inClass = false;
+      i++;
+      while (i < text.length && text[i] !== '\n' && (inClass || text[i] !== '/')) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '[') inClass = true;
+        else if (text[i] === ']') inClass = false;
+        i++;
+      }
+      i++;
+      while (i < text.length && /[\w$]/.test(text[i])) i++;
+      tokens.push({ type: 'regex', value: text.slice(start, i), start, end: i });
+      continue;
+    }
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+      while (i < text.length && (/[\w.]/.test(text[i]) || (/[eE]/.test(text[i - 1]) && /[+-]/.test(text[i]) && !/^0[xX]/.test(text.slice(start, i))))) i++;
+      tokens.push({ type: 'number', value: text.slice(start, i), start, end: i });
+      continue;
+    }
+    if (/[A-Za-z_$]/.test(ch)) {
+      while (i < text.length && /[\w$]/.test(text[i])) i++;
+      tokens.push({ type: 'word', value: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    let value = PUNCTUATORS.find((punct) => text.startsWith(punct, i)) || ch;
+    // `a ? .5 : b` is a conditional, not optional chaining
+    if (value === '?.' && /[0-9]/.test(text[i + 2])) {
+      value = '?';
+    }
+    i += value.length;
+    tokens.push({ type: 'punct', value, start, end: i });
+  }
+  return tokens;
+}
+
+/**
+ * Read a template literal starting at a backtick.
+ *
+ * @param {string} text Script source
+ * @param {number} start Offset of the opening backtick
+ * @returns {{end: number, parts: string[], expressions: string[]}} Offset after the closing backtick, the raw text parts and the source of each `${}` expression
+ */
+function readTemplate(text, start) {
+  const parts = [];
+  const expressions = [];
+  let part = '';
+  let i = start + 1;
+
+  while (i < text.length && text[i] !== '`') {
+    if (text[i] === '\\') {
+      part += text.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+    if (text[i] === '$' && text[i + 1] === '{') {
+      parts.push(part);
+      part = '';
+      const expressionStart = i + 2;
+      let depth = 1;
+      i = expressionStart;
+      while (i < text.length && depth > 0) {
+        const ch = text[i];
+        if (ch === '`') {
+          i = readTemplate(text, i).end;
+          continue;
+        }
+        if (ch === '"' || ch === "'") {
+          i++;
+          while (i < text.length && text[i] !== ch && text[i] !== '\n') {
+            if (text[i] === '\\') i++;
+            i++;
+          }
+        } else if (ch === '{') {
+          depth++;
+        } else if (ch === '}') {
+          depth--;
+        }
+        i++;
+      }
+      expressions.push(text.slice(expressionStart, i - 1).trim());
+      continue;
+    }
+    part += text[i];
+    i++;
+  }
+  parts.push(part);
+  return { end: Math.min(i + 1, text.length), parts, expressions };
+}
+
+/**
+ * Convert the raw text of a template literal part to a single-quoted string.
+ *
+ * @param {string} raw Raw template text, escapes included
+ * @returns {string} Equivalent single-quoted string literal
+ */
+function toQuotedString(raw) {
+  const body = raw
+    .replace(/\\`/g, '`')
+    .replace(/\\\$/g, '$')
+    .replace(/(^|[^\\])((?:\\\\)*)'/g, "$1$2\\'")
+    .replace(/\r?\n/g, '\\n');
+  return `'${body}'`;
+}
+
+/**
+ * Check whether the script (or the context searched alongside it) assigns a
+ * member itself, e.g. `Array.prototype.forEach = ...` in a polyfill.
+ *
+ * @param {string} source Script source and context
+ * @param {string} target Dotted name such as `Array.prototype.forEach`
+ * @returns {boolean} True if the member is assigned somewhere
+ */
+function isDefined(source, target) {
+  const pattern = target.split('.').map((name) => name.replace(/\$/g, '\\$')).join('\\s*\\.\\s*');
+  return new RegExp(`(?:^|[^.\\w$])${pattern}\\s*=(?!=)|\\b(?:var|function|const|let)\\s+${pattern}\\b`).test(source);
+}
+
+/**
+ * Find the index of the opening bracket matching a closing one.
+ *
+ * @param {Object[]} tokens Tokens from `tokenize`
+ * @param {number} index Index of the closing bracket
+ * @returns {number} Index of the opening bracket, or -1
+ */
+function findOpening(tokens, index) {
+  const close = tokens[index].value;
+  const open = { ')': '(', ']': '[', '}': '{' }[close];
+  let depth = 0;
+  for (let i = index; i >= 0; i--) {
+    if (tokens[i].type !== 'punct') {
+      continue;
+    }
+    if (tokens[i].value === close) {
+      depth++;
+    } else if (tokens[i].value === open && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check a script for syntax and built-ins the ExtendScript (ES3) engine does
+ * not support. Syntax problems are errors; missing built-ins are warnings,
+ * since a script may define them itself. Where a fix is trivial the issue
+ * carries the replacement text.
+ *
+ * @param {string} text Script source
+ * @param {Object} [options]
+ * @param {string} [options.context] Additional source searched for polyfills and declarations, e.g. the script's includes
+ * @returns {{rule: string, severity: 'error'|'warning', message: string, start: number, end: number, fix?: {title: string, start: number, end: number, text: string}}[]} Issues ordered by position
+ */
+function lintExtendScript(text, { context = '' } = {}) {
+  const tokens = tokenize(text);
+  const source = `${text}\n${context}`;
+  const issues = [];
+  const report = (rule, severity, message, start, end, fix) => {
+    issues.push(fix ? { rule, severity, message, start, end, fix } : { rule, severity, message, start, end });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const isMember = prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '?.');
+    const is = (tok, value) => Boolean(tok) && tok.type !== 'string' && tok.type !== 'template' && tok.value === value;
+
+    if (token.type === 'template') {
+      const tagged = prev && (prev.type === 'word' ? !REGEX_KEYWORDS.includes(prev.value) : is(prev, ')') || is(prev, ']'));
+      const pieces = token.parts.map((part, index) => {
+        const quoted = part ? [toQuotedString(part)] : [];
+        return index < token.expressions.length ? quoted.concat(`(${token.expressions[index]})`) : quoted;
+      }).reduce((all, quoted) => all.concat(quoted), []);
+      // Start with a string so `+` concatenates rather than adds
+      if (!token.parts[0]) {
+        pieces.unshift("''");
+      }
+      report('template-literal', 'error', 'Template literals are not supported by ExtendScript (ES3).', token.start, token.end,
+        tagged ? undefined : { title: 'Convert to string concatenation', start: token.start, end: token.end, text: pieces.join(' + ') });
+      continue;
+    }
+
+    if (token.type === 'punct') {
+      if (token.value === '=>') {
+        let fix;
+        const paramsEnd = i - 1;
+        const paramsStart = is(prev, ')') ? findOpening(tokens, paramsEnd) : prev && prev.type === 'word' ? paramsEnd : -1;
+        if (paramsStart !== -1 && is(next, '{') && !is(tokens[paramsStart - 1], 'async')) {
+          const params = is(prev, ')') ? text.slice(tokens[paramsStart].end, prev.start).trim() : prev.value;
+          fix = { title: 'Convert to function expression', start: tokens[paramsStart].start, end: token.end, text: `function (${params})` };
+        }
+        report('arrow-function', 'error', 'Arrow functions are not supported by ExtendScript (ES3).', token.start, token.end, fix);
+      } else if (UNSUPPORTED_OPERATORS[token.value]) {
+        report('unsupported-syntax', 'error', UNSUPPORTED_OPERATORS[token.value], token.start, token.end);
+      }
+      continue;
+    }
+
+    if (token.type !== 'word' || isMember) {
+      continue;
+    }
+
+    switch (token.value) {
+      case 'let':
+        if (next && (next.type === 'word' || is(next, '[') || is(next, '{'))) {
+          report('let-declaration', 'error', '`let` is not supported by ExtendScript (ES3). Use `var`.', token.start, token.end,
+            next.type === 'word' ? { title: 'Replace `let` with `var`', start: token.start, end: token.end, text: 'var' } : undefined);
+        }
+        break;
+      case 'class':
+        if (next && (next.type === 'word' || is(next, '{'))) {
+          report('unsupported-syntax', 'error', 'Classes are not supported by ExtendScript (ES3). Use constructor functions.', token.start, token.end);
+        }
+        break;
+      case 'function':
+        if (is(next, '*')) {
+          report('unsupported-syntax', 'error', 'Generator functions are not supported by ExtendScript (ES3).', token.start, next.end);
+        }
+        break;
+      case 'async':
+        if (is(next, 'function') || is(next, '(') || (next && next.type === 'word' && is(tokens[i + 2], '=>'))) {
+          report('unsupported-syntax', 'error', 'Async functions are not supported by ExtendScript (ES3).', token.start, token.end);
+        }
+        break;
+      case 'await':
+        if (next && (next.type === 'word' || is(next, '('))) {
+          report('unsupported-syntax', 'error', '`await` is not supported by ExtendScript (ES3).', token.start, token.end);
+        }
+        break;
+      case 'import':
+      case 'export':
+        if ((!prev || is(prev, ';') || is(prev, '}')) && next && (next.type === 'word' || next.type === 'string' || is(next, '{') || is(next, '*'))) {
+          report('unsupported-syntax', 'error', 'Modules (`import`/`export`) are not supported by ExtendScript. Use `#include`.', token.start, token.end);
+        }
+        break;
+      case 'of': {
+        // for (x of items) / for (var x of items)
+        const forIndex = is(tokens[i - 3], 'for') ? i - 3 : is(tokens[i - 4], 'for') ? i - 4 : -1;
+        if (forIndex !== -1 && is(tokens[forIndex + 1], '(') && prev.type === 'word') {
+          report('unsupported-syntax', 'error', '`for...of` loops are not supported by ExtendScript (ES3). Use an index loop.', token.start, token.end);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    // Static methods such as Object.keys or Date.now
+    const statics = UNSUPPORTED_STATICS[token.value];
+    if (statics && is(next, '.') && tokens[i + 2] && statics.includes(tokens[i + 2].value)) {
+      const member = tokens[i + 2];
+      const name = `${token.value}.${member.value}`;
+      if (!isDefined(source, name) && !(token.value === 'JSON' && isDefined(source, 'JSON'))) {
+        const message = token.value === 'JSON'
+          ? '`JSON` is not built into ExtendScript. Include a JSON polyfill such as json2.js.'
+          : `\`${name}\` is not available in ExtendScript (ES3).`;
+        let fix;
+        if (name === 'Date.now' && is(tokens[i + 3], '(') && is(tokens[i + 4], ')')) {
+          fix = { title: 'Replace with `new Date().getTime()`', start: token.start, end: tokens[i + 4].end, text: 'new Date().getTime()' };
+        }
+        report('unsupported-builtin', 'warning', message, token.start, member.end, fix);
+      }
+    }
+
+    // Global objects such as Promise or Map
+    if (UNSUPPORTED_GLOBALS.includes(token.value) && !isDefined(source, token.value)) {
+      report('unsupported-builtin', 'warning', `\`${token.value}\` is not available in ExtendScript (ES3).`, token.start, token.end);
+    }
+  }
+
+  // Prototype methods such as Array.prototype.forEach, called as `.name(`
+  for (let i = 1; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    const owners = token.type === 'word' && Object.prototype.hasOwnProperty.call(UNSUPPORTED_METHODS, token.value) && UNSUPPORTED_METHODS[token.value];
+    if (!owners || tokens[i - 1].value !== '.' || tokens[i - 1].type !== 'punct' || tokens[i + 1].value !== '(') {
+      continue;
+    }
+    const missing = owners.filter((owner) => !isDefined(source, `${owner}.prototype.${token.value}`));
+    if (missing.length < owners.length) {
+      continue;
+    }
+    const names = owners.map((owner) => `\`${owner}.prototype.${token.value}\``).join(' and ');
+    let fix;
+    if (token.value === 'trim' && tokens[i + 2] && tokens[i + 2].value === ')') {
+      fix = { title: 'Replace with a regular expression', start: token.start, end: tokens[i + 2].end, text: "replace(/^\\s+|\\s+$/g, '')" };
+    }
+    report('unsupported-builtin', 'warning', `${names} ${owners.length > 1 ? 'are' : 'is'} not available in ExtendScript (ES3).`, token.start, token.end, fix);
+  }
+
+  return issues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Apply the fixes of several issues to a script. Fixes overlapping one
+ * already applied are skipped.
+ *
+ * @param {string} text Script source
+ * @param {Object[]} issues Issues from `lintExtendScript`
+ * @returns {{start: number, end: number, text: string}[]} Non-overlapping fixes, ordered by position
+ */
+function collectFixes(text, issues) {
+  const fixes = [];
+  let lastEnd = -1;
+  for (const fix of issues.map((issue) => issue.fix).filter(Boolean).sort((a, b) => a.start - b.start)) {
+    if (fix.start >= lastEnd && fix.end <= text.length) {
+      fixes.push(fix);
+      lastEnd = fix.end;
+    }
+  }
+  return fixes;
+}
+
+module.exports = {
+  tokenize,
+  lintExtendScript,
+  collectFixes
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createCancellationError } = require('./runQueue');
+
+/**
+ * Convert a JSON-compatible value into an ExtendScript (ES3) literal.
+ * JSON is valid ExtendScript except for the U+2028/U+2029 line separators,
+ * which ES3 treats as line terminators inside strings.
+ *
+ * @param {any} value JSON-compatible value
+ * @returns {string} ExtendScript literal
+ */
+function toExtendScriptValue(value) {
+  return JSON.stringify(value)
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Convert a value into an ExtendScript (ES3) string literal.
+ *
+ * @param {string} value Raw string value
+ * @returns {string} Double-quoted ExtendScript string literal
+ */
+function toExtendScriptString(value) {
+  return toExtendScriptValue(String(value));
+}
+
+/**
+ * Normalise a file system path for use with ExtendScript's `File` object.
+ * ExtendScript accepts forward slashes on every platform, so Windows
+ * backslashes are converted to avoid escaping issues.
+ *
+ * @param {string} filePath Absolute file system path
+ * @returns {string} Path using forward slashes
+ */
+function toExtendScriptPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Build the source of a harness script that evaluates the user's script with
+ * `$.evalFile`, captures its result, any thrown error and `$.writeln` output,
+ * and writes everything as JSON to `resultPath`.
+ *
+ * Error file names are converted to platform paths via `File.fsName`.
+ * The result file is first written under a `.part` name and renamed once
+ * complete so the extension never reads a half-written file. Without a
+ * `resultPath` the harness evaluates to the JSON string instead, which is how
+ * the bridge returns results over its socket.
+ *
+ * Script arguments are exposed to the script as the global `AE_ARGS` object.
+ * Setup scripts run before the script; teardown scripts run afterwards even
+ * when an earlier script failed. An error in a teardown script is reported
+ * only if everything before it succeeded.
+ *
+ * With an `undoGroup` label the script and its teardown scripts (but not its
+ * setup scripts) run inside `app.beginUndoGroup`/`app.endUndoGroup`, so
+ * undoing the group also undoes the teardown. The group is closed even when
+ * a script throws.
+ *
+ * @param {Object} options
+ * @param {string} options.scriptPath Absolute path of the script to evaluate
+ * @param {string|null} [options.resultPath] Absolute path the JSON result is written to
+ * @param {Object|null} [options.args] Arguments to expose as `AE_ARGS`
+ * @param {string[]} [options.setup] Absolute paths of scripts to evaluate first
+ * @param {string[]} [options.teardown] Absolute paths of scripts to evaluate last
+ * @param {string|null} [options.undoGroup] Label of the undo group to wrap the script in
+ * @returns {string} ExtendScript source of the harness
+ */
+function buildHarnessScript({ scriptPath, resultPath = null, args = null, setup = [], teardown = [], undoGroup = null }) {
+  const scriptLiteral = toExtendScriptString(toExtendScriptPath(scriptPath));
+  const output = resultPath
+    ? `var part = new File(${toExtendScriptString(toExtendScriptPath(resultPath))} + '.part');
+  part.encoding = 'UTF-8';
+  if (part.open('w')) {
+    part.write(json);
+    part.close();
+    part.rename(${toExtendScriptString(path.basename(resultPath))});
+  }`
+    : 'return json;';
+
+  return `(function () {
+  var __scriptPath = ${scriptLiteral};
+  var __setup = ${toExtendScriptValue(setup.map(toExtendScriptPath))};
+  var __teardown = ${toExtendScriptValue(teardown.map(toExtendScriptPath))};
+  var __undoGroup = ${toExtendScriptValue(undoGroup)};
+  var __undoOpen = false;
+  $.global.AE_ARGS = ${toExtendScriptValue(args || {})};
+  var __logs = [];
+  var __report = { ok: true };
+  var __started = new Date().getTime();
+
+  function __quote(value) {
+    var s = String(value);
+    var out = '"';
+    for (var i = 0; i < s.length; i++) {
+      var c = s.charAt(i);
+      var code = s.charCodeAt(i);
+      if (c === '"' || c === '\\\\') {
+        out += '\\\\' + c;
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        out += '\\\\u' + '0000'.substr(hex.length) + hex;
+      } else {
+        out += c;
+      }
+    }
+    return out + '"';
+  }
+
+  function __describe(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    if (value !== null && typeof value === 'object' && typeof value.toSource === 'function') {
+      try {
+        return value.toSource();
+      } catch (e) {}
+    }
+    return String(value);
+  }
+
+  var __writeln = $.writeln;
+  var __write = $.write;
+  var __pending = '';
+  try {
+    $.write = function () {
+      for (var i = 0; i < arguments.length; i++) {
+        __pending += __describe(arguments[i]);
+      }
+      try { __write.apply($, arguments); } catch (e) {}
+    };
+    $.writeln = function () {
+      var line = __pending;
+      for (var i = 0; i < arguments.length; i++) {
+        line += __describe(arguments[i]);
+      }
+      __pending = '';
+      __logs.push(line);
+      try { __writeln.apply($, arguments); } catch (e) {}
+    };
+  } catch (e) {}
+
+  function __fail(err, filePath) {
+    __report.ok = false;
+    __report.error = {
+      name: err && err.name ? String(err.name) : 'Error',
+      message: err && err.message !== undefined ? String(err.message) : String(err),
+      line: err && err.line ? Number(err.line) : 0,
+      fileName: new File(err && err.fileName ? err.fileName : filePath).fsName
+    };
+  }
+
+  try {
+    var __current = __scriptPath;
+    try {
+      for (var s = 0; s < __setup.length; s++) {
+        __current = __setup[s];
+        $.evalFile(new File(__current));
+      }
+      __current = __scriptPath;
+      if (__undoGroup !== null) {
+        app.beginUndoGroup(__undoGroup);
+        __undoOpen = true;
+      }
+      var __value = $.evalFile(new File(__current));
+      if (typeof __value !== 'undefined') {
+        __report.result = __describe(__value);
+      }
+    } catch (err) {
+      __fail(err, __current);
+    }
+    for (var t = 0; t < __teardown.length; t++) {
+      try {
+        $.evalFile(new File(__teardown[t]));
+      } catch (err) {
+        if (__report.ok) {
+          __fail(err, __teardown[t]);
+        } else {
+          __logs.push('Teardown script ' + __teardown[t] + ' failed: ' + (err && err.message !== undefined ? err.message : err));
+        }
+      }
+    }
+    if (__undoOpen) {
+      try { app.endUndoGroup(); } catch (e) {}
+    }
+  } finally {
+    try {
+      $.writeln = __writeln;
+      $.write = __write;
+    } catch (e) {}
+  }
+  if (__pending.length > 0) {
+    __logs.push(__pending);
+  }
+
+  var json = '{"ok":' + (__report.ok ? 'true' : 'false');
+  json += ',"duration":' + (new Date().getTime() - __started);
+  if (__report.result !== undefined) {
+    json += ',"result":' + __quote(__report.result);
+  }
+  if (__report.error) {
+    json += ',"error":{"name":' + __quote(__report.error.name) +
+      ',"message":' + __quote(__report.error.message) +
+      ',"line":' + __report.error.line +
+      ',"fileName":' + __quote(__report.error.fileName) + '}';
+  }
+  var logs = [];
+  for (var j = 0; j < __logs.length; j++) {
+    logs.push(__quote(__logs[j]));
+  }
+  json += ',"logs":[' + logs.join(',') + ']}';
+
+  ${output}
+})();
+`;
+}
+
+/**
+ * Create a harness script on disk for a run together with the path its
+ * results will be written to.
+ *
+ * @param {string} scriptPath Absolute path of the script to evaluate
+ * @param {string} [directory] Directory for the harness and result files
+ * @param {Object} [options]
+ * @param {boolean} [options.returnResult] Make the harness evaluate to its JSON result instead of writing a file
+ * @param {Object|null} [options.args] Arguments to expose to the script as `AE_ARGS`
+ * @param {string[]} [options.setup] Scripts to evaluate before the script
+ * @param {string[]} [options.teardown] Scripts to evaluate after the script
+ * @param {string|null} [options.undoGroup] Label of the undo group to wrap the script in
+ * @returns {{harnessPath: string, resultPath: string|null}} Paths of the generated files
+ */
+function createHarness(scriptPath, directory = os.tmpdir(), { returnResult = false, args = null, setup = [], teardown = [], undoGroup = null } = {}) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  const harnessPath = path.join(directory, `ae-script-runner-harness-${id}.jsx`);
+  const resultPath = returnResult ? null : path.join(directory, `ae-script-runner-result-${id}.json`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(harnessPath, buildHarnessScript({ scriptPath, resultPath, args, setup, teardown, undoGroup }), 'utf8');
+  return { harnessPath, resultPath };
+}
+
+/**
+ * Wait for a harness result file to appear and parse it.
+ *
+ * @param {string} resultPath Path the harness writes its JSON result to
+ * @param {number} timeoutMs Maximum time to wait in milliseconds
+ * @param {number} [intervalMs] Polling interval in milliseconds
+ * @param {AbortSignal|null} [signal] Stops waiting when aborted
+ * @returns {Promise<Object|null>} Parsed result, or null if none arrived in time
+ */
+function waitForResult(resultPath, timeoutMs, intervalMs = 200, signal = null) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (signal && signal.aborted) {
+        reject(createCancellationError());
+        return;
+      }
+      if (fs.existsSync(resultPath)) {
+        try {
+          resolve(JSON.parse(fs.readFileSync(resultPath, 'utf8')));
+        } catch (err) {
+          reject(new Error(`Could not parse script result: ${err.message}`));
+        }
+        return;
+      }
+      if (Date.now() >= deadline) {
+        resolve(null);
+        return;
+      }
+      setTimeout(poll, intervalMs);
+    };
+    poll();
+  });
+}
+
+/** Menu command ID of Edit > Undo in After Effects. */
+const UNDO_COMMAND_ID = 16;
+
+/**
+ * Build a script that undoes the most recent undo step in After Effects,
+ * which is the undo group of the last run if nothing was done since.
+ *
+ * @param {string} label Label of the undo group expected to be undone
+ * @returns {string} ExtendScript source
+ */
+function buildUndoScript(label) {
+  return `app.executeCommand(${UNDO_COMMAND_ID});
+'Undid ' + ${toExtendScriptString(label)};
+`;
+}
+
+module.exports = {
+  toExtendScriptValue,
+  toExtendScriptString,
+  toExtendScriptPath,
+  buildHarnessScript,
+  buildUndoScript,
+  createHarness,
+  waitForResult
+};
@@ -0,0 +1,35 @@
+/**
+ * Get the lines of a script's header: the leading block of comments, blank
+ * lines and `#` preprocessor directives. Directives such as `@ae-target`
+ * and `@ae-param` are only read from here, so they cannot be picked up from
+ * code or strings further down.
+ *
+ * Comment markers (`//`, `/*`, `*` and `*\/`) are stripped from the returned
+ * lines; preprocessor directives are left out.
+ *
+ * @param {string} text Script source
+ * @returns {string[]} Trimmed comment text of each header line
+ */
+function getHeaderLines(text) {
+  const lines = [];
+  let inBlockComment = false;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (inBlockComment) {
+      inBlockComment = !trimmed.includes('*/');
+      lines.push(trimmed.replace(/\*\/.*$/, '').replace(/^\*\s?/, '').trim());
+    } else if (trimmed.startsWith('//')) {
+      lines.push(trimmed.replace(/^\/\/+/, '').trim());
+    } else if (trimmed.startsWith('/*')) {
+      inBlockComment = !trimmed.includes('*/');
+      lines.push(trimmed.replace(/^\/\*+/, '').replace(/\*\/.*$/, '').trim());
+    } else if (trimmed !== '' && !trimmed.startsWith('#')) {
+      break;
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  getHeaderLines
+};
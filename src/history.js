@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/** Number of runs kept unless configured otherwise. */
+const DEFAULT_HISTORY_SIZE = 50;
+
+/**
+ * Create a persistent history of script runs. Entries are stored newest
+ * first in `history.json` inside `directory`, and the exact script sent for
+ * each run is kept as a snapshot next to it.
+ *
+ * @param {string} directory Directory the history is stored in
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of runs to keep
+ * @returns {Object} The run history
+ */
+function createRunHistory(directory, { limit = DEFAULT_HISTORY_SIZE } = {}) {
+  const historyPath = path.join(directory, 'history.json');
+  const snapshotDirectory = path.join(directory, 'snapshots');
+  const listeners = [];
+  let entries = null;
+
+  const load = () => {
+    if (entries) {
+      return entries;
+    }
+    try {
+      entries = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    } catch (err) {
+      entries = [];
+    }
+    // Runs still marked as running were cut short by a previous session
+    for (const entry of entries) {
+      if (entry.status === 'running') {
+        entry.status = 'interrupted';
+      }
+    }
+    return entries;
+  };
+
+  const save = () => {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(historyPath, JSON.stringify(entries, null, 2), 'utf8');
+    for (const listener of listeners) {
+      listener();
+    }
+  };
+
+  const trim = () => {
+    for (const entry of entries.splice(Math.max(limit, 0))) {
+      try {
+        fs.unlinkSync(entry.snapshotPath);
+      } catch (err) {
+        // Already gone
+      }
+    }
+  };
+
+  return {
+    /**
+     * @returns {Object[]} Recorded runs, newest first
+     */
+    list() {
+      return load().slice();
+    },
+
+    /**
+     * @param {string} id Run ID
+     * @returns {Object|undefined} The run with this ID
+     */
+    get(id) {
+      return load().find((entry) => entry.id === id);
+    },
+
+    /**
+     * Record the start of a run and snapshot the script being sent.
+     *
+     * @param {Object} fields Details of the run, e.g. `file`, `name`, `target`
+     * @param {string} scriptPath Script about to be sent
+     * @returns {Object} The new entry
+     */
+    start(fields, scriptPath) {
+      load();
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const snapshotPath = path.join(snapshotDirectory, `${id}${path.extname(scriptPath) || '.jsx'}`);
+      fs.mkdirSync(snapshotDirectory, { recursive: true });
+      fs.copyFileSync(scriptPath, snapshotPath);
+
+      const entry = { id, ...fields, startedAt: Date.now(), status: 'running', snapshotPath };
+      entries.unshift(entry);
+      trim();
+      save();
+      return entry;
+    },
+
+    /**
+     * Record the outcome of a run.
+     *
+     * @param {string} id Run ID
+     * @param {Object} fields Outcome, e.g. `status`, `exitCode`, `stderr`, `result`
+     */
+    finish(id, fields) {
+      const entry = load().find((item) => item.id === id);
+      if (!entry) {
+        return;
+      }
+      Object.assign(entry, fields, { duration: Date.now() - entry.startedAt });
+      save();
+    },
+
+    /**
+     * Change how many runs are kept, dropping the oldest if needed.
+     *
+     * @param {number} size Maximum number of runs
+     */
+    setLimit(size) {
+      limit = size;
+      load();
+      trim();
+      save();
+    },
+
+    /**
+     * Forget all runs and their snapshots.
+     */
+    clear() {
+      entries = [];
+      fs.rmSync(snapshotDirectory, { recursive: true, force: true });
+      save();
+    },
+
+    /**
+     * @param {() => void} listener Called whenever the history changes
+     * @returns {{dispose: () => void}} Removes the listener
+     */
+    onChange(listener) {
+      listeners.push(listener);
+      return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_SIZE,
+  createRunHistory
+};
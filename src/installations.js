@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+/** Key the detected installations are stored under in `globalState`. */
+const INSTALLATIONS_CACHE_KEY = 'aeScriptRunner.installations';
+
+/**
+ * Compare two dotted version strings numerically, e.g. `25.0.1` > `24.6`.
+ * Empty or missing versions sort lowest.
+ *
+ * @param {string} a First version
+ * @param {string} b Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const partsA = String(a || '').split(/[^\d]+/).filter(Boolean).map(Number);
+  const partsB = String(b || '').split(/[^\d]+/).filter(Boolean).map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return partsA.length - partsB.length;
+}
+
+/**
+ * Pick the installation with the highest version number.
+ *
+ * @param {{version: string}[]} installations Detected installations
+ * @returns {Object|null} The newest installation, or null if there are none
+ */
+function pickNewestInstallation(installations) {
+  if (!installations || installations.length === 0) {
+    return null;
+  }
+  return installations.reduce((newest, item) => (compareVersions(item.version, newest.version) > 0 ? item : newest));
+}
+
+/**
+ * Build a cheap fingerprint of the folders After Effects is installed into.
+ * Installing, removing or updating After Effects changes the modification
+ * time of the folder or of an `Adobe After Effects*` folder inside it, which
+ * invalidates the cache.
+ *
+ * @param {string[]} folders Folders to fingerprint
+ * @returns {string} Fingerprint string
+ */
+function getInstallationsStamp(folders) {
+  return folders.map((folder) => {
+    try {
+      const entries = fs.readdirSync(folder)
+        .filter((item) => item.startsWith('Adobe After Effects'))
+        .map((item) => `${item}@${fs.statSync(path.join(folder, item)).mtimeMs}`);
+      return `${folder}@${fs.statSync(folder).mtimeMs}:${entries.join(',')}`;
+    } catch (err) {
+      return `${folder}@missing`;
+    }
+  }).join('|');
+}
+
+/**
+ * Create a cache of detected After Effects installations backed by a
+ * `vscode.Memento` (or anything with the same `get`/`update` methods).
+ * Detection only runs when the cache is empty, the installation folders
+ * changed, or a refresh is requested.
+ *
+ * @param {{get: (key: string) => any, update: (key: string, value: any) => Thenable<void>}} store Persistent storage, e.g. `context.globalState`
+ * @param {() => Promise<Object[]>} detect Performs the actual (slow) detection
+ * @param {() => string} stamp Returns the current fingerprint of the installation folders
+ * @returns {{get: (options?: {refresh?: boolean}) => Promise<Object[]>, refresh: () => Promise<Object[]>}} The cache
+ */
+function createInstallationCache(store, detect, stamp) {
+  let pending = null;
+
+  const refresh = () => {
+    if (!pending) {
+      pending = (async () => {
+        try {
+          const installations = await detect();
+          await store.update(INSTALLATIONS_CACHE_KEY, {
+            stamp: stamp(),
+            detectedAt: Date.now(),
+            installations
+          });
+          return installations;
+        } finally {
+          pending = null;
+        }
+      })();
+    }
+    return pending;
+  };
+
+  const get = async ({ refresh: force = false } = {}) => {
+    const cached = store.get(INSTALLATIONS_CACHE_KEY);
+    if (!force && cached && cached.stamp === stamp()) {
+      return cached.installations;
+    }
+    return refresh();
+  };
+
+  return { get, refresh };
+}
+
+module.exports = {
+  INSTALLATIONS_CACHE_KEY,
+  compareVersions,
+  pickNewestInstallation,
+  getInstallationsStamp,
+  createInstallationCache
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { toExtendScriptPath, toExtendScriptString, toExtendScriptValue, waitForResult } = require('./harness');
+const { createRunFileName, writeRunFile } = require('./runFiles');
+const { isCancellation } = require('./runQueue');
+const { executeCommand } = require('./transports');
+const { expandPlaceholders } = require('./transports/customCommand');
+
+/**
+ * Get the path a script is exported to as JSXBIN: next to the source, or in
+ * `outputFolder` keeping the source's path relative to `baseFolder`.
+ *
+ * @param {string} sourcePath Absolute path of the script
+ * @param {Object} [options]
+ * @param {string} [options.outputFolder] Absolute folder to export into
+ * @param {string} [options.baseFolder] Folder the output layout is relative to
+ * @returns {string} Absolute path of the `.jsxbin` file
+ */
+function getJsxbinOutputPath(sourcePath, { outputFolder = '', baseFolder = path.dirname(sourcePath) } = {}) {
+  const fileName = `${path.basename(sourcePath, path.extname(sourcePath))}.jsxbin`;
+  if (!outputFolder) {
+    return path.join(path.dirname(sourcePath), fileName);
+  }
+  const relativeDir = path.relative(baseFolder, path.dirname(sourcePath));
+  const inside = relativeDir && !relativeDir.startsWith('..') && !path.isAbsolute(relativeDir);
+  return path.join(outputFolder, inside ? relativeDir : '', fileName);
+}
+
+/**
+ * Build an ExtendScript script that compiles each source file to JSXBIN and
+ * writes the result. It writes a JSON array with one `{ok, error?}` entry per
+ * job to `reportPath`, so one failing file does not stop the others.
+ *
+ * Compilation uses the host's `app.compile`, which is provided by
+ * ExtendScript Toolkit but not by After Effects; in hosts without it every
+ * job fails with a clear message.
+ *
+ * @param {{source: string, output: string, name: string}[]} jobs Files to compile, `source` possibly a bundled copy
+ * @param {string} reportPath Absolute path the JSON report is written to
+ * @returns {string} ExtendScript source
+ */
+function buildCompileScript(jobs, reportPath) {
+  const list = jobs.map((job) => ({
+    source: toExtendScriptPath(job.source),
+    output: toExtendScriptPath(job.output),
+    name: job.name
+  }));
+
+  return `(function () {
+  var jobs = ${toExtendScriptValue(list)};
+
+  function quote(value) {
+    var s = String(value);
+    var out = '"';
+    for (var i = 0; i < s.length; i++) {
+      var c = s.charAt(i);
+      var code = s.charCodeAt(i);
+      if (c === '"' || c === '\\\\') {
+        out += '\\\\' + c;
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        out += '\\\\u' + '0000'.substr(hex.length) + hex;
+      } else {
+        out += c;
+      }
+    }
+    return out + '"';
+  }
+
+  var results = [];
+  for (var i = 0; i < jobs.length; i++) {
+    try {
+      if (typeof app.compile !== 'function') {
+        throw new Error('This ExtendScript host cannot compile JSXBIN (app.compile is not available).');
+      }
+      var source = new File(jobs[i].source);
+      source.encoding = 'UTF-8';
+      if (!source.open('r')) {
+        throw new Error('Cannot read ' + source.fsName);
+      }
+      var code = source.read();
+      source.close();
+
+      var binary = app.compile(code, jobs[i].name, true);
+      var output = new File(jobs[i].output);
+      if (!output.parent.exists) {
+        output.parent.create();
+      }
+      output.encoding = 'UTF-8';
+      if (!output.open('w')) {
+        throw new Error('Cannot write ' + output.fsName);
+      }
+      output.write(binary);
+      output.close();
+      results.push('{"ok":true}');
+    } catch (err) {
+      results.push('{"ok":false,"error":' + quote(err && err.message !== undefined ? err.message : err) + '}');
+    }
+  }
+  var report = new File(${toExtendScriptString(toExtendScriptPath(reportPath))} + '.part');
+  report.encoding = 'UTF-8';
+  if (report.open('w')) {
+    report.write('[' + results.join(',') + ']');
+    report.close();
+    report.rename(${toExtendScriptString(path.basename(reportPath))});
+  }
+})();
+`;
+}
+
+/**
+ * Build the command that runs a compile script in the JSXBIN compiler, an
+ * ExtendScript host with `app.compile` such as ExtendScript Toolkit. It runs
+ * outside After Effects, so the transports and the bridge are not involved.
+ *
+ * @param {string} scriptPath Absolute path of the compile script
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @returns {{command: string, args: string[]}} The executable and its arguments
+ */
+function buildCompilerCommand(scriptPath, settings) {
+  const command = settings.get('jsxbinCompiler');
+  if (!command || command.trim().length === 0) {
+    throw new Error('JSXBIN export needs ExtendScript Toolkit, because After Effects cannot compile JSXBIN. Set aeScriptRunner.jsxbinCompiler to its executable.');
+  }
+  const args = settings.get('jsxbinCompilerArgs') || ['-cmd', '${scriptPath}'];
+  return {
+    command: command.trim(),
+    args: args.map((arg) => expandPlaceholders(String(arg), scriptPath))
+  };
+}
+
+/**
+ * Compile scripts to JSXBIN by running a compile script in the JSXBIN
+ * compiler and reading back its report.
+ *
+ * @param {{source: string, output: string, name: string}[]} jobs Files to compile
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @param {Object} options
+ * @param {string} options.directory Folder the compile script and its report are written to
+ * @param {AbortSignal} [options.signal] Stops the compiler when aborted
+ * @param {number} [options.timeoutMs] Maximum time the compiler may take; 0 waits forever
+ * @param {(text: string) => void} [options.log] Receives the compiler's output
+ * @returns {Promise<{job: Object, ok: boolean, error?: string}[]>} Outcome per job, see `parseCompileReport`
+ */
+async function compileJsxbin(jobs, settings, { directory, signal, timeoutMs = 0, log = console.log }) {
+  const reportPath = path.join(directory, createRunFileName('export-jsxbin', '.json'));
+  const scriptPath = writeRunFile(directory, 'export-jsxbin.jsx', buildCompileScript(jobs, reportPath));
+  const keepFiles = Boolean(settings.get('keepRunFiles'));
+  try {
+    const { command, args } = buildCompilerCommand(scriptPath, settings);
+    await executeCommand(command, args, { signal, timeoutMs, onOutput: log });
+    // The compiler may exit a moment before its report is renamed into place
+    const report = await waitForResult(reportPath, 5000, 200, signal).catch((err) => {
+      throw isCancellation(err) ? err : new Error(`Unexpected JSXBIN export report: ${err.message}`);
+    });
+    if (!report) {
+      throw new Error(`${path.basename(command)} finished without compiling. Check that aeScriptRunner.jsxbinCompilerArgs makes it run the script.`);
+    }
+    return parseCompileReport(report, jobs);
+  } finally {
+    if (!keepFiles) {
+      for (const filePath of [scriptPath, reportPath]) {
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+  }
+}
+
+/**
+ * Pair the report of a compile script with its jobs.
+ *
+ * @param {Object[]} report Parsed JSON array the compile script wrote
+ * @param {{source: string, output: string, name: string}[]} jobs The jobs passed to `buildCompileScript`
+ * @returns {{job: Object, ok: boolean, error?: string}[]} Outcome per job
+ */
+function parseCompileReport(report, jobs) {
+  if (!Array.isArray(report) || report.length !== jobs.length) {
+    throw new Error('Unexpected JSXBIN export report: expected one entry per file.');
+  }
+  return jobs.map((job, index) => ({ job, ok: Boolean(report[index].ok), error: report[index].error }));
+}
+
+module.exports = {
+  getJsxbinOutputPath,
+  buildCompileScript,
+  buildCompilerCommand,
+  compileJsxbin,
+  parseCompileReport
+};
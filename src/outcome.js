@@ -0,0 +1,73 @@
+/**
+ * Exit codes of `ae-run`, also used by `aeScript` tasks.
+ */
+const EXIT_CODES = {
+  ok: 0,
+  scriptError: 1,
+  usage: 2,
+  sendFailed: 3,
+  noResult: 4,
+  renderFailed: 5,
+  cancelled: 130
+};
+
+/**
+ * Pick the exit code for an outcome.
+ *
+ * @param {Object} outcome Outcome printed by `ae-run`
+ * @returns {number} Exit code, see `EXIT_CODES`
+ */
+function getExitCode(outcome) {
+  if (outcome.status === 'cancelled') {
+    return EXIT_CODES.cancelled;
+  }
+  if (outcome.status === 'error') {
+    return outcome.result ? EXIT_CODES.scriptError : EXIT_CODES.sendFailed;
+  }
+  if (outcome.status === 'timeout') {
+    return EXIT_CODES.noResult;
+  }
+  if (outcome.render && outcome.render.status !== 'ok') {
+    return outcome.render.exitCode === undefined ? EXIT_CODES.sendFailed : EXIT_CODES.renderFailed;
+  }
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Print an outcome for people reading the terminal. Script output and the
+ * result go to stdout, problems to stderr.
+ *
+ * @param {Object} outcome Outcome of the run and render
+ * @param {{stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream}} streams Output streams
+ */
+function printOutcome(outcome, { stdout, stderr }) {
+  const { result } = outcome;
+  if (result) {
+    for (const line of result.logs || []) {
+      stdout.write(`${line}\n`);
+    }
+    if (result.ok && result.result !== undefined) {
+      stdout.write(`=> ${result.result}\n`);
+    }
+    if (!result.ok) {
+      const { name, message, fileName, line } = result.error;
+      stderr.write(`${name}: ${message}${line ? ` (${fileName ? `${fileName}:` : 'line '}${line})` : ''}\n`);
+    }
+  }
+  if (outcome.status === 'dryRun') {
+    stderr.write(outcome.sentPath ? `Dry run: would send ${outcome.sentPath}\n` : 'Dry run: nothing was sent.\n');
+  } else if (outcome.status === 'timeout') {
+    stderr.write(`Sent the script via ${outcome.via}, but no result arrived in time.\n`);
+  } else if (outcome.error) {
+    stderr.write(`${outcome.error}\n`);
+  }
+  if (outcome.render) {
+    stderr.write(outcome.render.status === 'ok' ? 'Render finished.\n' : `Render failed: ${outcome.render.error}\n`);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  getExitCode,
+  printOutcome
+};
@@ -0,0 +1,102 @@
+const { getHeaderLines } = require('./header');
+
+/** Parameter types that can be declared with `@ae-param`. */
+const PARAM_TYPES = ['string', 'number', 'boolean', 'choice', 'file', 'folder'];
+
+/**
+ * Pattern matching `@ae-param {type} name [= default] [description]`. Choice
+ * parameters list their options in the type: `{choice:fast|slow}`.
+ */
+const PARAM_DIRECTIVE = /^@ae-param\s+\{([^}]+)\}\s+([A-Za-z_$][\w$]*)(?:\s*=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+))?\s*(.*)$/;
+
+/**
+ * Parse the parameters a script declares in its header, e.g.
+ *
+ *     // @ae-param {string} compName = "Main Comp" Composition to process
+ *     // @ae-param {number} frames = 10
+ *     // @ae-param {choice:draft|final} quality = draft Render quality
+ *     // @ae-param {folder} output Where to write the renders
+ *
+ * @param {string} text Script source
+ * @returns {{name: string, type: string, choices: string[], default: any, description: string}[]} Declared parameters
+ */
+function parseParams(text) {
+  const params = [];
+  for (const line of getHeaderLines(text)) {
+    const match = line.match(PARAM_DIRECTIVE);
+    if (!match) {
+      continue;
+    }
+
+    const [, typeSpec, name, rawDefault, description] = match;
+    const [type, choiceList] = typeSpec.split(':').map((part) => part.trim());
+    if (!PARAM_TYPES.includes(type)) {
+      throw new Error(`Unknown @ae-param type "${type}" for "${name}". Expected one of: ${PARAM_TYPES.join(', ')}.`);
+    }
+
+    const param = {
+      name,
+      type,
+      choices: type === 'choice' && choiceList ? choiceList.split('|').map((item) => item.trim()).filter(Boolean) : [],
+      default: undefined,
+      description: description.trim()
+    };
+    if (rawDefault !== undefined) {
+      param.default = coerceParamValue(param, unquote(rawDefault));
+    }
+    params.push(param);
+  }
+  return params;
+}
+
+/**
+ * Remove surrounding quotes and unescape a quoted default value.
+ *
+ * @param {string} value Raw default value
+ * @returns {string} Unquoted value
+ */
+function unquote(value) {
+  const quote = value[0];
+  if ((quote === '"' || quote === "'") && value[value.length - 1] === quote) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+/**
+ * Convert a raw string value to the parameter's type.
+ *
+ * @param {{name: string, type: string, choices: string[]}} param The parameter
+ * @param {string} raw Value as entered or declared
+ * @returns {string|number|boolean} The typed value
+ */
+function coerceParamValue(param, raw) {
+  const value = String(raw);
+  switch (param.type) {
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number)) {
+        throw new Error(`"${value}" is not a number (parameter "${param.name}").`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (!/^(true|false)$/i.test(value)) {
+        throw new Error(`"${value}" is not true or false (parameter "${param.name}").`);
+      }
+      return value.toLowerCase() === 'true';
+    case 'choice':
+      if (param.choices.length > 0 && !param.choices.includes(value)) {
+        throw new Error(`"${value}" is not one of ${param.choices.join(', ')} (parameter "${param.name}").`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+module.exports = {
+  PARAM_TYPES,
+  parseParams,
+  coerceParamValue
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+/** Location of the run profiles file, relative to a workspace folder. */
+const RUN_PROFILES_FILE = path.join('.vscode', 'ae-runs.json');
+
+/**
+ * Normalise a run profile and resolve its paths against a base folder.
+ *
+ * @param {Object} raw Profile as written in `ae-runs.json` or the settings
+ * @param {string} baseDir Folder relative paths are resolved against
+ * @param {string} origin Where the profile was defined, for error messages
+ * @returns {{name: string, entry: string, setup: string[], teardown: string[], target: string|null, args: Object, origin: string}} The profile
+ */
+function normalizeProfile(raw, baseDir, origin) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Invalid run profile in ${origin}: expected an object.`);
+  }
+  if (typeof raw.name !== 'string' || raw.name.trim() === '') {
+    throw new Error(`Invalid run profile in ${origin}: every profile needs a "name".`);
+  }
+  if (typeof raw.entry !== 'string' || raw.entry.trim() === '') {
+    throw new Error(`Invalid run profile "${raw.name}" in ${origin}: "entry" must be a script path.`);
+  }
+
+  const resolvePaths = (value, key) => {
+    const list = value === undefined ? [] : [].concat(value);
+    if (list.some((item) => typeof item !== 'string')) {
+      throw new Error(`Invalid run profile "${raw.name}" in ${origin}: "${key}" must be a path or a list of paths.`);
+    }
+    return list.map((item) => path.resolve(baseDir, item));
+  };
+
+  if (raw.args !== undefined && (raw.args === null || typeof raw.args !== 'object' || Array.isArray(raw.args))) {
+    throw new Error(`Invalid run profile "${raw.name}" in ${origin}: "args" must be an object.`);
+  }
+
+  return {
+    name: raw.name.trim(),
+    entry: path.resolve(baseDir, raw.entry),
+    setup: resolvePaths(raw.setup, 'setup'),
+    teardown: resolvePaths(raw.teardown, 'teardown'),
+    target: raw.target ? String(raw.target) : null,
+    args: raw.args || {},
+    origin
+  };
+}
+
+/**
+ * Parse the contents of an `ae-runs.json` file. The file holds either a
+ * list of profiles or an object with a `profiles` list.
+ *
+ * @param {string} text File contents
+ * @param {string} baseDir Folder relative paths are resolved against
+ * @param {string} origin Path of the file, for error messages
+ * @returns {Object[]} Normalised profiles
+ */
+function parseRunProfiles(text, baseDir, origin) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse ${origin}: ${err.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && data.profiles;
+  if (!Array.isArray(list)) {
+    throw new Error(`Could not parse ${origin}: expected a "profiles" list.`);
+  }
+  return list.map((raw) => normalizeProfile(raw, baseDir, origin));
+}
+
+/**
+ * Collect the run profiles of a workspace from the `ae-runs.json` file of
+ * each workspace folder and from the `aeScriptRunner.runProfiles` setting.
+ * Profile names must be unique.
+ *
+ * @param {string[]} folders Workspace folder paths; the first one anchors profiles from the settings
+ * @param {Object[]} [settingProfiles] Profiles from the settings
+ * @param {Object} [options]
+ * @param {(filePath: string) => string|null} [options.readFile] Returns a file's contents, or null if it does not exist
+ * @returns {Object[]} Normalised profiles
+ */
+function loadRunProfiles(folders, settingProfiles = [], { readFile = readFileIfExists } = {}) {
+  const profiles = [];
+  for (const folder of folders) {
+    const filePath = path.join(folder, RUN_PROFILES_FILE);
+    const text = readFile(filePath);
+    if (text !== null) {
+      profiles.push(...parseRunProfiles(text, folder, filePath));
+    }
+  }
+
+  const baseDir = folders.length > 0 ? folders[0] : process.cwd();
+  for (const raw of settingProfiles || []) {
+    profiles.push(normalizeProfile(raw, baseDir, 'the aeScriptRunner.runProfiles setting'));
+  }
+
+  const seen = new Set();
+  for (const profile of profiles) {
+    if (seen.has(profile.name)) {
+      throw new Error(`Run profile "${profile.name}" is defined more than once (last in ${profile.origin}).`);
+    }
+    seen.add(profile.name);
+  }
+  return profiles;
+}
+
+/**
+ * Read a file, treating a missing file as empty.
+ *
+ * @param {string} filePath Path of the file
+ * @returns {string|null} Contents, or null if the file does not exist
+ */
+function readFileIfExists(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  RUN_PROFILES_FILE,
+  normalizeProfile,
+  parseRunProfiles,
+  loadRunProfiles
+};
@@ -0,0 +1,218 @@
+const { toExtendScriptString, toExtendScriptValue } = require('./harness');
+
+/**
+ * Build an ExtendScript script that describes part of the open project. It
+ * evaluates to a JSON object:
+ *
+ * - without a location: `{file, rootId, items}`, every project item as
+ *   `{index, id, name, type, parentId, numLayers?}` with `type` one of
+ *   `comp`, `folder` or `footage`
+ * - with `{item}`: `{children}`, the composition's layers
+ * - with `{item, layer, properties}`: `{children}`, the properties of the
+ *   layer or of the property group reached through the property indices
+ *
+ * Layers and properties are described as `{index, name, matchName, group,
+ * value?, numKeys?, expression?}`; `value` is only read for simple values.
+ *
+ * @param {{item: number, layer?: number, properties?: number[]}|null} location What to describe
+ * @returns {string} ExtendScript source
+ */
+function buildProjectQueryScript(location) {
+  return `(function () {
+  var location = ${toExtendScriptValue(location || null)};
+
+  function quote(value) {
+    var s = String(value);
+    var out = '"';
+    for (var i = 0; i < s.length; i++) {
+      var c = s.charAt(i);
+      var code = s.charCodeAt(i);
+      if (c === '"' || c === '\\\\') {
+        out += '\\\\' + c;
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        out += '\\\\u' + '0000'.substr(hex.length) + hex;
+      } else {
+        out += c;
+      }
+    }
+    return out + '"';
+  }
+
+  function preview(prop) {
+    var value;
+    try {
+      value = prop.value;
+    } catch (err) {
+      return null;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+    if (value instanceof Array) {
+      for (var i = 0; i < value.length; i++) {
+        if (typeof value[i] !== 'number') {
+          return null;
+        }
+      }
+      return '[' + value.join(', ') + ']';
+    }
+    if (value && typeof value.text === 'string') {
+      return quote(value.text);
+    }
+    return null;
+  }
+
+  function describe(index, prop) {
+    var group = prop.propertyType !== PropertyType.PROPERTY;
+    var entry = '{"index":' + index + ',"name":' + quote(prop.name) + ',"matchName":' + quote(prop.matchName) + ',"group":' + group;
+    if (!group) {
+      var value = preview(prop);
+      if (value !== null) {
+        entry += ',"value":' + quote(value);
+      }
+      if (prop.numKeys > 0) {
+        entry += ',"numKeys":' + prop.numKeys;
+      }
+      if (prop.expressionEnabled && prop.expression) {
+        entry += ',"expression":' + quote(prop.expression);
+      }
+    }
+    return entry + '}';
+  }
+
+  function describeItems(project) {
+    var items = [];
+    for (var i = 1; i <= project.numItems; i++) {
+      var item = project.item(i);
+      var type = item instanceof CompItem ? 'comp' : (item instanceof FolderItem ? 'folder' : 'footage');
+      var entry = '{"index":' + i + ',"id":' + item.id + ',"name":' + quote(item.name) + ',"type":"' + type + '","parentId":' + item.parentFolder.id;
+      if (type === 'comp') {
+        entry += ',"numLayers":' + item.numLayers;
+      }
+      items.push(entry + '}');
+    }
+    return '{"file":' + (project.file ? quote(project.file.fsName) : 'null') + ',"rootId":' + project.rootFolder.id + ',"items":[' + items.join(',') + ']}';
+  }
+
+  var project = app.project;
+  if (!project) {
+    throw new Error('No project is open in After Effects.');
+  }
+  if (!location) {
+    return describeItems(project);
+  }
+
+  if (location.item > project.numItems || !(project.item(location.item) instanceof CompItem)) {
+    throw new Error('Item ' + location.item + ' is no longer a composition. Refresh the AE Project view.');
+  }
+  var comp = project.item(location.item);
+  var children = [];
+  if (location.layer === undefined) {
+    for (var l = 1; l <= comp.numLayers; l++) {
+      children.push(describe(l, comp.layer(l)));
+    }
+    return '{"children":[' + children.join(',') + ']}';
+  }
+
+  if (location.layer > comp.numLayers) {
+    throw new Error('Layer ' + location.layer + ' no longer exists. Refresh the AE Project view.');
+  }
+  var parent = comp.layer(location.layer);
+  for (var p = 0; p < location.properties.length; p++) {
+    if (location.properties[p] > parent.numProperties) {
+      throw new Error('Property ' + location.properties[p] + ' of ' + parent.name + ' no longer exists. Refresh the AE Project view.');
+    }
+    parent = parent.property(location.properties[p]);
+  }
+  for (var c = 1; c <= parent.numProperties; c++) {
+    try {
+      children.push(describe(c, parent.property(c)));
+    } catch (err) {
+      // Some properties cannot be read, e.g. hidden ones; leave them out
+    }
+  }
+  return '{"children":[' + children.join(',') + ']}';
+})();
+`;
+}
+
+/**
+ * Parse the report of a project query script.
+ *
+ * @param {string} text JSON object the query script evaluated to
+ * @returns {Object} The project overview or the children, see `buildProjectQueryScript`
+ */
+function parseProjectReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Unexpected project report: ${err.message}`);
+  }
+  if (!report || (!Array.isArray(report.items) && !Array.isArray(report.children))) {
+    throw new Error('Unexpected project report: expected project items or children.');
+  }
+  return report;
+}
+
+/**
+ * Get the items directly inside a folder of the project, folders first.
+ *
+ * @param {{items: Object[]}} project Project overview from `parseProjectReport`
+ * @param {number} folderId ID of the folder, e.g. the project's `rootId`
+ * @returns {Object[]} Items in the folder
+ */
+function getFolderItems(project, folderId) {
+  const items = project.items.filter((item) => item.parentId === folderId);
+  return items.filter((item) => item.type === 'folder').concat(items.filter((item) => item.type !== 'folder'));
+}
+
+/**
+ * Mark which layers or properties can be referred to by name or match name:
+ * those whose name is unique among their siblings. Looking up a duplicate
+ * name in ExtendScript would return the first sibling with that name.
+ *
+ * @param {{name: string, matchName: string}[]} children Siblings from a query
+ * @returns {Object[]} The siblings with `uniqueName` and `uniqueMatchName` flags
+ */
+function markUniqueNames(children) {
+  const count = (key, value) => children.filter((child) => child[key] === value).length;
+  return children.map((child) => ({
+    ...child,
+    uniqueName: count('name', child.name) === 1,
+    uniqueMatchName: count('matchName', child.matchName) === 1
+  }));
+}
+
+/**
+ * Build the ExtendScript expression that accesses a project item, layer or
+ * property, e.g. `app.project.item(3).layer("Title").property("ADBE Effect Parade")`.
+ * Layers are referred to by name and properties by match name where those
+ * are unique among their siblings, and by index otherwise.
+ *
+ * @param {number} itemIndex Index of the project item
+ * @param {Object[]} [segments] The layer, then its property groups and properties, marked by `markUniqueNames`
+ * @returns {string} ExtendScript expression
+ */
+function buildReferencePath(itemIndex, segments = []) {
+  let reference = `app.project.item(${itemIndex})`;
+  segments.forEach((segment, position) => {
+    let key = segment.index;
+    if (position > 0 && segment.uniqueMatchName) {
+      key = toExtendScriptString(segment.matchName);
+    } else if (segment.uniqueName) {
+      key = toExtendScriptString(segment.name);
+    }
+    reference += `.${position === 0 ? 'layer' : 'property'}(${key})`;
+  });
+  return reference;
+}
+
+module.exports = {
+  buildProjectQueryScript,
+  parseProjectReport,
+  getFolderItems,
+  markUniqueNames,
+  buildReferencePath
+};
@@ -0,0 +1,189 @@
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { createCancellationError } = require('./runQueue');
+
+/** Port the remote agent listens on unless configured otherwise. */
+const DEFAULT_AGENT_PORT = 48731;
+
+/** Path of the token the remote agent requires, on the machine running it. */
+const AGENT_TOKEN_PATH = path.join(os.homedir(), '.ae-script-runner', 'agent-token');
+
+/** Prefix of targets that refer to a remote agent, e.g. `@ae-target remote:studio`. */
+const REMOTE_TARGET_PREFIX = 'remote:';
+
+/**
+ * Pick the remote target a run uses. A pin such as `remote:studio` selects
+ * that remote; any other pin runs locally. Without a pin, the remote named
+ * by the `remoteTarget` setting is used, if any.
+ *
+ * @param {string|null} pin The script's `@ae-target` pin
+ * @param {string} selected Name from the `remoteTarget` setting, or empty to run locally
+ * @param {{name: string, url: string, token?: string}[]} remoteTargets Configured remote targets
+ * @returns {{name: string, url: string, token?: string}|null} The remote target, or null to run locally
+ */
+function selectRemoteTarget(pin, selected, remoteTargets) {
+  let name = selected || null;
+  if (pin) {
+    name = pin.startsWith(REMOTE_TARGET_PREFIX) ? pin.slice(REMOTE_TARGET_PREFIX.length) : null;
+  }
+  if (!name) {
+    return null;
+  }
+  const remote = (remoteTargets || []).find((item) => item && item.name === name);
+  if (!remote) {
+    throw new Error(`Remote target "${name}" is not defined in aeScriptRunner.remoteTargets.`);
+  }
+  if (!remote.url) {
+    throw new Error(`Remote target "${name}" has no url.`);
+  }
+  return remote;
+}
+
+/**
+ * Send a request to a remote agent. Remotes without a token are refused
+ * before anything is sent.
+ *
+ * @param {{name: string, url: string, token?: string}} remote Remote target
+ * @param {string} method HTTP method
+ * @param {string} route Path of the endpoint, e.g. `/run`
+ * @param {Object|null} body Request body, sent as JSON
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] Maximum time to wait for the response
+ * @param {AbortSignal} [options.signal] Stops waiting for the response when aborted
+ * @returns {Promise<Object>} Parsed response
+ */
+function sendAgentRequest(remote, method, route, body, { timeoutMs = 60000, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(route, remote.url.endsWith('/') ? remote.url : `${remote.url}/`);
+    } catch (err) {
+      reject(new Error(`Remote target "${remote.name}" has an invalid url: ${remote.url}`));
+      return;
+    }
+    if (!remote.token) {
+      reject(new Error(`Remote target "${remote.name}" has no token. Set the token the agent printed with "AE: Set Remote Target Token".`));
+      return;
+    }
+    if (signal && signal.aborted) {
+      reject(createCancellationError());
+      return;
+    }
+
+    const payload = body ? Buffer.from(JSON.stringify(body), 'utf8') : null;
+    const headers = { Authorization: `Bearer ${remote.token}` };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = payload.length;
+    }
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, { method, headers });
+    let settled = false;
+
+    const onAbort = () => finish(createCancellationError());
+    const finish = (err, response) => {
+      if (settled) return;
+      settled = true;
+      request.destroy();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (err) {
+        reject(err);
+      } else {
+        resolve(response);
+      }
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    request.setTimeout(timeoutMs, () => {
+      const err = new Error(`Remote target "${remote.name}" did not respond within ${Math.round(timeoutMs / 1000)} seconds`);
+      err.code = 'ETIMEDOUT';
+      finish(err);
+    });
+    request.on('response', (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode === 401) {
+          finish(new Error(`Remote target "${remote.name}" rejected the token. Set the token the agent printed with "AE: Set Remote Target Token".`));
+          return;
+        }
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          finish(new Error(`Invalid response from remote target "${remote.name}" (HTTP ${response.statusCode}): ${err.message}`));
+          return;
+        }
+        if (!parsed.ok) {
+          finish(new Error(`Remote target "${remote.name}" failed: ${parsed.error || `HTTP ${response.statusCode}`}`));
+          return;
+        }
+        finish(null, parsed);
+      });
+    });
+    request.on('error', (err) => finish(err.code === 'ECONNREFUSED' || err.code === 'EHOSTUNREACH'
+      ? new Error(`Remote target "${remote.name}" is not reachable at ${remote.url}. Is the agent running?`)
+      : err));
+    request.end(payload);
+  });
+}
+
+/**
+ * Check whether a remote agent is reachable and accepts our token.
+ *
+ * @param {{name: string, url: string, token?: string}} remote Remote target
+ * @param {number} [timeoutMs] Maximum time to wait
+ * @returns {Promise<{version: string, installations: {name: string, version: string}[]}|null>} What the agent reported, or null if unavailable
+ */
+async function pingRemote(remote, timeoutMs = 2000) {
+  try {
+    const response = await sendAgentRequest(remote, 'GET', 'ping', null, { timeoutMs });
+    return { version: response.version, installations: response.installations || [] };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Run a script on a remote agent. The script and its setup and teardown
+ * scripts are sent as source, since the agent cannot read local files, so
+ * includes must already be bundled. The agent wraps the script in a harness
+ * and answers once it has the result.
+ *
+ * @param {{name: string, url: string, token?: string}} remote Remote target
+ * @param {Object} run What to run
+ * @param {string} run.name File name of the script, used for run files and undo groups
+ * @param {string} run.source Script source
+ * @param {Object} [run.args] Values of the script's parameters
+ * @param {{name: string, source: string}[]} [run.setup] Scripts to evaluate before the script
+ * @param {{name: string, source: string}[]} [run.teardown] Scripts to evaluate after the script
+ * @param {string|null} [run.undoGroup] Label of the undo group to wrap the script in
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] Maximum time the run may take
+ * @param {AbortSignal} [options.signal] Stops waiting for the run when aborted
+ * @returns {Promise<{status: 'ok'|'error'|'dryRun'|'timeout', via: string, result?: Object}>} Outcome of the run; errors raised in the script have no `fileName`
+ */
+async function runRemote(remote, run, { timeoutMs = 60000, signal } = {}) {
+  // Leave the agent time to report its own timeout before giving up on it
+  const response = await sendAgentRequest(remote, 'POST', 'run', { ...run, timeoutMs }, { timeoutMs: timeoutMs + 10000, signal });
+  return response.outcome;
+}
+
+module.exports = {
+  DEFAULT_AGENT_PORT,
+  AGENT_TOKEN_PATH,
+  REMOTE_TARGET_PREFIX,
+  selectRemoteTarget,
+  sendAgentRequest,
+  pingRemote,
+  runRemote
+};
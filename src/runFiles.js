@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Minimum age before a leftover run file is considered orphaned. Another VS
+ * Code window may still be running a younger file from the same directory.
+ */
+const ORPHAN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Build a unique, human-readable file name for a run.
+ *
+ * @param {string} name Name of the source the file is created from, e.g. `render.jsx`
+ * @param {string} [extension] Extension of the file
+ * @returns {string} File name such as `render-1700000000000-k3j9x2ab.jsx`
+ */
+function createRunFileName(name, extension = '.jsx') {
+  const base = path.basename(name || 'script', path.extname(name || '')).replace(/[^\w.-]+/g, '_') || 'script';
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  return `${base}-${id}${extension}`;
+}
+
+/**
+ * Write a script to a new, uniquely named file in the run files directory.
+ *
+ * @param {string} directory Run files directory
+ * @param {string} name Name of the source the file is created from
+ * @param {string} content Script content
+ * @returns {string} Absolute path of the new file
+ */
+function writeRunFile(directory, name, content) {
+  fs.mkdirSync(directory, { recursive: true });
+  const filePath = path.join(directory, createRunFileName(name));
+  fs.writeFileSync(filePath, content, { encoding: 'utf8', flag: 'wx' });
+  return filePath;
+}
+
+/**
+ * Remove files from the run files directory that were last modified more
+ * than `maxAgeMs` ago.
+ *
+ * @param {string} directory Run files directory
+ * @param {number} maxAgeMs Age after which files are removed
+ * @param {number} [now] Current time in milliseconds
+ * @returns {string[]} Paths of the removed files
+ */
+function sweepRunFiles(directory, maxAgeMs, now = Date.now()) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory);
+  } catch (err) {
+    return [];
+  }
+
+  const removed = [];
+  for (const entry of entries) {
+    const filePath = path.join(directory, entry);
+    try {
+      const stats = fs.statSync(filePath);
+      if (stats.isFile() && now - stats.mtimeMs > maxAgeMs) {
+        fs.unlinkSync(filePath);
+        removed.push(filePath);
+      }
+    } catch (err) {
+      // Removed concurrently or not accessible; try again on the next sweep
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  ORPHAN_AGE_MS,
+  createRunFileName,
+  writeRunFile,
+  sweepRunFiles
+};
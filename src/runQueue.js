@@ -0,0 +1,193 @@
+/**
+ * States a run moves through. `done`, `failed` and `cancelled` are final.
+ *
+ * - `queued`: waiting for the previous run to finish
+ * - `sending`: preparing the script and handing it to After Effects
+ * - `running`: After Effects is executing the script
+ */
+const RUN_STATES = ['queued', 'sending', 'running', 'done', 'failed', 'cancelled'];
+
+/** Allowed transitions between run states. */
+const RUN_TRANSITIONS = {
+  queued: ['sending', 'cancelled'],
+  sending: ['running', 'done', 'failed', 'cancelled'],
+  running: ['done', 'failed', 'cancelled'],
+  done: [],
+  failed: [],
+  cancelled: []
+};
+
+/**
+ * Create the error a cancelled run rejects with.
+ *
+ * @param {string} [message] Error message
+ * @returns {Error} An error with the code `ABORT_ERR`
+ */
+function createCancellationError(message = 'Run cancelled') {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+/**
+ * Check whether an error means the run was cancelled.
+ *
+ * @param {Error} err Error raised by a run
+ * @returns {boolean} True for cancellations
+ */
+function isCancellation(err) {
+  return Boolean(err) && (err.code === 'ABORT_ERR' || err.name === 'AbortError');
+}
+
+/**
+ * Create a queue that runs scripts one at a time. With the `reject` policy a
+ * run started while another is queued or in progress fails immediately
+ * instead of waiting.
+ *
+ * Every run is observable: `onDidChange` listeners and the run's own
+ * `onDidChangeState` listeners are called on each state transition.
+ *
+ * @param {Object} [options]
+ * @param {() => 'queue'|'reject'} [options.policy] Returns how to handle a run while another is busy
+ * @returns {Object} The run queue
+ */
+function createRunQueue({ policy = () => 'queue' } = {}) {
+  const listeners = [];
+  const pending = [];
+  let current = null;
+  let nextId = 1;
+
+  const notify = (run) => {
+    for (const listener of listeners.slice()) {
+      listener(run);
+    }
+  };
+
+  const pump = () => {
+    if (current || pending.length === 0) {
+      return;
+    }
+    current = pending.shift();
+    current.execute().finally(() => {
+      current = null;
+      pump();
+    });
+  };
+
+  return {
+    /**
+     * Add a run to the queue.
+     *
+     * @param {string} name Display name of the run
+     * @param {(run: Object) => Promise<any>} task Performs the run. It receives the run, whose
+     *   `signal` aborts on cancellation and whose `setState` reports progress
+     * @returns {Object} The run: `id`, `name`, `state`, `signal`, `cancel()`,
+     *   `onDidChangeState(listener)` and `done`, a promise of the task's result
+     *   that resolves to undefined when the run is cancelled
+     */
+    enqueue(name, task) {
+      if (policy() === 'reject' && (current || pending.length > 0)) {
+        throw new Error(`A script is already running in After Effects (${(current || pending[0]).name}). Wait for it to finish or cancel it.`);
+      }
+
+      const controller = new AbortController();
+      const runListeners = [];
+      let resolveDone;
+      let rejectDone;
+
+      const run = {
+        id: nextId++,
+        name,
+        state: 'queued',
+        error: null,
+        signal: controller.signal,
+        done: new Promise((resolve, reject) => {
+          resolveDone = resolve;
+          rejectDone = reject;
+        }),
+
+        setState(state) {
+          if (!RUN_TRANSITIONS[run.state].includes(state)) {
+            return;
+          }
+          run.state = state;
+          for (const listener of runListeners.slice()) {
+            listener(state);
+          }
+          notify(run);
+        },
+
+        cancel() {
+          if (run.state === 'queued') {
+            pending.splice(pending.indexOf(run), 1);
+            run.setState('cancelled');
+            resolveDone(undefined);
+          } else if (!RUN_TRANSITIONS[run.state].includes('cancelled')) {
+            return;
+          }
+          controller.abort();
+        },
+
+        onDidChangeState(listener) {
+          runListeners.push(listener);
+          return { dispose: () => runListeners.splice(runListeners.indexOf(listener), 1) };
+        },
+
+        async execute() {
+          run.setState('sending');
+          try {
+            const result = await task(run);
+            run.setState('done');
+            resolveDone(result);
+          } catch (err) {
+            if (isCancellation(err) || controller.signal.aborted) {
+              run.setState('cancelled');
+              resolveDone(undefined);
+            } else {
+              run.error = err;
+              run.setState('failed');
+              rejectDone(err);
+            }
+          }
+        }
+      };
+
+      pending.push(run);
+      notify(run);
+      pump();
+      return run;
+    },
+
+    /**
+     * @returns {Object|null} The run in progress, if any
+     */
+    get current() {
+      return current;
+    },
+
+    /**
+     * @returns {Object[]} Runs waiting for the current one to finish
+     */
+    get pending() {
+      return pending.slice();
+    },
+
+    /**
+     * @param {(run: Object) => void} listener Called whenever a run is queued or changes state
+     * @returns {{dispose: () => void}} Removes the listener
+     */
+    onDidChange(listener) {
+      listeners.push(listener);
+      return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+    }
+  };
+}
+
+module.exports = {
+  RUN_STATES,
+  RUN_TRANSITIONS,
+  createCancellationError,
+  isCancellation,
+  createRunQueue
+};
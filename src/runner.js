@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHarness, waitForResult } = require('./harness');
+const { hasIncludes, bundleSource } = require('./bundler');
+const { buildCommand, usesInstallations, detectInstallations, executeCommand } = require('./transports');
+const { DEFAULT_BRIDGE_PORT, ensureBridgeToken, evalFileOverBridge, pingBridge, isBridgeUnavailable } = require('./bridge');
+const { parseTargetDirective, matchInstallation, withTargetOverride } = require('./targets');
+const { parseParams, coerceParamValue } = require('./params');
+const { ORPHAN_AGE_MS, writeRunFile, sweepRunFiles } = require('./runFiles');
+const { REMOTE_TARGET_PREFIX } = require('./remote');
+
+/**
+ * Directory run files are written to when running outside VS Code.
+ */
+const DEFAULT_RUN_FILES_DIRECTORY = path.join(os.tmpdir(), 'ae-script-runner', 'runs');
+
+/**
+ * Read the directives in a script's header.
+ *
+ * @param {string} text Script source
+ * @returns {{target: string|null, params: Object[]}} The `@ae-target` pin and declared `@ae-param` parameters
+ */
+function readScriptHeader(text) {
+  return { target: parseTargetDirective(text), params: parseParams(text) };
+}
+
+/**
+ * Build the values of a script's parameters from supplied values and the
+ * declared defaults. Supplied values may be typed already or strings; values
+ * for undeclared names are passed through unchanged.
+ *
+ * @param {Object[]} params Parameters declared with `@ae-param`
+ * @param {Object} [values] Supplied values by parameter name
+ * @returns {Object} Values of all parameters
+ */
+function resolveScriptArgs(params, values = {}) {
+  const args = { ...values };
+  const missing = [];
+  for (const param of params) {
+    if (values[param.name] !== undefined) {
+      args[param.name] = coerceParamValue(param, values[param.name]);
+    } else if (param.default !== undefined) {
+      args[param.name] = coerceParamValue(param, param.default);
+    } else {
+      missing.push(param.name);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing value for parameter${missing.length > 1 ? 's' : ''} ${missing.map((name) => `"${name}"`).join(', ')}.`);
+  }
+  return args;
+}
+
+/**
+ * Map an error reported against a bundled script back to its source.
+ *
+ * @param {{name: string, message: string, line: number, fileName: string}} error Error from the harness result
+ * @param {string} scriptPath Path of the script that was sent
+ * @param {{file: string, line: number}[]|null} lineMap Origin of each line of the bundle
+ * @returns {Object} The error with `fileName` and `line` pointing at the source
+ */
+function mapErrorLocation(error, scriptPath, lineMap) {
+  if (!lineMap || !error.line || (error.fileName && path.resolve(error.fileName) !== path.resolve(scriptPath))) {
+    return error;
+  }
+  const mapped = lineMap[error.line - 1];
+  return mapped ? { ...error, fileName: mapped.file, line: mapped.line } : error;
+}
+
+/**
+ * Remove a file, ignoring files that are already gone.
+ *
+ * @param {string} filePath File to remove
+ * @param {(...items: any[]) => void} log Writes diagnostics
+ */
+function removeFile(filePath, log) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log(`Failed to clean up ${filePath}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Run a script file in After Effects without VS Code. Includes are bundled,
+ * an `@ae-target` pin (or `target` option) selects the installation when the
+ * transport runs an installed After Effects, the bridge is used when it is running and otherwise the configured transport
+ * sends the script, then the harness result is awaited. Files of runs that
+ * never reported back are left for a later run to sweep up.
+ *
+ * @param {string} filePath Path of the script
+ * @param {{get: (key: string) => any}} settings Extension settings, e.g. from `loadSettings`
+ * @param {Object} [options]
+ * @param {Object} [options.args] Values of the script's parameters
+ * @param {string[]} [options.setup] Scripts to evaluate before the script
+ * @param {string[]} [options.teardown] Scripts to evaluate after the script
+ * @param {string} [options.target] Installation to target, overriding the script's pin
+ * @param {string|null} [options.undoGroup] Label of the undo group to wrap the script in; defaults to the file name when `wrapInUndoGroup` is on
+ * @param {string} [options.runFilesDirectory] Directory for bundles, harnesses and results
+ * @param {AbortSignal} [options.signal] Cancels the run
+ * @param {(...items: any[]) => void} [options.log] Writes diagnostics
+ * @param {((text: string) => void)|null} [options.onOutput] Receives what the transport's process prints; null ignores it, e.g. when the harness logs are printed instead
+ * @returns {Promise<{status: 'ok'|'error'|'dryRun'|'timeout', via: string, result?: Object, sentPath?: string}>} Outcome of the run; `result` is the harness result with error locations mapped to the source
+ */
+async function runScriptFile(filePath, settings, {
+  args = {},
+  setup = [],
+  teardown = [],
+  target = null,
+  undoGroup,
+  runFilesDirectory = DEFAULT_RUN_FILES_DIRECTORY,
+  signal,
+  log = console.log,
+  onOutput = log
+} = {}) {
+  const entryFile = path.resolve(filePath);
+  if (!fs.existsSync(entryFile)) {
+    throw new Error(`Script not found: ${entryFile}`);
+  }
+  const source = fs.readFileSync(entryFile, 'utf8');
+  const header = readScriptHeader(source);
+  const scriptArgs = resolveScriptArgs(header.params, args);
+  const timeoutMs = settings.get('resultTimeout') * 1000;
+
+  const pin = target || header.target;
+  if (pin && pin.startsWith(REMOTE_TARGET_PREFIX)) {
+    throw new Error(`Target ${pin} is a remote target, which ae-run cannot send scripts to. Run ae-run on the machine running After Effects instead.`);
+  }
+  let runSettings = settings;
+  let installation = null;
+  // Only transports that run an installed After Effects can honor a pin
+  if (pin && usesInstallations(settings)) {
+    installation = matchInstallation(pin, await detectInstallations(process.platform, { log }));
+    if (!installation) {
+      throw new Error(`Target ${pin} does not match any installed After Effects version.`);
+    }
+    runSettings = withTargetOverride(settings, installation);
+  }
+
+  const files = [];
+  let scriptPath = entryFile;
+  let lineMap = null;
+  if (settings.get('bundleIncludes') && hasIncludes(source)) {
+    const bundle = bundleSource(source, entryFile);
+    scriptPath = writeRunFile(runFilesDirectory, entryFile, bundle.code);
+    lineMap = bundle.lineMap;
+    files.push(scriptPath);
+  }
+  if (undoGroup === undefined) {
+    undoGroup = settings.get('wrapInUndoGroup') ? path.basename(entryFile) : null;
+  }
+  const harnessOptions = { args: scriptArgs, setup, teardown, undoGroup };
+  const withSource = (result) => (result.ok ? result : { ...result, error: mapErrorLocation(result.error, scriptPath, lineMap) });
+  // Files may only be removed once After Effects is known to be done with them
+  let keepFiles = Boolean(settings.get('keepRunFiles'));
+
+  try {
+    if (settings.get('useBridge') && !['dryRun', 'mock'].includes(settings.get('transport'))) {
+      const bridge = { port: settings.get('bridgePort') || DEFAULT_BRIDGE_PORT, token: ensureBridgeToken() };
+      const version = installation ? await pingBridge(bridge) : null;
+      if (!installation || (version && version.split('.')[0] === installation.version.split('.')[0])) {
+        const harness = createHarness(scriptPath, runFilesDirectory, { ...harnessOptions, returnResult: true });
+        files.push(harness.harnessPath);
+        try {
+          const result = await evalFileOverBridge(harness.harnessPath, { ...bridge, timeoutMs, signal });
+          return { status: result.ok ? 'ok' : 'error', via: `Bridge on port ${bridge.port}`, result: withSource(result) };
+        } catch (err) {
+          if (!isBridgeUnavailable(err)) {
+            keepFiles = true;
+            throw err;
+          }
+        }
+      }
+    }
+
+    const harness = createHarness(scriptPath, runFilesDirectory, harnessOptions);
+    files.push(harness.harnessPath, harness.resultPath);
+    const { command, args: commandArgs, bundleId, dryRun, launchesHost } = await buildCommand(harness.harnessPath, runSettings, { log });
+    const via = bundleId || command || 'Dry run';
+    if (dryRun) {
+      keepFiles = true;
+      return { status: 'dryRun', via, sentPath: harness.harnessPath };
+    }
+    try {
+      await executeCommand(command, commandArgs, { signal, timeoutMs, kill: !launchesHost, onOutput });
+    } catch (err) {
+      keepFiles = true;
+      throw err;
+    }
+    const result = await waitForResult(harness.resultPath, timeoutMs, 200, signal);
+    if (!result) {
+      keepFiles = true;
+      return { status: 'timeout', via };
+    }
+    return { status: result.ok ? 'ok' : 'error', via, result: withSource(result) };
+  } finally {
+    if (!keepFiles) {
+      files.forEach((filePath) => removeFile(filePath, log));
+    }
+    sweepRunFiles(runFilesDirectory, ORPHAN_AGE_MS);
+  }
+}
+
+module.exports = {
+  DEFAULT_RUN_FILES_DIRECTORY,
+  readScriptHeader,
+  resolveScriptArgs,
+  runScriptFile
+};
@@ -0,0 +1,87 @@
+/**
+ * Create a scheduler that debounces triggers and never overlaps runs.
+ * Triggers that arrive while a run is in progress are collapsed into a
+ * single follow-up run once it finishes.
+ *
+ * @param {() => Promise<void>} run Performs one run
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs] Quiet period after the last trigger before running
+ * @param {(state: 'idle'|'scheduled'|'running') => void} [options.onStateChange] Called whenever the state changes
+ * @param {Function} [options.setTimer] Replacement for `setTimeout`
+ * @param {Function} [options.clearTimer] Replacement for `clearTimeout`
+ * @returns {{trigger: () => void, dispose: () => void, readonly state: string}} The scheduler
+ */
+function createRunScheduler(run, {
+  debounceMs = 300,
+  onStateChange = () => {},
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+} = {}) {
+  let timer = null;
+  let running = false;
+  let queued = false;
+  let disposed = false;
+  let state = 'idle';
+
+  const setState = (next) => {
+    if (next !== state && !disposed) {
+      state = next;
+      onStateChange(state);
+    }
+  };
+
+  const start = async () => {
+    if (running) {
+      queued = true;
+      return;
+    }
+    running = true;
+    setState('running');
+    try {
+      await run();
+    } catch (err) {
+      console.log('Scheduled run failed:', err.message);
+    } finally {
+      running = false;
+      if (queued && !disposed) {
+        queued = false;
+        start();
+      } else {
+        setState(timer ? 'scheduled' : 'idle');
+      }
+    }
+  };
+
+  return {
+    trigger() {
+      if (disposed) {
+        return;
+      }
+      if (timer) {
+        clearTimer(timer);
+      }
+      timer = setTimer(() => {
+        timer = null;
+        start();
+      }, debounceMs);
+      if (!running) {
+        setState('scheduled');
+      }
+    },
+    dispose() {
+      if (timer) {
+        clearTimer(timer);
+        timer = null;
+      }
+      queued = false;
+      disposed = true;
+    },
+    get state() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  createRunScheduler
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+/** Prefix of the extension's keys in VS Code settings files. */
+const SETTINGS_PREFIX = 'aeScriptRunner.';
+
+/**
+ * Remove comments and trailing commas from JSON with comments, as used by
+ * VS Code settings files.
+ *
+ * @param {string} text JSON with comments
+ * @returns {string} Plain JSON
+ */
+function stripJsonComments(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      const start = i;
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') i++;
+        i++;
+      }
+      i++;
+      out += text.slice(start, i);
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Get the defaults of the extension's settings from its manifest.
+ *
+ * @returns {Object} Default values keyed by setting name without the prefix
+ */
+function getDefaultSettings() {
+  const properties = require('../package.json').contributes.configuration.properties;
+  const defaults = {};
+  for (const [key, schema] of Object.entries(properties)) {
+    defaults[key.slice(SETTINGS_PREFIX.length)] = schema.default;
+  }
+  return defaults;
+}
+
+/**
+ * Pick the extension's settings out of a settings object. Keys may carry the
+ * `aeScriptRunner.` prefix, as in VS Code's `settings.json`, or not.
+ *
+ * @param {Object} values Parsed settings
+ * @returns {Object} Settings keyed by name without the prefix
+ */
+function pickSettings(values) {
+  const picked = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (key.startsWith(SETTINGS_PREFIX)) {
+      picked[key.slice(SETTINGS_PREFIX.length)] = value;
+    } else if (!key.includes('.')) {
+      picked[key] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Read a settings file.
+ *
+ * @param {string} filePath Path of a JSON (with comments) settings file
+ * @returns {Object} Settings keyed by name without the prefix
+ */
+function readSettingsFile(filePath) {
+  let values;
+  try {
+    values = JSON.parse(stripJsonComments(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    throw new Error(`Could not read settings from ${filePath}: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Settings in ${filePath} must be an object.`);
+  }
+  return pickSettings(values);
+}
+
+/**
+ * Load the extension's settings outside VS Code. Values are layered: the
+ * manifest defaults, the workspace's `.vscode/settings.json`, an explicit
+ * settings file, then overrides. The result has the same `get` method as a
+ * `vscode.WorkspaceConfiguration`, so transports accept it unchanged.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] Workspace folder whose `.vscode/settings.json` is read
+ * @param {string} [options.configFile] Additional settings file
+ * @param {Object} [options.overrides] Values that take precedence over all files
+ * @returns {{get: (key: string) => any}} The settings
+ */
+function loadSettings({ cwd = process.cwd(), configFile = null, overrides = {} } = {}) {
+  const workspaceSettings = path.join(cwd, '.vscode', 'settings.json');
+  const values = {
+    ...getDefaultSettings(),
+    ...(fs.existsSync(workspaceSettings) ? readSettingsFile(workspaceSettings) : {}),
+    ...(configFile ? readSettingsFile(path.resolve(cwd, configFile)) : {}),
+    ...pickSettings(overrides)
+  };
+  return {
+    get: (key) => values[key]
+  };
+}
+
+module.exports = {
+  SETTINGS_PREFIX,
+  stripJsonComments,
+  getDefaultSettings,
+  loadSettings
+};
@@ -0,0 +1,93 @@
+const { pickNewestInstallation } = require('./installations');
+const { getHeaderLines } = require('./header');
+
+/**
+ * Pattern matching a target pin such as `// @ae-target 2024` in a header comment.
+ */
+const TARGET_DIRECTIVE = /^@ae-target\s+(\S+)/;
+
+/**
+ * Find the `@ae-target` pin in a script's header.
+ *
+ * @param {string} text Script source
+ * @returns {string|null} The pinned target, e.g. `2024`, or null if none
+ */
+function parseTargetDirective(text) {
+  for (const line of getHeaderLines(text)) {
+    const match = line.match(TARGET_DIRECTIVE);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the major version After Effects uses for a release year.
+ *
+ * @param {number} year Release year, e.g. 2024
+ * @returns {number|null} Major version, e.g. 24
+ */
+function majorVersionForYear(year) {
+  const legacy = { 2019: 16, 2020: 17, 2021: 18 };
+  return legacy[year] || (year >= 2022 ? year - 2000 : null);
+}
+
+/**
+ * Find the installation a target refers to. Targets can be `auto` (newest),
+ * a release year (`2024`), a version prefix (`24.6`), or an exact bundle ID,
+ * application path or AfterFX.exe path.
+ *
+ * @param {string} target Target from a pin or setting
+ * @param {{bundleId?: string, appPath?: string, exePath?: string, version: string}[]} installations Detected installations
+ * @returns {Object|null} The matching installation, newest first, or null if none matches
+ */
+function matchInstallation(target, installations) {
+  if (!target || target === 'auto') {
+    return pickNewestInstallation(installations);
+  }
+
+  const exact = installations.filter((item) => [item.bundleId, item.appPath, item.exePath]
+    .some((value) => value && value.toLowerCase() === target.toLowerCase()));
+  if (exact.length > 0) {
+    return pickNewestInstallation(exact);
+  }
+
+  let matches = [];
+  if (/^\d{4}$/.test(target)) {
+    const year = Number(target);
+    const major = majorVersionForYear(year);
+    matches = installations.filter((item) => (major !== null && item.version.split('.')[0] === String(major))
+      || [item.appPath, item.exePath, item.name].some((value) => value && value.includes(target)));
+  } else if (/^\d+(\.\d+)*$/.test(target)) {
+    matches = installations.filter((item) => item.version === target || item.version.startsWith(`${target}.`));
+  }
+  return pickNewestInstallation(matches);
+}
+
+/**
+ * Wrap settings so the transport targets a specific installation.
+ *
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @param {{bundleId?: string, appPath?: string, exePath?: string}} installation Installation to target
+ * @returns {{get: (key: string) => any}} Settings with the target setting replaced
+ */
+function withTargetOverride(settings, installation) {
+  const overrides = {};
+  if (installation.exePath) {
+    overrides.winAfterEffectsExe = installation.exePath;
+  }
+  if (installation.bundleId) {
+    overrides.macAfterEffectsBundle = installation.appPath || installation.bundleId;
+  }
+  return {
+    get: (key, defaultValue) => (key in overrides ? overrides[key] : settings.get(key, defaultValue))
+  };
+}
+
+module.exports = {
+  parseTargetDirective,
+  majorVersionForYear,
+  matchInstallation,
+  withTargetOverride
+};
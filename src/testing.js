@@ -0,0 +1,367 @@
+const { tokenize } = require('./es3Lint');
+const { toExtendScriptPath, toExtendScriptValue } = require('./harness');
+
+/**
+ * Glob matching ExtendScript test files.
+ */
+const TEST_FILE_GLOB = '**/*.test.jsx';
+
+/**
+ * Read the value of a string literal token.
+ *
+ * @param {string} literal Quoted string as written in the source
+ * @returns {string} The string's value
+ */
+function unquote(literal) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+  return literal.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r?\n|.)/g, (match, escape) => {
+    if (/^[ux]/.test(escape) && escape.length > 1) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    if (/^\r?\n$/.test(escape)) {
+      return '';
+    }
+    return escapes[escape] !== undefined ? escapes[escape] : escape;
+  });
+}
+
+/**
+ * Find the `describe` suites and `it` tests declared in a test file. Only
+ * calls whose name is a string literal are found; tests with computed names
+ * still run and are added once their results arrive.
+ *
+ * @param {string} text Source of the test file
+ * @returns {{kind: 'suite'|'test', name: string, line: number, children: Object[]}[]} Top-level suites and tests with zero-based lines
+ */
+function discoverTests(text) {
+  const tokens = tokenize(text);
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  const lineOf = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  };
+  const findClosing = (openIndex) => {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (tokens[i].type !== 'punct') {
+        continue;
+      }
+      if (tokens[i].value === '(') {
+        depth++;
+      } else if (tokens[i].value === ')' && --depth === 0) {
+        return i;
+      }
+    }
+    return tokens.length;
+  };
+
+  const root = { children: [] };
+  const stack = [{ node: root, end: tokens.length }];
+  for (let i = 0; i < tokens.length - 3; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+    if (token.type !== 'word' || (token.value !== 'describe' && token.value !== 'it')) {
+      continue;
+    }
+    if ((prev && prev.type === 'punct' && prev.value === '.') || tokens[i + 1].value !== '(' || tokens[i + 2].type !== 'string' || tokens[i + 3].value !== ',') {
+      continue;
+    }
+    while (stack[stack.length - 1].end < i) {
+      stack.pop();
+    }
+    const node = { kind: token.value === 'describe' ? 'suite' : 'test', name: unquote(tokens[i + 2].value), line: lineOf(token.start), children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    if (node.kind === 'suite') {
+      stack.push({ node, end: findClosing(i + 1) });
+    }
+  }
+  return root.children;
+}
+
+/**
+ * Build an ExtendScript script that defines `describe`, `it`, `beforeEach`,
+ * `afterEach` and `assert`, evaluates a test file and runs its tests. It
+ * evaluates to a JSON array with one entry per test that ran:
+ * `{path, ok, duration, message?, actual?, expected?, line?}`, where `path`
+ * lists the enclosing suite names followed by the test name and `line` is
+ * set when the error was raised in the test file itself.
+ *
+ * @param {string} testPath Absolute path of the test file
+ * @param {Object} [options]
+ * @param {string[][]} [options.filter] Paths of the suites and tests to run; all tests run when empty
+ * @returns {string} ExtendScript source
+ */
+function buildTestRunnerScript(testPath, { filter = [] } = {}) {
+  return `(function () {
+  var testFile = new File(${toExtendScriptValue(toExtendScriptPath(testPath))});
+  var filter = ${toExtendScriptValue(filter)};
+  var root = { name: null, parent: null, suites: [], tests: [], beforeEach: [], afterEach: [] };
+  var current = root;
+  var results = [];
+
+  function quote(value) {
+    var s = String(value);
+    var out = '"';
+    for (var i = 0; i < s.length; i++) {
+      var c = s.charAt(i);
+      var code = s.charCodeAt(i);
+      if (c === '"' || c === '\\\\') {
+        out += '\\\\' + c;
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        out += '\\\\u' + '0000'.substr(hex.length) + hex;
+      } else {
+        out += c;
+      }
+    }
+    return out + '"';
+  }
+
+  function serialize(value, seen) {
+    if (typeof value === 'string') {
+      return quote(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return String(value);
+    }
+    seen = seen || [];
+    for (var s = 0; s < seen.length; s++) {
+      if (seen[s] === value) {
+        return '[Circular]';
+      }
+    }
+    seen.push(value);
+    var parts = [];
+    if (value instanceof Array) {
+      for (var i = 0; i < value.length; i++) {
+        parts.push(serialize(value[i], seen));
+      }
+      seen.pop();
+      return '[' + parts.join(', ') + ']';
+    }
+    var keys = [];
+    for (var key in value) {
+      if (value.hasOwnProperty(key)) {
+        keys.push(key);
+      }
+    }
+    keys.sort();
+    for (var k = 0; k < keys.length; k++) {
+      parts.push(keys[k] + ': ' + serialize(value[keys[k]], seen));
+    }
+    seen.pop();
+    return '{' + parts.join(', ') + '}';
+  }
+
+  function AssertionError(message, actual, expected, hasValues) {
+    this.name = 'AssertionError';
+    this.message = message;
+    if (hasValues) {
+      this.actual = serialize(actual);
+      this.expected = serialize(expected);
+    }
+  }
+  AssertionError.prototype = new Error();
+
+  function check(passed, message, fallback, actual, expected, hasValues) {
+    if (!passed) {
+      throw new AssertionError(message || fallback, actual, expected, hasValues);
+    }
+  }
+
+  var assert = function (value, message) {
+    check(value, message, 'Expected ' + serialize(value) + ' to be truthy');
+  };
+  assert.ok = assert;
+  assert.equal = function (actual, expected, message) {
+    check(actual == expected, message, 'Expected ' + serialize(actual) + ' to equal ' + serialize(expected), actual, expected, true);
+  };
+  assert.notEqual = function (actual, expected, message) {
+    check(actual != expected, message, 'Expected ' + serialize(actual) + ' not to equal ' + serialize(expected));
+  };
+  assert.strictEqual = function (actual, expected, message) {
+    check(actual === expected, message, 'Expected ' + serialize(actual) + ' to strictly equal ' + serialize(expected), actual, expected, true);
+  };
+  assert.notStrictEqual = function (actual, expected, message) {
+    check(actual !== expected, message, 'Expected ' + serialize(actual) + ' not to strictly equal ' + serialize(expected));
+  };
+  assert.deepEqual = function (actual, expected, message) {
+    check(serialize(actual) === serialize(expected), message, 'Expected values to be deeply equal', actual, expected, true);
+  };
+  assert.throws = function (fn, message) {
+    try {
+      fn();
+    } catch (err) {
+      return;
+    }
+    check(false, message, 'Expected the function to throw');
+  };
+  assert.fail = function (message) {
+    check(false, message, 'Failed');
+  };
+
+  $.global.assert = assert;
+  $.global.describe = function (name, body) {
+    var suite = { name: String(name), parent: current, suites: [], tests: [], beforeEach: [], afterEach: [] };
+    current.suites.push(suite);
+    current = suite;
+    try {
+      body();
+    } finally {
+      current = suite.parent;
+    }
+  };
+  $.global.it = function (name, body) {
+    current.tests.push({ name: String(name), body: body });
+  };
+  $.global.beforeEach = function (hook) {
+    current.beforeEach.push(hook);
+  };
+  $.global.afterEach = function (hook) {
+    current.afterEach.push(hook);
+  };
+
+  function pathOf(suite, name) {
+    var names = [name];
+    for (var s = suite; s && s.name !== null; s = s.parent) {
+      names.unshift(s.name);
+    }
+    return names;
+  }
+
+  function selected(names) {
+    if (filter.length === 0) {
+      return true;
+    }
+    for (var f = 0; f < filter.length; f++) {
+      var match = filter[f].length <= names.length;
+      for (var n = 0; match && n < filter[f].length; n++) {
+        match = filter[f][n] === names[n];
+      }
+      if (match) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function hooks(suite, kind) {
+    var list = [];
+    for (var s = suite; s; s = s.parent) {
+      list = kind === 'beforeEach' ? s.beforeEach.concat(list) : list.concat(s.afterEach);
+    }
+    return list;
+  }
+
+  function runTest(suite, test) {
+    var names = pathOf(suite, test.name);
+    if (!selected(names)) {
+      return;
+    }
+    var started = new Date().getTime();
+    var failed = false;
+    var failure;
+    try {
+      var before = hooks(suite, 'beforeEach');
+      for (var b = 0; b < before.length; b++) {
+        before[b]();
+      }
+      test.body();
+    } catch (err) {
+      failed = true;
+      failure = err;
+    }
+    var after = hooks(suite, 'afterEach');
+    for (var a = 0; a < after.length; a++) {
+      try {
+        after[a]();
+      } catch (err) {
+        if (!failed) {
+          failed = true;
+          failure = err;
+        }
+      }
+    }
+
+    var entry = '{"path":[';
+    for (var p = 0; p < names.length; p++) {
+      entry += (p > 0 ? ',' : '') + quote(names[p]);
+    }
+    entry += '],"ok":' + (failed ? 'false' : 'true') + ',"duration":' + (new Date().getTime() - started);
+    if (failed) {
+      var message = failure && failure.message !== undefined ? failure.message : failure;
+      var name = failure && failure.name && failure.name !== 'AssertionError' ? failure.name + ': ' : '';
+      entry += ',"message":' + quote(name + message);
+      if (failure instanceof AssertionError && failure.actual !== undefined) {
+        entry += ',"actual":' + quote(failure.actual) + ',"expected":' + quote(failure.expected);
+      }
+      if (failure && failure.line && failure.fileName && new File(failure.fileName).fsName === testFile.fsName) {
+        entry += ',"line":' + Number(failure.line);
+      }
+    }
+    results.push(entry + '}');
+  }
+
+  function runSuite(suite) {
+    for (var t = 0; t < suite.tests.length; t++) {
+      runTest(suite, suite.tests[t]);
+    }
+    for (var s = 0; s < suite.suites.length; s++) {
+      runSuite(suite.suites[s]);
+    }
+  }
+
+  try {
+    $.evalFile(testFile);
+    runSuite(root);
+  } finally {
+    delete $.global.describe;
+    delete $.global.it;
+    delete $.global.beforeEach;
+    delete $.global.afterEach;
+    delete $.global.assert;
+  }
+  return '[' + results.join(',') + ']';
+})();
+`;
+}
+
+/**
+ * Parse the report of a test runner script.
+ *
+ * @param {string} text JSON array the test runner script evaluated to
+ * @returns {{path: string[], ok: boolean, duration: number, message?: string, actual?: string, expected?: string, line?: number}[]} Outcome per test
+ */
+function parseTestReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Unexpected test report: ${err.message}`);
+  }
+  if (!Array.isArray(report) || !report.every((entry) => entry && Array.isArray(entry.path) && entry.path.length > 0)) {
+    throw new Error('Unexpected test report: expected a list of test results.');
+  }
+  return report;
+}
+
+module.exports = {
+  TEST_FILE_GLOB,
+  discoverTests,
+  buildTestRunnerScript,
+  parseTestReport
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+
+/**
+ * Expand `${scriptPath}`, `${scriptDir}` and `${scriptName}` placeholders in a
+ * custom command argument. Values are inserted as they are, in one pass, so
+ * `$&` or a placeholder inside a path is not expanded again.
+ *
+ * @param {string} value Argument template
+ * @param {string} scriptPath Absolute path to the script being run
+ * @returns {string} Argument with placeholders replaced
+ */
+function expandPlaceholders(value, scriptPath) {
+  const values = {
+    scriptPath,
+    scriptDir: path.dirname(scriptPath),
+    scriptName: path.basename(scriptPath)
+  };
+  return value.replace(/\$\{(scriptPath|scriptDir|scriptName)\}/g, (match, name) => values[name]);
+}
+
+/**
+ * Transport that runs a user-configured executable, e.g. a wrapper script
+ * around a remote After Effects machine or a stub that records what it was
+ * asked to run.
+ */
+const customCommandTransport = {
+  id: 'custom',
+  label: 'Custom command',
+
+  /**
+   * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
+   * @param {{get: (key: string) => any}} settings Extension settings
+   * @returns {Promise<Object>} An object containing the command to execute and its arguments
+   */
+  async buildCommand(scriptPath, settings) {
+    const command = settings.get('customCommand');
+    if (!command || command.trim().length === 0) {
+      throw new Error('The "custom" transport requires aeScriptRunner.customCommand to be set.');
+    }
+    const args = settings.get('customCommandArgs') || ['${scriptPath}'];
+    return {
+      command: command.trim(),
+      args: args.map((arg) => expandPlaceholders(String(arg), scriptPath))
+    };
+  }
+};
+
+module.exports = {
+  customCommandTransport,
+  expandPlaceholders
+};
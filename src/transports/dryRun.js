@@ -0,0 +1,25 @@
+/**
+ * Transport that never launches anything. The run pipeline still resolves,
+ * bundles and wraps the script, but the command is marked as a dry run so the
+ * caller reports what would have been sent instead of executing it.
+ */
+const dryRunTransport = {
+  id: 'dryRun',
+  label: 'Dry run (do not send)',
+
+  /**
+   * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
+   * @returns {Promise<Object>} A command description flagged with `dryRun`
+   */
+  async buildCommand(scriptPath) {
+    return {
+      command: null,
+      args: [scriptPath],
+      dryRun: true
+    };
+  }
+};
+
+module.exports = {
+  dryRunTransport
+};
@@ -0,0 +1,231 @@
+const cp = require('child_process');
+const { macJxaTransport, detectAfterEffectsInstallations } = require('./macJxa');
+const {
+  windowsAfterFxTransport,
+  getWindowsAdobeFolders,
+  discoverWindowsInstallations
+} = require('./windowsAfterFx');
+const { dryRunTransport } = require('./dryRun');
+const { customCommandTransport } = require('./customCommand');
+const { mockTransport } = require('./mock');
+const { createCancellationError } = require('../runQueue');
+
+/**
+ * A transport knows how to turn a script path into a command that makes
+ * After Effects run it.
+ *
+ * @typedef {Object} Transport
+ * @property {string} id Identifier used by the `aeScriptRunner.transport` setting
+ * @property {string} label Human readable name
+ * @property {boolean} [usesInstallations] Whether it runs a locally installed After Effects, so `@ae-target` pins select one of the detected installations
+ * @property {(scriptPath: string, settings: {get: (key: string) => any}, services?: TransportServices) => Promise<{command: string|null, args: string[], bundleId?: string, dryRun?: boolean, launchesHost?: boolean}>} buildCommand
+ *   Build the command to execute. Settings only need a `get` method, so a
+ *   `vscode.WorkspaceConfiguration` or a plain wrapper object both work.
+ *   `launchesHost` marks commands whose process may be After Effects itself,
+ *   which must not be killed when a run is cancelled.
+ */
+
+/**
+ * Optional helpers the host provides to transports.
+ *
+ * @typedef {Object} TransportServices
+ * @property {() => Promise<Object[]>} [getInstallations] Cached list of detected After Effects installations
+ * @property {(...items: any[]) => void} [log] Writes diagnostics; defaults to `console.log`
+ */
+
+/** @type {Transport[]} */
+const transports = [
+  macJxaTransport,
+  windowsAfterFxTransport,
+  dryRunTransport,
+  customCommandTransport,
+  mockTransport
+];
+
+/**
+ * Get the transport selected by the `transport` setting. `auto` picks the
+ * native transport for the current platform.
+ *
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @param {string} [platform] Platform to resolve `auto` for
+ * @returns {Transport} The selected transport
+ */
+function getTransport(settings, platform = process.platform) {
+  const id = settings.get('transport') || 'auto';
+  if (id !== 'auto') {
+    const transport = transports.find((item) => item.id === id);
+    if (!transport) {
+      throw new Error(`Unknown transport "${id}". Expected one of: auto, ${transports.map((item) => item.id).join(', ')}.`);
+    }
+    return transport;
+  }
+  if (platform === 'darwin') {
+    return macJxaTransport;
+  }
+  if (platform === 'win32') {
+    return windowsAfterFxTransport;
+  }
+  // Unsupported platform
+  throw new Error('AE Script Runner only supports macOS and Windows at this time. Set aeScriptRunner.transport to "dryRun", "custom" or "mock" to run elsewhere.');
+}
+
+/**
+ * Check whether the selected transport runs a locally installed After
+ * Effects. Pins are matched against the detected installations only then;
+ * the dry run, custom and mock transports ignore them.
+ *
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @param {string} [platform] Platform to resolve `auto` for
+ * @returns {boolean} True for the macOS and Windows transports
+ */
+function usesInstallations(settings, platform = process.platform) {
+  return Boolean(getTransport(settings, platform).usesInstallations);
+}
+
+/**
+ * Detect After Effects installations for a platform. macOS installations
+ * carry a `bundleId`, Windows installations an `exePath`; both have a
+ * `version` so the newest can be picked the same way.
+ *
+ * @param {string} [platform] Platform to detect installations for
+ * @param {Object} [options]
+ * @param {(...items: any[]) => void} [options.log] Writes diagnostics
+ * @returns {Promise<Object[]>} Detected installations
+ */
+async function detectInstallations(platform = process.platform, { log = console.log } = {}) {
+  if (platform === 'darwin') {
+    return detectAfterEffectsInstallations({ log });
+  }
+  if (platform === 'win32') {
+    return discoverWindowsInstallations();
+  }
+  return [];
+}
+
+/**
+ * Get the folders After Effects is installed into on a platform, used to
+ * notice when installations change.
+ *
+ * @param {string} [platform] Platform to list folders for
+ * @returns {string[]} Installation folders
+ */
+function getInstallationFolders(platform = process.platform) {
+  if (platform === 'darwin') {
+    return ['/Applications'];
+  }
+  if (platform === 'win32') {
+    return getWindowsAdobeFolders();
+  }
+  return [];
+}
+
+/**
+ * Build a command to send a script to After Effects using the configured
+ * transport.
+ *
+ * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
+ * @param {{get: (key: string) => any}} settings Extension settings
+ * @param {TransportServices} [services] Helpers provided by the host
+ * @returns {Promise<Object>} An object containing the command to execute and its arguments
+ */
+async function buildCommand(scriptPath, settings, services = {}) {
+  return getTransport(settings).buildCommand(scriptPath, settings, services);
+}
+
+/**
+ * Execute a shell command asynchronously.
+ *
+ * A non-zero exit rejects with an error carrying the `exitCode` and the
+ * captured `stderr`. Cancelling through `signal` or exceeding `timeoutMs`
+ * kills the process, unless `kill` is false because the process may be After
+ * Effects itself; either way After Effects may still be busy with the script.
+ *
+ * @param {string} command The executable to run
+ * @param {string[]} args Array of arguments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Kills the process when aborted
+ * @param {number} [options.timeoutMs] Kills the process after this long; 0 waits forever
+ * @param {boolean} [options.kill] Whether to kill the process on cancellation or timeout, or only stop waiting for it
+ * @param {((text: string) => void)|null} [options.onOutput] Receives the process's stdout; null ignores it
+ * @returns {Promise<{exitCode: number, stderr: string}>} Exit code and captured stderr
+ */
+function executeCommand(command, args, { signal, timeoutMs = 0, kill = true, onOutput = (text) => console.log(text) } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancellationError());
+      return;
+    }
+
+    const proc = cp.spawn(command, args, { shell: false });
+    let stderr = '';
+    let settled = false;
+    let timer = null;
+
+    const settle = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+    const stop = () => {
+      if (kill) {
+        proc.kill();
+      } else {
+        proc.unref();
+      }
+    };
+    const onAbort = () => {
+      stop();
+      settle(createCancellationError());
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        stop();
+        const err = new Error(`${command} did not finish within ${Math.round(timeoutMs / 1000)} seconds`);
+        err.code = 'ETIMEDOUT';
+        settle(err);
+      }, timeoutMs);
+    }
+
+    proc.on('error', (err) => settle(err));
+    proc.stdout.on('data', (data) => {
+      if (onOutput) {
+        onOutput(data.toString());
+      }
+    });
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        const err = new Error(stderr || `Process exited with code ${code}`);
+        err.exitCode = code;
+        err.stderr = stderr;
+        settle(err);
+      } else {
+        settle(null, { exitCode: code, stderr });
+      }
+    });
+  });
+}
+
+module.exports = {
+  transports,
+  getTransport,
+  usesInstallations,
+  detectInstallations,
+  getInstallationFolders,
+  buildCommand,
+  executeCommand
+};
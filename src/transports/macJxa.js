@@ -0,0 +1,349 @@
+const cp = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { pickNewestInstallation } = require('../installations');
+
+/**
+ * Encode a value as a JavaScript string literal for JXA source. JSON string
+ * literals are valid JavaScript once the line and paragraph separators,
+ * which JSON leaves as they are, are escaped too.
+ *
+ * @param {string} value Value to encode, e.g. a script path or bundle ID
+ * @returns {string} Double-quoted string literal
+ */
+function toJxaString(value) {
+  return JSON.stringify(String(value)).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Run a JXA snippet with `osascript`. The snippet is passed as a single
+ * argument without a shell, so nothing in it is interpreted twice.
+ *
+ * @param {string} jxa JavaScript for Automation source
+ * @param {number} timeout Maximum time to wait in milliseconds
+ * @returns {Promise<{ok: boolean, output: string}>} Whether it succeeded and what it printed
+ */
+function runJxa(jxa, timeout) {
+  return new Promise((resolve) => {
+    cp.execFile('osascript', ['-l', 'JavaScript', '-e', jxa], { timeout }, (error, stdout) => {
+      resolve({ ok: !error, output: String(stdout || '').trim() });
+    });
+  });
+}
+
+/**
+ * Check whether an application can be scripted through JXA by asking for
+ * its version.
+ *
+ * @param {string} bundleId Bundle identifier or application path
+ * @param {number} [timeout] Maximum time to wait in milliseconds
+ * @returns {Promise<{ok: boolean, version: string}>} Whether the application answered, and the version it reported, which may be empty
+ */
+async function probeApplication(bundleId, timeout = 3000) {
+  const { ok, output } = await runJxa(`Application(${toJxaString(bundleId)}).version()`, timeout);
+  return { ok, version: ok ? output : '' };
+}
+
+/**
+ * Ask an application for its version through JXA.
+ *
+ * @param {string} bundleId Bundle identifier or application path
+ * @param {number} [timeout] Maximum time to wait in milliseconds
+ * @returns {Promise<string>} Version string, or empty if the application did not answer
+ */
+async function probeBundleVersion(bundleId, timeout = 3000) {
+  return (await probeApplication(bundleId, timeout)).version;
+}
+
+/**
+ * Get version information from bundle ID for user-friendly display
+ * 
+ * @param {string} bundleId Bundle identifier
+ * @returns {Promise<string>} Version string or empty if not available
+ */
+async function getBundleVersion(bundleId) {
+  return probeBundleVersion(bundleId, 3000);
+}
+
+/**
+ * Convert a bundle identifier to a user-friendly display name
+ * 
+ * @param {string} bundleId Bundle identifier
+ * @returns {string} User-friendly name
+ */
+function bundleIdToDisplayName(bundleId) {
+  // Handle new naming convention (AE 2025+)
+  if (bundleId === 'com.adobe.AfterEffects.application') {
+    return 'After Effects 2025+';
+  }
+  
+  // Handle specific version naming
+  if (bundleId === 'com.adobe.AfterEffects') {
+    return 'After Effects 2024';
+  }
+  
+  // Handle legacy versioned naming
+  if (bundleId.includes('.2023')) {
+    return 'After Effects 2023';
+  }
+  if (bundleId.includes('.2022')) {
+    return 'After Effects 2022';
+  }
+  if (bundleId.includes('.2021')) {
+    return 'After Effects 2021';
+  }
+  
+  // Handle generic fallback
+  if (bundleId === 'com.adobe.aftereffects') {
+    return 'After Effects (Generic)';
+  }
+  
+  // For any unknown bundle IDs, try to extract year or show as-is
+  const yearMatch = bundleId.match(/\.(\d{4})$/);
+  if (yearMatch) {
+    return `After Effects ${yearMatch[1]}`;
+  }
+  
+  return bundleId; // Fallback to showing the bundle ID itself
+}
+
+/**
+ * Get suggestions for After Effects bundle identifiers based on actual installation patterns.
+ * 
+ * @returns {string[]} Array of suggested bundle identifiers
+ */
+function getAfterEffectsBundleSuggestions() {
+  return [
+    'com.adobe.AfterEffects.application', // AE 2025+ (newest naming convention)
+    'com.adobe.AfterEffects', // AE 2024 and some versions
+    'com.adobe.aftereffects', // Legacy/fallback
+    'com.adobe.aftereffects.2023', // Older versions might still use this
+    'com.adobe.aftereffects.2022',
+    'com.adobe.aftereffects.2021'
+  ];
+}
+
+/**
+ * Read a key from an application's Info.plist.
+ *
+ * @param {string} plistPath Path to the Info.plist file
+ * @param {string} key Key to read, e.g. `CFBundleIdentifier`
+ * @returns {Promise<string|null>} The value, or null if it could not be read
+ */
+function readPlistValue(plistPath, key) {
+  return new Promise((resolve) => {
+    cp.execFile('defaults', ['read', plistPath, key], { timeout: 5000 }, (error, stdout) => {
+      if (!error && stdout.trim()) {
+        resolve(stdout.trim());
+      } else {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Dynamically discover After Effects installations by scanning /Applications folder
+ * This makes the extension future-proof for AE 2026, 2027, etc.
+ * 
+ * @param {string} [applicationsPath] Folder to scan
+ * @param {Object} [options]
+ * @param {(...items: any[]) => void} [options.log] Writes diagnostics
+ * @returns {Promise<{bundleId: string, version: string, appPath: string}[]>} Discovered installations
+ */
+async function discoverAfterEffectsInstallations(applicationsPath = '/Applications', { log = console.log } = {}) {
+  if (process.platform !== 'darwin') {
+    return [];
+  }
+  
+  const discovered = [];
+  
+  try {
+    // Scan /Applications for After Effects installations
+    const items = fs.readdirSync(applicationsPath);
+    
+    for (const item of items) {
+      if (item.startsWith('Adobe After Effects')) {
+        const appPath = path.join(applicationsPath, item, `${item}.app`);
+        const plistPath = path.join(appPath, 'Contents', 'Info.plist');
+        
+        try {
+          if (fs.existsSync(plistPath)) {
+            // Try to read the bundle identifier and version
+            const bundleId = await readPlistValue(plistPath, 'CFBundleIdentifier');
+            if (bundleId) {
+              const version = await readPlistValue(plistPath, 'CFBundleShortVersionString');
+              discovered.push({ bundleId, version: version || '', appPath });
+            }
+          }
+        } catch (err) {
+          // Skip this installation if we can't read its info
+          continue;
+        }
+      }
+    }
+  } catch (err) {
+    log('Could not scan Applications folder:', err.message);
+  }
+  
+  return discovered;
+}
+
+/**
+ * Detect installed After Effects versions on macOS by checking common bundle identifiers
+ * and scanning the Applications folder for future-proofing
+ * 
+ * @param {Object} [options]
+ * @param {(...items: any[]) => void} [options.log] Writes diagnostics
+ * @returns {Promise<string[]>} Array of detected bundle identifiers
+ */
+async function detectInstalledAfterEffects({ log = console.log } = {}) {
+  if (process.platform !== 'darwin') {
+    return [];
+  }
+  
+  const installed = new Set(); // Use Set to avoid duplicates
+  
+  // First, try the known bundle IDs
+  const knownBundles = getAfterEffectsBundleSuggestions();
+  for (const bundleId of knownBundles) {
+    const version = await probeBundleVersion(bundleId, 5000);
+    if (version) {
+      installed.add(bundleId);
+      log(`Found After Effects: ${bundleId} (version: ${version})`);
+    }
+  }
+  
+  // Then, discover any additional installations (future-proofing)
+  const discovered = await discoverAfterEffectsInstallations(undefined, { log });
+  for (const { bundleId } of discovered) {
+    if (!installed.has(bundleId)) {
+      // Test if this discovered bundle actually works with JXA
+      const version = await probeBundleVersion(bundleId, 3000);
+      if (version) {
+        installed.add(bundleId);
+        log(`Discovered working After Effects: ${bundleId} (version: ${version})`);
+      }
+    }
+  }
+  
+  const result = Array.from(installed);
+  log(`Total detected After Effects versions: ${result.length}`);
+  return result;
+}
+
+/**
+ * Detect installed After Effects versions together with their version
+ * numbers and application paths. Installations found in /Applications are
+ * described from their Info.plist; bundle IDs that only answer via JXA are
+ * included with the version they report and no path.
+ *
+ * This launches several probes and can take seconds, so callers should cache
+ * the result (see `src/installations.js`).
+ *
+ * @param {Object} [options]
+ * @param {(...items: any[]) => void} [options.log] Writes diagnostics
+ * @returns {Promise<{bundleId: string, version: string, appPath: string|null}[]>} Detected installations
+ */
+async function detectAfterEffectsInstallations({ log = console.log } = {}) {
+  if (process.platform !== 'darwin') {
+    return [];
+  }
+
+  const installations = await discoverAfterEffectsInstallations(undefined, { log });
+  const bundleIds = await detectInstalledAfterEffects({ log });
+  for (const bundleId of bundleIds) {
+    if (!installations.some((item) => item.bundleId === bundleId)) {
+      installations.push({ bundleId, version: await getBundleVersion(bundleId), appPath: null });
+    }
+  }
+  return installations;
+}
+
+/**
+ * Transport for macOS using JavaScript for Automation (JXA) via
+ * `osascript -l JavaScript`. This approach has been shown to work reliably on
+ * Apple Silicon Macs when `DoScriptFile` fails【368440511994649†L268-L283】.
+ */
+const macJxaTransport = {
+  id: 'macJxa',
+  label: 'macOS (JXA via osascript)',
+  usesInstallations: true,
+
+  /**
+   * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
+   * @param {{get: (key: string) => any}} settings Extension settings
+   * @param {{getInstallations?: () => Promise<Object[]>, log?: (...items: any[]) => void}} [services] Cached installation lookup and diagnostics
+   * @returns {Promise<Object>} An object containing the command to execute, its arguments and the bundle ID used
+   */
+  async buildCommand(scriptPath, settings, services) {
+    const log = (services && services.log) || console.log;
+    // Get the After Effects bundle identifier from config, or auto-detect
+    let bundleId = settings.get('macAfterEffectsBundle');
+    
+    // A configured application path targets that copy of After Effects directly
+    let target = null;
+    if (bundleId && bundleId.startsWith('/')) {
+      target = bundleId;
+    }
+
+    // If no bundle ID is configured or it's set to 'auto', use the newest installed version
+    if (!bundleId || bundleId === 'auto') {
+      bundleId = null;
+      const installed = services && services.getInstallations
+        ? await services.getInstallations()
+        : await detectAfterEffectsInstallations({ log });
+      const newest = pickNewestInstallation(installed);
+      if (newest) {
+        bundleId = newest.bundleId;
+        // Target the application itself so the newest copy runs even when several share a bundle ID
+        target = newest.appPath;
+        log(`Auto-detected After Effects: ${bundleId} ${newest.version}`);
+      } else {
+        // If detection fails, try the most common bundle IDs as fallback
+        log('Auto-detection failed, trying fallback bundle IDs...');
+        const fallbacks = ['com.adobe.aftereffects', 'com.adobe.aftereffects.2024', 'com.adobe.aftereffects.2025'];
+        for (const fallback of fallbacks) {
+          // Quick test to see if this bundle works
+          const { ok } = await runJxa(`Application(${toJxaString(fallback)}).running()`, 3000);
+          if (ok) {
+            bundleId = fallback;
+            log(`Fallback successful: ${bundleId}`);
+            break;
+          }
+        }
+        
+        // Final fallback
+        if (!bundleId) {
+          bundleId = 'com.adobe.aftereffects';
+          log(`Using final fallback: ${bundleId}`);
+        }
+      }
+    }
+    
+    // Compose a JXA one‑liner that activates After Effects and runs the script file.
+    // The path and target are embedded as encoded string literals, so quotes,
+    // backslashes and line breaks in them stay data.
+    const jxa = `ae = Application(${toJxaString(target || bundleId)}); ae.activate(); ae.doscriptfile(${toJxaString(scriptPath)});`;
+    return {
+      command: 'osascript',
+      args: ['-l', 'JavaScript', '-e', jxa],
+      bundleId: bundleId,
+      appPath: target
+    };
+  }
+};
+
+module.exports = {
+  macJxaTransport,
+  toJxaString,
+  probeApplication,
+  probeBundleVersion,
+  readPlistValue,
+  getBundleVersion,
+  bundleIdToDisplayName,
+  getAfterEffectsBundleSuggestions,
+  discoverAfterEffectsInstallations,
+  detectInstalledAfterEffects,
+  detectAfterEffectsInstallations
+};
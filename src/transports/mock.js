@@ -0,0 +1,36 @@
+const path = require('path');
+
+/** Path of the Node.js script that stands in for the ExtendScript engine. */
+const MOCK_HOST_PATH = path.join(__dirname, 'mockHost.js');
+
+/**
+ * Transport that runs scripts in a Node.js stand-in for the ExtendScript
+ * engine instead of After Effects. It offers `$`, `File`, `Folder` and a
+ * do-nothing `app`, so the result harness and the test runner work on any
+ * platform, e.g. to check test discovery and result reporting on Linux.
+ * Scripts that use the After Effects object model fail.
+ *
+ * The stand-in runs on the Node.js runtime of the current process. Inside
+ * VS Code that is the extension host, whose environment already has
+ * `ELECTRON_RUN_AS_NODE` set for child processes.
+ */
+const mockTransport = {
+  id: 'mock',
+  label: 'Mock ExtendScript engine (Node.js)',
+
+  /**
+   * @param {string} scriptPath Absolute path to the JSX file to execute
+   * @returns {Promise<Object>} An object containing the command to execute and its arguments
+   */
+  async buildCommand(scriptPath) {
+    return {
+      command: process.execPath,
+      args: [MOCK_HOST_PATH, scriptPath]
+    };
+  }
+};
+
+module.exports = {
+  MOCK_HOST_PATH,
+  mockTransport
+};
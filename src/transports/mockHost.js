@@ -0,0 +1,262 @@
+/**
+ * A stand-in for the ExtendScript engine that runs a script in Node.js.
+ *
+ * Usage: node mockHost.js <script>
+ *
+ * It provides `$` (`evalFile`, `write`, `writeln`, `global`), `File` and
+ * `Folder` backed by the local file system, and an `app` object whose
+ * methods do nothing, which is enough to run the result harness, the test
+ * runner and scripts that do not touch a project. Preprocessor lines such as
+ * `#target` are ignored and `#include` evaluates the included file.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Create a `File` or `Folder` stand-in class.
+ *
+ * @param {boolean} isFolder Whether the class represents folders
+ * @returns {Function} The class
+ */
+function createFileClass(isFolder) {
+  /**
+   * @param {string} [filePath] Path of the file or folder
+   */
+  function FileLike(filePath) {
+    this.fsName = path.resolve(String(filePath === undefined ? '.' : filePath).replace(/^~(?=\/|$)/, process.env.HOME || ''));
+    this.encoding = 'UTF-8';
+    this.error = '';
+    this.buffer = null;
+    this.mode = null;
+    this.position = 0;
+  }
+
+  Object.defineProperties(FileLike.prototype, {
+    fullName: { get() { return this.fsName.replace(/\\/g, '/'); } },
+    absoluteURI: { get() { return this.fullName; } },
+    name: { get() { return path.basename(this.fsName); } },
+    displayName: { get() { return path.basename(this.fsName); } },
+    path: { get() { return path.dirname(this.fsName).replace(/\\/g, '/'); } },
+    parent: { get() { return new Folder(path.dirname(this.fsName)); } },
+    exists: {
+      get() {
+        try {
+          return fs.statSync(this.fsName).isDirectory() === isFolder;
+        } catch (err) {
+          return false;
+        }
+      }
+    },
+    length: { get() { return this.exists ? fs.statSync(this.fsName).size : 0; } },
+    eof: { get() { return this.buffer === null || this.position >= this.buffer.length; } }
+  });
+
+  const attempt = (file, action) => {
+    try {
+      action();
+      file.error = '';
+      return true;
+    } catch (err) {
+      file.error = err.message;
+      return false;
+    }
+  };
+
+  Object.assign(FileLike.prototype, {
+    toString() {
+      return this.fullName;
+    },
+    remove() {
+      return attempt(this, () => (isFolder ? fs.rmdirSync(this.fsName) : fs.unlinkSync(this.fsName)));
+    },
+    rename(newName) {
+      return attempt(this, () => {
+        const target = path.join(path.dirname(this.fsName), String(newName));
+        fs.renameSync(this.fsName, target);
+        this.fsName = target;
+      });
+    }
+  });
+
+  if (isFolder) {
+    Object.assign(FileLike.prototype, {
+      create() {
+        return attempt(this, () => fs.mkdirSync(this.fsName, { recursive: true }));
+      },
+      getFiles(mask) {
+        const entries = fs.readdirSync(this.fsName).map((entry) => {
+          const entryPath = path.join(this.fsName, entry);
+          return fs.statSync(entryPath).isDirectory() ? new Folder(entryPath) : new File(entryPath);
+        });
+        if (typeof mask === 'function') {
+          return entries.filter((entry) => mask(entry));
+        }
+        if (typeof mask === 'string' && mask !== '*') {
+          const pattern = new RegExp(`^${mask.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+          return entries.filter((entry) => pattern.test(entry.name));
+        }
+        return entries;
+      }
+    });
+    return FileLike;
+  }
+
+  Object.assign(FileLike.prototype, {
+    open(mode) {
+      return attempt(this, () => {
+        this.mode = String(mode || 'r').charAt(0);
+        if (this.mode === 'w') {
+          this.buffer = '';
+        } else {
+          this.buffer = fs.existsSync(this.fsName) ? fs.readFileSync(this.fsName, 'utf8') : '';
+          if (this.mode === 'r' && !fs.existsSync(this.fsName)) {
+            throw new Error(`File not found: ${this.fsName}`);
+          }
+        }
+        this.position = this.mode === 'a' ? this.buffer.length : 0;
+      });
+    },
+    read(chars) {
+      const end = chars === undefined ? this.buffer.length : this.position + chars;
+      const text = this.buffer.slice(this.position, end);
+      this.position = Math.min(end, this.buffer.length);
+      return text;
+    },
+    readln() {
+      const newline = this.buffer.indexOf('\n', this.position);
+      const end = newline === -1 ? this.buffer.length : newline;
+      const line = this.buffer.slice(this.position, end).replace(/\r$/, '');
+      this.position = end + 1;
+      return line;
+    },
+    write(...text) {
+      const chunk = text.join('');
+      this.buffer = this.buffer.slice(0, this.position) + chunk + this.buffer.slice(this.position + chunk.length);
+      this.position += chunk.length;
+      return true;
+    },
+    writeln(...text) {
+      return this.write(...text, '\n');
+    },
+    seek(position) {
+      this.position = Number(position);
+      return true;
+    },
+    tell() {
+      return this.position;
+    },
+    close() {
+      return attempt(this, () => {
+        if (this.mode && this.mode !== 'r') {
+          fs.writeFileSync(this.fsName, this.buffer, 'utf8');
+        }
+        this.mode = null;
+        this.buffer = null;
+      });
+    },
+    copy(target) {
+      return attempt(this, () => fs.copyFileSync(this.fsName, target instanceof File ? target.fsName : String(target)));
+    },
+    execute() {
+      return false;
+    }
+  });
+  return FileLike;
+}
+
+const File = createFileClass(false);
+const Folder = createFileClass(true);
+Folder.temp = new Folder(require('os').tmpdir());
+Folder.current = new Folder(process.cwd());
+
+/** Context the script runs in; `$.global` refers to its global object. */
+const context = vm.createContext({});
+const sandbox = vm.runInContext('this', context);
+
+/**
+ * Give an error the `line` and `fileName` properties ExtendScript sets.
+ *
+ * @param {*} err Thrown value
+ * @param {string} fileName File being evaluated
+ * @returns {*} The same value
+ */
+function annotateError(err, fileName) {
+  if (err && typeof err === 'object' && err.line === undefined) {
+    const match = String(err.stack || '').match(new RegExp(`${fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:(\\d+)`));
+    try {
+      err.fileName = fileName;
+      err.line = match ? Number(match[1]) : 0;
+    } catch (e) {
+      // Frozen or non-extensible error
+    }
+  }
+  return err;
+}
+
+/**
+ * Evaluate a script file in the shared context, like `$.evalFile`.
+ *
+ * @param {File|string} file Script to evaluate
+ * @returns {*} Value of the script's last expression statement
+ */
+function evalFile(file) {
+  const fileName = file instanceof File ? file.fsName : path.resolve(String(file));
+  // Keep line numbers: directives become blank lines, includes evaluate their file in place
+  const source = fs.readFileSync(fileName, 'utf8').replace(/^[ \t]*#(\w+)[ \t]*(.*)$/gm, (line, directive, value) => {
+    if (directive !== 'include') {
+      return '';
+    }
+    const target = path.resolve(path.dirname(fileName), value.trim().replace(/^["']|["'];?$/g, ''));
+    return `$.evalFile(${JSON.stringify(target)});`;
+  });
+  try {
+    return vm.runInContext(source, context, { filename: fileName });
+  } catch (err) {
+    throw annotateError(err, fileName);
+  }
+}
+
+Object.assign(sandbox, {
+  $: {
+    global: sandbox,
+    os: `${process.platform} (mock)`,
+    version: 'mock',
+    engineName: 'mock',
+    level: 0,
+    evalFile,
+    write: (...text) => process.stdout.write(text.join('')),
+    writeln: (...text) => process.stdout.write(`${text.join('')}\n`),
+    sleep: () => {},
+    gc: () => {}
+  },
+  File,
+  Folder,
+  alert: (message) => console.log(String(message)),
+  isValid: (value) => value !== null && value !== undefined,
+  app: {
+    version: 'mock',
+    project: null,
+    beginUndoGroup: () => {},
+    endUndoGroup: () => {},
+    beginSuppressDialogs: () => {},
+    endSuppressDialogs: () => {},
+    executeCommand: () => {},
+    scheduleTask: () => 0,
+    cancelTask: () => {}
+  }
+});
+
+if (require.main === module) {
+  const scriptPath = process.argv[2];
+  if (!scriptPath) {
+    console.error('Usage: node mockHost.js <script>');
+    process.exit(2);
+  }
+  try {
+    evalFile(scriptPath);
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    process.exit(1);
+  }
+}
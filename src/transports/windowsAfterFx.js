@@ -0,0 +1,193 @@
+const cp = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { pickNewestInstallation } = require('../installations');
+const { majorVersionForYear } = require('../targets');
+
+/** Registry key After Effects installers write their install paths under. */
+const AFTER_EFFECTS_REGISTRY_KEY = 'HKLM\\SOFTWARE\\Adobe\\After Effects';
+
+/**
+ * Get the `Adobe` folders inside each Program Files directory.
+ *
+ * @param {Object} [env] Environment variables to read the Program Files locations from
+ * @returns {string[]} Candidate folders, without duplicates
+ */
+function getWindowsAdobeFolders(env = process.env) {
+  const roots = [env.ProgramFiles || 'C:\\Program Files', env.ProgramW6432, env['ProgramFiles(x86)']];
+  const folders = [];
+  for (const root of roots) {
+    if (root) {
+      const folder = path.join(root, 'Adobe');
+      if (!folders.some((item) => item.toLowerCase() === folder.toLowerCase())) {
+        folders.push(folder);
+      }
+    }
+  }
+  return folders;
+}
+
+/**
+ * Derive a version number from the year in an install folder name, for when
+ * the executable's file version cannot be read.
+ *
+ * @param {string} name Folder name, e.g. `Adobe After Effects 2024`
+ * @returns {string} Version such as `24`, or an empty string if unknown
+ */
+function versionFromFolderName(name) {
+  const match = name.match(/(\d{4})/);
+  if (!match) {
+    return '';
+  }
+  const major = majorVersionForYear(Number(match[1]));
+  return major === null ? '' : String(major);
+}
+
+/**
+ * List the install paths of After Effects recorded in the registry.
+ *
+ * @returns {Promise<string[]>} `Support Files` folders of registered installations
+ */
+function queryAfterEffectsRegistry() {
+  if (process.platform !== 'win32') {
+    return Promise.resolve([]);
+  }
+  return new Promise((resolve) => {
+    cp.execFile('reg', ['query', AFTER_EFFECTS_REGISTRY_KEY, '/s', '/v', 'InstallPath'], { timeout: 5000 }, (error, stdout) => {
+      if (error) {
+        resolve([]);
+        return;
+      }
+      const paths = [];
+      for (const line of stdout.split(/\r?\n/)) {
+        const match = line.match(/^\s*InstallPath\s+REG_(?:EXPAND_)?SZ\s+(.+?)\s*$/);
+        if (match) {
+          paths.push(match[1]);
+        }
+      }
+      resolve(paths);
+    });
+  });
+}
+
+/**
+ * Read the product version of an executable.
+ *
+ * @param {string} exePath Path to the executable
+ * @returns {Promise<string>} Version string, or an empty string if it could not be read
+ */
+function readExeFileVersion(exePath) {
+  if (process.platform !== 'win32') {
+    return Promise.resolve('');
+  }
+  return new Promise((resolve) => {
+    // The path is passed through the environment so it never needs quoting
+    const command = '(Get-Item -LiteralPath $env:AE_SCRIPT_RUNNER_EXE).VersionInfo.ProductVersion';
+    cp.execFile('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', command], {
+      timeout: 5000,
+      env: { ...process.env, AE_SCRIPT_RUNNER_EXE: exePath }
+    }, (error, stdout) => {
+      resolve(!error && stdout.trim() ? stdout.trim() : '');
+    });
+  });
+}
+
+/**
+ * Discover After Effects installations on Windows by scanning the
+ * `Adobe After Effects *` folders in Program Files and the install paths
+ * recorded in the registry. Every lookup can be replaced, so discovery can
+ * run against a fake directory tree on any platform.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.adobeFolders] Folders containing `Adobe After Effects *` installs
+ * @param {() => Promise<string[]>} [options.queryRegistry] Returns registered `Support Files` folders
+ * @param {(exePath: string) => Promise<string>} [options.readFileVersion] Returns an executable's version
+ * @returns {Promise<{name: string, version: string, exePath: string}[]>} Discovered installations
+ */
+async function discoverWindowsInstallations({
+  adobeFolders = getWindowsAdobeFolders(),
+  queryRegistry = queryAfterEffectsRegistry,
+  readFileVersion = readExeFileVersion
+} = {}) {
+  const candidates = [];
+  const addCandidate = (supportFolder) => {
+    const exePath = path.join(supportFolder, 'AfterFX.exe');
+    if (!candidates.some((item) => item.toLowerCase() === exePath.toLowerCase()) && fs.existsSync(exePath)) {
+      candidates.push(exePath);
+    }
+  };
+
+  for (const folder of adobeFolders) {
+    let items = [];
+    try {
+      items = fs.readdirSync(folder);
+    } catch (err) {
+      continue;
+    }
+    for (const item of items) {
+      if (item.startsWith('Adobe After Effects')) {
+        addCandidate(path.join(folder, item, 'Support Files'));
+      }
+    }
+  }
+
+  for (const installPath of await queryRegistry()) {
+    addCandidate(installPath);
+  }
+
+  const installations = [];
+  for (const exePath of candidates) {
+    const folderName = path.basename(path.dirname(path.dirname(exePath)));
+    const version = (await readFileVersion(exePath)) || versionFromFolderName(folderName);
+    installations.push({
+      name: folderName.replace(/^Adobe /, ''),
+      version,
+      exePath
+    });
+  }
+  return installations;
+}
+
+/**
+ * Transport for Windows that calls the AfterFX executable with the `-r`
+ * switch as documented in Adobe's scripting guide【697721517310854†L285-L317】.
+ */
+const windowsAfterFxTransport = {
+  id: 'windowsAfterFx',
+  label: 'Windows (AfterFX.exe -r)',
+  usesInstallations: true,
+
+  /**
+   * @param {string} scriptPath Absolute path to the JSX/JSXBIN file to execute
+   * @param {{get: (key: string) => any}} settings Extension settings
+   * @param {{getInstallations?: () => Promise<Object[]>}} [services] Cached installation lookup
+   * @returns {Promise<Object>} An object containing the command to execute and its arguments
+   */
+  async buildCommand(scriptPath, settings, services) {
+    // Determine path to AfterFX.exe, using the newest installation for 'auto'
+    const exe = settings.get('winAfterEffectsExe');
+    let exePath = exe && exe.trim().length > 0 && exe !== 'auto' ? exe : null;
+    if (!exePath) {
+      const installed = services && services.getInstallations
+        ? await services.getInstallations()
+        : await discoverWindowsInstallations();
+      const newest = pickNewestInstallation(installed);
+      exePath = newest ? newest.exePath : 'AfterFX.exe';
+    }
+    return {
+      command: exePath,
+      args: settings.get('winNoUi') ? ['-noui', '-r', scriptPath] : ['-r', scriptPath],
+      // Starts After Effects when it is not running, so the process must never be killed
+      launchesHost: true
+    };
+  }
+};
+
+module.exports = {
+  windowsAfterFxTransport,
+  getWindowsAdobeFolders,
+  versionFromFolderName,
+  queryAfterEffectsRegistry,
+  readExeFileVersion,
+  discoverWindowsInstallations
+};
@@ -0,0 +1,65 @@
+/**
+ * Type definition files bundled with the extension, in `types/`.
+ */
+const TYPE_DEFINITION_FILES = ['extendscript.d.ts', 'aftereffects.d.ts', 'scriptui.d.ts'];
+
+/**
+ * Workspace folder the type definitions are copied to.
+ */
+const TYPES_FOLDER = '.vscode/ae-types';
+
+/**
+ * `include` entry that makes the JavaScript language service load the
+ * copied type definitions.
+ */
+const TYPES_INCLUDE = `${TYPES_FOLDER}/*.d.ts`;
+
+/**
+ * Build the contents of a workspace's `jsconfig.json` so that the bundled
+ * type definitions are loaded. A new config targets ES5, the closest library
+ * to ExtendScript, without DOM types, whose `File` and `Window` clash with
+ * ExtendScript's. An existing config only gains the `include` entry.
+ *
+ * @param {string|null} existing Current contents of `jsconfig.json`, or null if there is none
+ * @returns {{text: string|null, warning?: string}} New contents, or null if nothing needs to change, and any problem to tell the user about
+ */
+function buildJsconfig(existing) {
+  if (existing === null) {
+    const config = {
+      compilerOptions: { target: 'es5', lib: ['es5'], checkJs: false },
+      include: ['**/*.jsx', '**/*.js', TYPES_INCLUDE],
+      exclude: ['node_modules']
+    };
+    return { text: `${JSON.stringify(config, null, 2)}\n` };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(existing);
+  } catch (err) {
+    throw new Error(`jsconfig.json could not be read (${err.message}). Add "${TYPES_INCLUDE}" to its "include" list.`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`jsconfig.json does not contain an object. Add "${TYPES_INCLUDE}" to its "include" list.`);
+  }
+
+  const lib = config.compilerOptions && config.compilerOptions.lib;
+  const warning = !Array.isArray(lib) || lib.some((name) => /^dom/i.test(name))
+    ? 'jsconfig.json includes the DOM library, whose File and Window types conflict with ExtendScript\'s. Set "lib" to ["es5"] in its "compilerOptions" for accurate completions.'
+    : undefined;
+
+  // Without "include", TypeScript includes everything unless "files" is given
+  const include = Array.isArray(config.include) ? config.include : Array.isArray(config.files) ? [] : ['**/*'];
+  if (include.includes(TYPES_INCLUDE)) {
+    return { text: null, warning };
+  }
+  config.include = include.concat(TYPES_INCLUDE);
+  return { text: `${JSON.stringify(config, null, 2)}\n`, warning };
+}
+
+module.exports = {
+  TYPE_DEFINITION_FILES,
+  TYPES_FOLDER,
+  TYPES_INCLUDE,
+  buildJsconfig
+};
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { createAgentServer } = require('../src/agent');
+const { pingRemote, runRemote, sendAgentRequest } = require('../src/remote');
+
+const TOKEN = 'agent-token';
+
+/**
+ * Start an agent on a free loopback port with a stand-in for running scripts.
+ *
+ * @param {Object} t Test context; the agent and its run files are removed after the test
+ * @param {(scriptPath: string, settings: Object, options: Object) => Promise<Object>} runScript Stand-in for `runScriptFile`
+ * @returns {Promise<{url: string, runFilesDirectory: string, readonly requests: number}>} The agent
+ */
+async function startAgent(t, runScript) {
+  t.mock.method(console, 'log', () => {});
+  const runFilesDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-agent-'));
+  let requests = 0;
+  const server = createAgentServer({
+    token: TOKEN,
+    settings: { get: (key) => ({ resultTimeout: 30, keepRunFiles: false })[key] },
+    runFilesDirectory,
+    runScript,
+    getInstallations: async () => [{ name: 'After Effects 2025', version: '25.1', exePath: 'AfterFX.exe' }]
+  });
+  server.on('request', () => {
+    requests++;
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(runFilesDirectory, { recursive: true, force: true });
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    runFilesDirectory,
+    get requests() {
+      return requests;
+    }
+  };
+}
+
+/**
+ * Send a request to the agent without going through the client.
+ *
+ * @param {string} url Address of the agent
+ * @param {Object} headers Request headers
+ * @returns {Promise<{statusCode: number, body: Object}>} The response
+ */
+function rawRequest(url, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(`${url}/ping`, { headers }, (response) => {
+      let text = '';
+      response.on('data', (chunk) => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: JSON.parse(text) }));
+    }).on('error', reject);
+  });
+}
+
+test('requests without the right Bearer token are rejected', async (t) => {
+  const agent = await startAgent(t, async () => ({ status: 'ok' }));
+  assert.strictEqual((await rawRequest(agent.url, {})).statusCode, 401);
+  assert.strictEqual((await rawRequest(agent.url, { Authorization: TOKEN })).statusCode, 401);
+  assert.strictEqual((await rawRequest(agent.url, { Authorization: 'Bearer wrong' })).statusCode, 401);
+
+  await assert.rejects(
+    runRemote({ name: 'studio', url: agent.url, token: 'wrong' }, { name: 'a.jsx', source: '1;' }),
+    /Remote target "studio" rejected the token/
+  );
+  assert.strictEqual(await pingRemote({ name: 'studio', url: agent.url, token: 'wrong' }), null);
+  assert.deepStrictEqual(await pingRemote({ name: 'studio', url: agent.url, token: TOKEN }), {
+    version: require('../package.json').version,
+    installations: [{ name: 'After Effects 2025', version: '25.1' }]
+  });
+});
+
+test('the client refuses to contact a remote without a token', async (t) => {
+  const agent = await startAgent(t, async () => ({ status: 'ok' }));
+  await assert.rejects(
+    sendAgentRequest({ name: 'studio', url: agent.url }, 'GET', 'ping', null),
+    /Remote target "studio" has no token/
+  );
+  assert.strictEqual(await pingRemote({ name: 'studio', url: agent.url, token: '' }), null);
+  assert.strictEqual(agent.requests, 0);
+});
+
+test('runs are performed one at a time in the order they arrive', async (t) => {
+  const started = [];
+  let active = 0;
+  let maxActive = 0;
+  const agent = await startAgent(t, async (scriptPath) => {
+    started.push(fs.readFileSync(scriptPath, 'utf8'));
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    active--;
+    return { status: 'ok', via: 'stub' };
+  });
+  const remote = { name: 'studio', url: agent.url, token: TOKEN };
+
+  const outcomes = await Promise.all(['first', 'second', 'third'].map((name) => runRemote(remote, { name: `${name}.jsx`, source: name })));
+  assert.deepStrictEqual(outcomes.map((outcome) => outcome.status), ['ok', 'ok', 'ok']);
+  assert.deepStrictEqual(started, ['first', 'second', 'third']);
+  assert.strictEqual(maxActive, 1);
+  assert.deepStrictEqual(fs.readdirSync(agent.runFilesDirectory), []);
+});
+
+test('error locations refer to the names the client sent', async (t) => {
+  let failIn = null;
+  const agent = await startAgent(t, async (scriptPath, settings, { setup, teardown }) => {
+    const fileName = { main: scriptPath, setup: setup[0], teardown: teardown[0] }[failIn];
+    assert.strictEqual(settings.get('resultTimeout'), 5);
+    return { status: 'error', via: 'stub', result: { ok: false, error: { name: 'Error', message: 'boom', line: 3, fileName } } };
+  });
+  const remote = { name: 'studio', url: agent.url, token: TOKEN };
+  const request = {
+    name: 'main.jsx',
+    source: 'main();',
+    setup: [{ name: 'prepare.jsx', source: 'prepare();' }],
+    teardown: [{ name: 'cleanup.jsx', source: 'cleanup();' }]
+  };
+
+  failIn = 'setup';
+  assert.strictEqual((await runRemote(remote, request, { timeoutMs: 5000 })).result.error.fileName, 'prepare.jsx');
+  failIn = 'teardown';
+  assert.strictEqual((await runRemote(remote, request, { timeoutMs: 5000 })).result.error.fileName, 'cleanup.jsx');
+  failIn = 'main';
+  const { error } = (await runRemote(remote, request, { timeoutMs: 5000 })).result;
+  assert.strictEqual(error.fileName, undefined);
+  assert.strictEqual(error.line, 3);
+});
+
+test('malformed run requests are refused', async (t) => {
+  const agent = await startAgent(t, async () => ({ status: 'ok' }));
+  await assert.rejects(
+    sendAgentRequest({ name: 'studio', url: agent.url, token: TOKEN }, 'POST', 'run', { name: 'a.jsx', source: '1;', setup: ['a.jsx'] }),
+    /"setup" must be a list of \{name, source\} scripts/
+  );
+});
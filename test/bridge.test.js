@@ -0,0 +1,95 @@
+const assert = require('assert');
+const net = require('net');
+const test = require('node:test');
+const { sendBridgeRequest, evalFileOverBridge, pingBridge, isBridgeUnavailable } = require('../src/bridge');
+
+const TOKEN = 'test-token';
+
+/**
+ * Start a stand-in for the ExtendScript bridge on a free loopback port. It
+ * answers each request line with the body `answer` returns for it, or not at
+ * all when that is null.
+ *
+ * @param {(request: Object) => string|null} answer Response fields, as the bridge writes them
+ * @returns {Promise<{port: number, lines: string[], close: () => Promise<void>}>} The port, the raw request lines received and a way to stop it
+ */
+function startMockBridge(answer) {
+  const lines = [];
+  const server = net.createServer((conn) => {
+    let buffer = '';
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      const line = buffer.slice(0, newline);
+      lines.push(line);
+      const request = JSON.parse(line);
+      const body = request.token === TOKEN ? answer(request) : '"ok":false,"error":"Invalid token"';
+      if (body !== null) {
+        conn.end(`{"id":${JSON.stringify(request.id)},${body}}\n`);
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      lines,
+      close: () => new Promise((done) => server.close(done))
+    }));
+  });
+}
+
+test('requests start with the token and a normal report is returned', async () => {
+  const bridge = await startMockBridge((request) => `"ok":true,"report":{"ok":true,"result":${JSON.stringify(request.path)},"logs":["hi"]}`);
+  try {
+    const report = await evalFileOverBridge('C:\\runs\\harness.jsx', { port: bridge.port, token: TOKEN });
+    assert.deepStrictEqual(report, { ok: true, result: 'C:/runs/harness.jsx', logs: ['hi'] });
+    assert.ok(bridge.lines[0].startsWith(`{"token":"${TOKEN}",`));
+    assert.strictEqual(JSON.parse(bridge.lines[0]).method, 'evalFile');
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('a null report is a successful run without a result', async () => {
+  const bridge = await startMockBridge(() => '"ok":true,"report":null');
+  try {
+    const report = await evalFileOverBridge('/tmp/harness.jsx', { port: bridge.port, token: TOKEN });
+    assert.deepStrictEqual(report, { ok: true, duration: 0, logs: [] });
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('bridge errors and rejected tokens are reported', async () => {
+  const bridge = await startMockBridge(() => '"ok":false,"error":"File not found"');
+  try {
+    await assert.rejects(evalFileOverBridge('/tmp/missing.jsx', { port: bridge.port, token: TOKEN }), /After Effects bridge error: File not found/);
+    assert.strictEqual(await pingBridge({ port: bridge.port, token: 'wrong' }), null);
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('a bridge that does not answer times out', async () => {
+  const bridge = await startMockBridge(() => null);
+  try {
+    await assert.rejects(
+      sendBridgeRequest({ method: 'ping' }, { port: bridge.port, token: TOKEN, timeoutMs: 100 }),
+      (err) => err.code === 'ETIMEDOUT' && !isBridgeUnavailable(err)
+    );
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('a refused connection lets callers fall back to spawning', async () => {
+  const bridge = await startMockBridge(() => '"ok":true');
+  await bridge.close();
+  await assert.rejects(
+    sendBridgeRequest({ method: 'ping' }, { port: bridge.port, token: TOKEN, timeoutMs: 1000 }),
+    (err) => isBridgeUnavailable(err)
+  );
+  assert.strictEqual(await pingBridge({ port: bridge.port, token: TOKEN }), null);
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { hasIncludes, bundleSource } = require('../src/bundler');
+
+/** Temporary folders created by the tests. */
+const roots = [];
+
+test.after(() => {
+  roots.forEach((root) => fs.rmSync(root, { recursive: true, force: true }));
+});
+
+/**
+ * Write files into a new temporary folder.
+ *
+ * @param {Object<string, string>} files Contents by path relative to the folder
+ * @returns {string} The folder
+ */
+function createTree(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-bundler-'));
+  roots.push(root);
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+  return root;
+}
+
+test('hasIncludes finds both directive styles', () => {
+  assert.strictEqual(hasIncludes('#include "lib.jsx"'), true);
+  assert.strictEqual(hasIncludes('  //@include lib.jsx;'), true);
+  assert.strictEqual(hasIncludes('var include = "lib.jsx";'), false);
+});
+
+test('bundleSource inlines nested includes relative to each including file', () => {
+  const root = createTree({
+    'lib/util.jsx': '//@include "./helpers/strings.jsx"\nvar util = 1;',
+    'lib/helpers/strings.jsx': 'var strings = 2;'
+  });
+  const entry = path.join(root, 'main.jsx');
+  const bundle = bundleSource('#include "lib/util.jsx"\nalert(util);', entry);
+
+  assert.strictEqual(bundle.code, 'var strings = 2;\nvar util = 1;\nalert(util);');
+  assert.deepStrictEqual(bundle.files, [path.join(root, 'lib/util.jsx'), path.join(root, 'lib/helpers/strings.jsx')]);
+});
+
+test('bundleSource resolves includes through #includepath folders', () => {
+  const root = createTree({ 'shared/lib.jsx': 'var lib = 1;' });
+  const bundle = bundleSource('#includepath "missing;shared"\n#include lib.jsx', path.join(root, 'main.jsx'));
+  assert.strictEqual(bundle.code, 'var lib = 1;');
+});
+
+test('bundleSource reads included files through readFile, so unsaved buffers win', () => {
+  const root = createTree({ 'lib.jsx': 'var saved = true;' });
+  const unsaved = { [path.join(root, 'lib.jsx')]: 'var unsaved = true;' };
+  const bundle = bundleSource('#include "lib.jsx"', path.join(root, 'main.jsx'), {
+    readFile: (file) => unsaved[file] || fs.readFileSync(file, 'utf8')
+  });
+  assert.strictEqual(bundle.code, 'var unsaved = true;');
+});
+
+test('bundleSource reports include cycles and unresolved includes', () => {
+  const root = createTree({
+    'a.jsx': '#include "b.jsx"',
+    'b.jsx': '#include "a.jsx"'
+  });
+  assert.throws(
+    () => bundleSource(fs.readFileSync(path.join(root, 'a.jsx'), 'utf8'), path.join(root, 'a.jsx')),
+    /Circular include detected: a\.jsx -> b\.jsx -> a\.jsx/
+  );
+  assert.throws(
+    () => bundleSource('\n#include "nope.jsx"', path.join(root, 'main.jsx')),
+    (err) => err.message === `Cannot resolve include "nope.jsx" (${path.join(root, 'main.jsx')}:2)`
+  );
+});
+
+test('bundleSource maps every bundled line back to its file and line', () => {
+  const root = createTree({ 'lib.jsx': '// lib\nvar lib = 1;\r\nthrow lib;' });
+  const entry = path.join(root, 'main.jsx');
+  const lib = path.join(root, 'lib.jsx');
+  const bundle = bundleSource('var a = 1;\n#include "lib.jsx"\nvar b = 2;', entry, { lineOffset: 10 });
+
+  assert.deepStrictEqual(bundle.lineMap, [
+    { file: entry, line: 11 },
+    { file: lib, line: 1 },
+    { file: lib, line: 2 },
+    { file: lib, line: 3 },
+    { file: entry, line: 13 }
+  ]);
+  assert.strictEqual(bundle.code.split('\n')[3], 'throw lib;');
+});
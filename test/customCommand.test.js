@@ -0,0 +1,24 @@
+const assert = require('assert');
+const test = require('node:test');
+const { customCommandTransport, expandPlaceholders } = require('../src/transports/customCommand');
+
+test('expandPlaceholders inserts paths with replacement patterns as they are', () => {
+  const scriptPath = "/tmp/a$&b/$`c$'.jsx";
+  assert.strictEqual(expandPlaceholders('${scriptPath}', scriptPath), scriptPath);
+  assert.strictEqual(expandPlaceholders('--dir=${scriptDir}', scriptPath), '--dir=/tmp/a$&b');
+  assert.strictEqual(expandPlaceholders('${scriptName}', scriptPath), "$`c$'.jsx");
+});
+
+test('expandPlaceholders does not expand placeholders found in the path', () => {
+  const scriptPath = '/tmp/${scriptDir}/run.jsx';
+  assert.strictEqual(expandPlaceholders('${scriptPath} ${scriptName}', scriptPath), '/tmp/${scriptDir}/run.jsx run.jsx');
+});
+
+test('buildCommand expands every argument and requires a command', async () => {
+  const settings = { customCommand: ' runner ', customCommandArgs: ['-f', '${scriptPath}'] };
+  const { command, args } = await customCommandTransport.buildCommand('/tmp/$$.jsx', { get: (key) => settings[key] });
+  assert.strictEqual(command, 'runner');
+  assert.deepStrictEqual(args, ['-f', '/tmp/$$.jsx']);
+
+  await assert.rejects(customCommandTransport.buildCommand('/tmp/a.jsx', { get: () => '' }), /requires aeScriptRunner\.customCommand/);
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+const { buildHarnessScript, waitForResult } = require('../src/harness');
+const { isCancellation } = require('../src/runQueue');
+
+/**
+ * Evaluate a harness against stubs of `$`, `File` and `app` that record the
+ * scripts it evaluates and the undo groups it opens.
+ *
+ * @param {Object} options Options for `buildHarnessScript`
+ * @param {string[]} [failing] Scripts that throw when evaluated
+ * @returns {{steps: string[], report: Object}} What happened, in order, and the harness report
+ */
+function runHarness(options, failing = []) {
+  const steps = [];
+  function File(filePath) {
+    this.fsName = filePath;
+  }
+  const context = {
+    File,
+    app: {
+      beginUndoGroup: (label) => steps.push(`begin ${label}`),
+      endUndoGroup: () => steps.push('end')
+    },
+    $: {
+      writeln() {},
+      write() {},
+      evalFile(file) {
+        steps.push(file.fsName);
+        if (failing.includes(file.fsName)) {
+          throw new Error(`${file.fsName} failed`);
+        }
+      }
+    }
+  };
+  context.$.global = context;
+  const json = vm.runInNewContext(buildHarnessScript(options), context);
+  return { steps, report: JSON.parse(json) };
+}
+
+test('teardown scripts run inside the undo group, setup scripts before it', () => {
+  const { steps, report } = runHarness({
+    scriptPath: '/s/main.jsx',
+    setup: ['/s/setup.jsx'],
+    teardown: ['/s/teardown.jsx'],
+    undoGroup: 'main.jsx'
+  });
+  assert.strictEqual(report.ok, true);
+  assert.deepStrictEqual(steps, ['/s/setup.jsx', 'begin main.jsx', '/s/main.jsx', '/s/teardown.jsx', 'end']);
+});
+
+test('the undo group is closed after teardown when the script throws', () => {
+  const { steps, report } = runHarness({
+    scriptPath: '/s/main.jsx',
+    teardown: ['/s/teardown.jsx'],
+    undoGroup: 'main.jsx'
+  }, ['/s/main.jsx', '/s/teardown.jsx']);
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.error.message, '/s/main.jsx failed');
+  assert.match(report.logs[0], /^Teardown script \/s\/teardown\.jsx failed/);
+  assert.deepStrictEqual(steps, ['begin main.jsx', '/s/main.jsx', '/s/teardown.jsx', 'end']);
+});
+
+test('no undo group is opened without a label or when setup fails', () => {
+  assert.deepStrictEqual(runHarness({ scriptPath: '/s/main.jsx' }).steps, ['/s/main.jsx']);
+  const { steps } = runHarness({ scriptPath: '/s/main.jsx', setup: ['/s/setup.jsx'], teardown: ['/s/teardown.jsx'], undoGroup: 'main.jsx' }, ['/s/setup.jsx']);
+  assert.deepStrictEqual(steps, ['/s/setup.jsx', '/s/teardown.jsx']);
+});
+
+test('waitForResult gives up after the timeout and stops when cancelled', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-harness-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const resultPath = path.join(folder, 'result.json');
+
+  assert.strictEqual(await waitForResult(resultPath, 50, 10), null);
+
+  const controller = new AbortController();
+  const waiting = waitForResult(resultPath, 5000, 10, controller.signal);
+  controller.abort();
+  await assert.rejects(waiting, (err) => isCancellation(err));
+
+  setTimeout(() => fs.writeFileSync(resultPath, '{"ok":true,"logs":[]}'), 30);
+  assert.deepStrictEqual(await waitForResult(resultPath, 5000, 10), { ok: true, logs: [] });
+});
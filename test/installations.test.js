@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const {
+  INSTALLATIONS_CACHE_KEY,
+  compareVersions,
+  pickNewestInstallation,
+  getInstallationsStamp,
+  createInstallationCache
+} = require('../src/installations');
+
+/**
+ * Create an in-memory stand-in for a `vscode.Memento`.
+ *
+ * @returns {{get: (key: string) => any, update: (key: string, value: any) => Promise<void>, values: Object}} The store
+ */
+function createStore() {
+  const values = {};
+  return {
+    values,
+    get: (key) => values[key],
+    update: async (key, value) => {
+      values[key] = value;
+    }
+  };
+}
+
+test('compareVersions compares numerically and sorts missing versions lowest', () => {
+  assert.ok(compareVersions('25.0.1', '24.6') > 0);
+  assert.ok(compareVersions('24.10', '24.9') > 0);
+  assert.ok(compareVersions('24', '24.0') < 0);
+  assert.ok(compareVersions('', '18') < 0);
+  assert.strictEqual(compareVersions('24.6.1', '24.6.1'), 0);
+  assert.strictEqual(compareVersions(undefined, null), 0);
+});
+
+test('pickNewestInstallation returns the highest version, or null', () => {
+  const installations = [{ name: 'a', version: '23.6' }, { name: 'b', version: '25.0' }, { name: 'c', version: '' }];
+  assert.strictEqual(pickNewestInstallation(installations).name, 'b');
+  assert.strictEqual(pickNewestInstallation([]), null);
+  assert.strictEqual(pickNewestInstallation(undefined), null);
+});
+
+test('the cache detects once and detects again when the install folders change', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-installations-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(folder, 'Adobe After Effects 2024'));
+  fs.mkdirSync(path.join(folder, 'Adobe Photoshop 2024'));
+
+  const missing = path.join(folder, 'missing');
+  const stamp = () => getInstallationsStamp([folder, missing]);
+  assert.match(stamp(), /Adobe After Effects 2024@/);
+  assert.ok(!stamp().includes('Photoshop'));
+  assert.ok(stamp().endsWith(`|${missing}@missing`));
+
+  const store = createStore();
+  let detections = 0;
+  const cache = createInstallationCache(store, async () => {
+    detections++;
+    return [{ name: `run ${detections}`, version: '24.0' }];
+  }, stamp);
+
+  assert.deepStrictEqual(await cache.get(), [{ name: 'run 1', version: '24.0' }]);
+  assert.deepStrictEqual(await cache.get(), [{ name: 'run 1', version: '24.0' }]);
+  assert.strictEqual(store.values[INSTALLATIONS_CACHE_KEY].stamp, stamp());
+
+  fs.mkdirSync(path.join(folder, 'Adobe After Effects 2025'));
+  assert.deepStrictEqual(await cache.get(), [{ name: 'run 2', version: '24.0' }]);
+  assert.deepStrictEqual(await cache.get({ refresh: true }), [{ name: 'run 3', version: '24.0' }]);
+  assert.strictEqual(detections, 3);
+});
+
+test('concurrent refreshes share one detection', async () => {
+  let detections = 0;
+  const cache = createInstallationCache(createStore(), async () => {
+    detections++;
+    return [];
+  }, () => 'stamp');
+  await Promise.all([cache.refresh(), cache.get(), cache.refresh()]);
+  assert.strictEqual(detections, 1);
+});
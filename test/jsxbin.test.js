@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+const { getJsxbinOutputPath, buildCompileScript, buildCompilerCommand, compileJsxbin } = require('../src/jsxbin');
+const { MOCK_HOST_PATH } = require('../src/transports/mock');
+
+/**
+ * Create a temporary folder removed after the test.
+ *
+ * @param {Object} t Test context
+ * @returns {string} The folder
+ */
+function createFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-jsxbin-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+/**
+ * Evaluate a compile script against a file-backed `File` stub and an `app`
+ * whose `compile` marks the code it was given.
+ *
+ * @param {string} script Compile script source
+ */
+function runCompileScript(script) {
+  function File(filePath) {
+    this.fsName = filePath;
+    this.parent = { exists: true, create() {} };
+  }
+  File.prototype.open = function (mode) {
+    this.mode = mode;
+    this.text = mode === 'r' ? fs.readFileSync(this.fsName, 'utf8') : '';
+    return true;
+  };
+  File.prototype.read = function () {
+    return this.text;
+  };
+  File.prototype.write = function (text) {
+    this.text += text;
+  };
+  File.prototype.close = function () {
+    if (this.mode === 'w') {
+      fs.writeFileSync(this.fsName, this.text);
+    }
+  };
+  File.prototype.rename = function (name) {
+    fs.renameSync(this.fsName, path.join(path.dirname(this.fsName), name));
+  };
+  vm.runInNewContext(script, { File, app: { compile: (code, name) => `@JSXBIN ${name}: ${code}` } });
+}
+
+test('getJsxbinOutputPath writes next to the source or mirrors folders into the output folder', () => {
+  assert.strictEqual(getJsxbinOutputPath('/p/src/a.jsx'), path.join('/p/src', 'a.jsxbin'));
+  assert.strictEqual(getJsxbinOutputPath('/p/src/ui/a.jsx', { outputFolder: '/out', baseFolder: '/p/src' }), path.join('/out', 'ui', 'a.jsxbin'));
+  assert.strictEqual(getJsxbinOutputPath('/elsewhere/a.jsx', { outputFolder: '/out', baseFolder: '/p/src' }), path.join('/out', 'a.jsxbin'));
+});
+
+test('the compile script compiles each job and reports failures per file', (t) => {
+  const folder = createFolder(t);
+  fs.writeFileSync(path.join(folder, 'a.jsx'), 'alert(1);');
+  const jobs = [
+    { source: path.join(folder, 'a.jsx'), output: path.join(folder, 'a.jsxbin'), name: 'a.jsx' },
+    { source: path.join(folder, 'missing.jsx'), output: path.join(folder, 'missing.jsxbin'), name: 'missing.jsx' }
+  ];
+  const reportPath = path.join(folder, 'report.json');
+
+  runCompileScript(buildCompileScript(jobs, reportPath));
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'a.jsxbin'), 'utf8'), '@JSXBIN a.jsx: alert(1);');
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  assert.deepStrictEqual(report[0], { ok: true });
+  assert.strictEqual(report[1].ok, false);
+  assert.match(report[1].error, /ENOENT/);
+});
+
+test('buildCompilerCommand requires a compiler and expands its arguments', () => {
+  assert.throws(() => buildCompilerCommand('/tmp/c.jsx', { get: () => '' }), /Set aeScriptRunner\.jsxbinCompiler/);
+  const settings = { jsxbinCompiler: ' estk ' };
+  assert.deepStrictEqual(buildCompilerCommand('/tmp/c.jsx', { get: (key) => settings[key] }), { command: 'estk', args: ['-cmd', '/tmp/c.jsx'] });
+});
+
+test('compileJsxbin runs the compiler directly and reads back its report', async (t) => {
+  const folder = createFolder(t);
+  fs.writeFileSync(path.join(folder, 'a.jsx'), 'alert(1);');
+  // The mock ExtendScript engine has no app.compile, so every job fails in it
+  const settings = { jsxbinCompiler: process.execPath, jsxbinCompilerArgs: [MOCK_HOST_PATH, '${scriptPath}'] };
+  const jobs = [{ source: path.join(folder, 'a.jsx'), output: path.join(folder, 'a.jsxbin'), name: 'a.jsx' }];
+
+  const report = await compileJsxbin(jobs, { get: (key) => settings[key] }, { directory: path.join(folder, 'runs'), timeoutMs: 10000, log: () => {} });
+  assert.deepStrictEqual(report, [{ job: jobs[0], ok: false, error: 'This ExtendScript host cannot compile JSXBIN (app.compile is not available).' }]);
+  assert.deepStrictEqual(fs.readdirSync(path.join(folder, 'runs')), []);
+});
+
+test('compileJsxbin reports a compiler that never ran the script', async (t) => {
+  const folder = createFolder(t);
+  const settings = { jsxbinCompiler: process.execPath, jsxbinCompilerArgs: ['-e', ''] };
+  await assert.rejects(
+    compileJsxbin([], { get: (key) => settings[key] }, { directory: folder, log: () => {} }),
+    /finished without compiling/
+  );
+});
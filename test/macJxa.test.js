@@ -0,0 +1,114 @@
+const assert = require('assert');
+const cp = require('child_process');
+const test = require('node:test');
+const vm = require('vm');
+const { macJxaTransport, toJxaString, probeBundleVersion, readPlistValue } = require('../src/transports/macJxa');
+
+/** Script paths and bundle IDs that must reach JXA exactly as given. */
+const HOSTILE_VALUES = [
+  '/tmp/"quoted" script.jsx',
+  "/tmp/'); evil(); ('.jsx",
+  '/tmp/$(touch pwned) `touch pwned` ${evil()}.jsx',
+  '/tmp/a\\b\\\\c\\',
+  '/tmp/line\nbreak\r\n.jsx',
+  '/tmp/line\u2028separator\u2029.jsx',
+  '/Users/me/My Scripts/ünïcødé 🎬  two  spaces .jsx'
+];
+
+/**
+ * Evaluate the JXA of a command against a stub of After Effects.
+ *
+ * @param {string} jxa JXA source
+ * @returns {{application: string, scriptPath?: string, asked?: string}} What the script asked for
+ */
+function evaluateJxa(jxa) {
+  const seen = {};
+  vm.runInNewContext(jxa, {
+    Application(name) {
+      seen.application = name;
+      return {
+        activate() {},
+        version() {
+          seen.asked = 'version';
+          return '25.0';
+        },
+        doscriptfile(scriptPath) {
+          seen.scriptPath = scriptPath;
+        }
+      };
+    },
+    evil() {
+      throw new Error('Injected code ran');
+    }
+  });
+  return seen;
+}
+
+/**
+ * Replace `child_process.execFile` while a callback runs, recording its calls.
+ *
+ * @param {string} stdout What every call prints
+ * @param {() => Promise<void>} callback Code that runs commands
+ * @returns {Promise<{file: string, args: string[]}[]>} The commands it ran
+ */
+async function recordExecFile(stdout, callback) {
+  const calls = [];
+  const original = cp.execFile;
+  cp.execFile = (file, args, options, done) => {
+    calls.push({ file, args });
+    (typeof options === 'function' ? options : done)(null, stdout, '');
+  };
+  try {
+    await callback();
+  } finally {
+    cp.execFile = original;
+  }
+  return calls;
+}
+
+test('toJxaString encodes hostile values as one-line string literals', () => {
+  for (const value of HOSTILE_VALUES) {
+    const literal = toJxaString(value);
+    assert.strictEqual(vm.runInNewContext(literal), value);
+    assert.ok(!/[\n\r\u2028\u2029]/.test(literal), `the literal for ${JSON.stringify(value)} must stay on one line`);
+  }
+});
+
+test('buildCommand passes the script path and target to osascript as JXA data', async () => {
+  for (const value of HOSTILE_VALUES) {
+    const bundleId = `com.adobe.${value}`;
+    const byBundle = await macJxaTransport.buildCommand(value, { get: () => bundleId });
+    assert.strictEqual(byBundle.command, 'osascript');
+    assert.strictEqual(byBundle.args.length, 4);
+    assert.deepStrictEqual(byBundle.args.slice(0, 3), ['-l', 'JavaScript', '-e']);
+    assert.deepStrictEqual(evaluateJxa(byBundle.args[3]), { application: bundleId, scriptPath: value });
+
+    const appPath = `/Applications/${value}.app`;
+    const byPath = await macJxaTransport.buildCommand(value, { get: () => appPath });
+    assert.strictEqual(byPath.appPath, appPath);
+    assert.deepStrictEqual(evaluateJxa(byPath.args[3]), { application: appPath, scriptPath: value });
+  }
+});
+
+test('probeBundleVersion asks osascript without a shell', async () => {
+  const bundleId = HOSTILE_VALUES[2];
+  let version;
+  const calls = await recordExecFile('25.0\n', async () => {
+    version = await probeBundleVersion(bundleId);
+  });
+  assert.strictEqual(version, '25.0');
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].file, 'osascript');
+  assert.deepStrictEqual(calls[0].args.slice(0, 3), ['-l', 'JavaScript', '-e']);
+  assert.deepStrictEqual(evaluateJxa(calls[0].args[3]), { application: bundleId, asked: 'version' });
+});
+
+test('readPlistValue passes the plist path and key to defaults as separate arguments', async () => {
+  const plistPath = `/Applications/${HOSTILE_VALUES[1]}.app/Contents/Info.plist`;
+  let value;
+  const calls = await recordExecFile('com.adobe.AfterEffects.application\n', async () => {
+    value = await readPlistValue(plistPath, 'CFBundleIdentifier');
+  });
+  assert.strictEqual(value, 'com.adobe.AfterEffects.application');
+  assert.deepStrictEqual(calls, [{ file: 'defaults', args: ['read', plistPath, 'CFBundleIdentifier'] }]);
+});
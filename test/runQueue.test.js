@@ -0,0 +1,131 @@
+const assert = require('assert');
+const test = require('node:test');
+const { RUN_STATES, createCancellationError, isCancellation, createRunQueue } = require('../src/runQueue');
+
+/**
+ * Create a task that stays in progress until settled from outside.
+ *
+ * @returns {{task: (run: Object) => Promise<any>, resolve: (value: any) => void, reject: (err: Error) => void, readonly run: Object}} The task
+ */
+function createDeferredTask() {
+  const deferred = {};
+  deferred.task = (run) => {
+    deferred.run = run;
+    run.setState('running');
+    return new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+      run.signal.addEventListener('abort', () => reject(createCancellationError()));
+    });
+  };
+  return deferred;
+}
+
+/**
+ * Record the states a run moves through.
+ *
+ * @param {Object} run A queued run
+ * @returns {string[]} The states, filled in as they change
+ */
+function recordStates(run) {
+  const states = [run.state];
+  run.onDidChangeState((state) => states.push(state));
+  return states;
+}
+
+test('a run moves from queued through sending and running to done', async () => {
+  const queue = createRunQueue();
+  const seen = [];
+  queue.onDidChange((run) => seen.push(`${run.name}:${run.state}`));
+  const deferred = createDeferredTask();
+  const run = queue.enqueue('a.jsx', deferred.task);
+  const states = recordStates(run);
+
+  assert.strictEqual(queue.current, run);
+  deferred.resolve(42);
+  assert.strictEqual(await run.done, 42);
+  assert.deepStrictEqual(states, ['running', 'done']);
+  assert.deepStrictEqual(seen, ['a.jsx:queued', 'a.jsx:sending', 'a.jsx:running', 'a.jsx:done']);
+  assert.ok(RUN_STATES.includes(run.state));
+});
+
+test('runs wait for the previous one and failures reject their own run only', async () => {
+  const queue = createRunQueue();
+  const first = createDeferredTask();
+  const second = createDeferredTask();
+  const a = queue.enqueue('a.jsx', first.task);
+  const b = queue.enqueue('b.jsx', second.task);
+
+  assert.strictEqual(b.state, 'queued');
+  assert.deepStrictEqual(queue.pending, [b]);
+  first.reject(new Error('boom'));
+  await assert.rejects(a.done, /boom/);
+  assert.strictEqual(a.state, 'failed');
+  assert.strictEqual(a.error.message, 'boom');
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(b.state, 'running');
+  second.resolve('ok');
+  assert.strictEqual(await b.done, 'ok');
+});
+
+test('the reject policy refuses runs while another is busy', async () => {
+  const queue = createRunQueue({ policy: () => 'reject' });
+  const deferred = createDeferredTask();
+  const run = queue.enqueue('a.jsx', deferred.task);
+  assert.throws(() => queue.enqueue('b.jsx', async () => {}), /already running in After Effects \(a\.jsx\)/);
+  deferred.resolve();
+  await run.done;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(await queue.enqueue('c.jsx', async () => 'c').done, 'c');
+});
+
+test('cancelling a queued run removes it without running it', async () => {
+  const queue = createRunQueue();
+  const deferred = createDeferredTask();
+  const a = queue.enqueue('a.jsx', deferred.task);
+  let ran = false;
+  const b = queue.enqueue('b.jsx', async () => {
+    ran = true;
+  });
+
+  b.cancel();
+  assert.strictEqual(await b.done, undefined);
+  assert.strictEqual(b.state, 'cancelled');
+  assert.strictEqual(b.signal.aborted, true);
+  assert.deepStrictEqual(queue.pending, []);
+  deferred.resolve();
+  await a.done;
+  assert.strictEqual(ran, false);
+});
+
+test('cancelling a running run aborts its signal and finished runs ignore cancel', async () => {
+  const queue = createRunQueue();
+  const deferred = createDeferredTask();
+  const run = queue.enqueue('a.jsx', deferred.task);
+  const states = recordStates(run);
+
+  run.cancel();
+  assert.strictEqual(await run.done, undefined);
+  assert.deepStrictEqual(states, ['running', 'cancelled']);
+
+  const done = queue.enqueue('b.jsx', async () => 'b');
+  await done.done;
+  done.cancel();
+  assert.strictEqual(done.state, 'done');
+  assert.strictEqual(done.signal.aborted, false);
+});
+
+test('a task that times out fails the run with its timeout error', async () => {
+  const queue = createRunQueue();
+  const run = queue.enqueue('slow.jsx', (current) => new Promise((resolve, reject) => {
+    current.setState('running');
+    setTimeout(() => {
+      const err = new Error('osascript did not finish within 0 seconds');
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, 10);
+  }));
+  await assert.rejects(run.done, (err) => err.code === 'ETIMEDOUT' && !isCancellation(err));
+  assert.strictEqual(run.state, 'failed');
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { runScriptFile } = require('../src/runner');
+const { loadSettings } = require('../src/settings');
+
+/**
+ * Write a script into a temporary folder removed after the test.
+ *
+ * @param {Object} t Test context
+ * @param {string} source Script source
+ * @returns {{folder: string, scriptPath: string}} The folder and the script
+ */
+function writeScript(t, source) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-runner-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const scriptPath = path.join(folder, 'script.jsx');
+  fs.writeFileSync(scriptPath, source);
+  return { folder, scriptPath };
+}
+
+/**
+ * Load settings that run scripts in the mock ExtendScript engine.
+ *
+ * @param {string} folder Workspace folder
+ * @returns {{get: (key: string) => any}} The settings
+ */
+function mockSettings(folder) {
+  return loadSettings({ cwd: folder, overrides: { transport: 'mock', useBridge: false, resultTimeout: 20 } });
+}
+
+test('pins are ignored by transports that do not run an installed After Effects', async (t) => {
+  const { folder, scriptPath } = writeScript(t, '// @ae-target 2024\n1 + 1;');
+  const options = { runFilesDirectory: path.join(folder, 'runs'), log: () => {}, onOutput: null };
+
+  const pinned = await runScriptFile(scriptPath, mockSettings(folder), options);
+  assert.strictEqual(pinned.status, 'ok');
+  assert.strictEqual(pinned.result.result, '2');
+
+  const overridden = await runScriptFile(scriptPath, mockSettings(folder), { ...options, target: '2019' });
+  assert.strictEqual(overridden.status, 'ok');
+});
+
+test('remote pins are rejected with a clear message', async (t) => {
+  const { folder, scriptPath } = writeScript(t, '// @ae-target remote:studio\n1;');
+  await assert.rejects(
+    runScriptFile(scriptPath, mockSettings(folder), { runFilesDirectory: path.join(folder, 'runs'), log: () => {} }),
+    /Target remote:studio is a remote target, which ae-run cannot send scripts to/
+  );
+});
+
+test('pins must match an installation with the native transports', async (t) => {
+  const { folder, scriptPath } = writeScript(t, '// @ae-target 1999\n1;');
+  const settings = loadSettings({ cwd: folder, overrides: { transport: 'windowsAfterFx', useBridge: false } });
+  await assert.rejects(
+    runScriptFile(scriptPath, settings, { runFilesDirectory: path.join(folder, 'runs'), log: () => {} }),
+    /Target 1999 does not match any installed After Effects version/
+  );
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const test = require('node:test');
+const { createRunScheduler } = require('../src/scheduler');
+
+/**
+ * Create fake `setTimeout`/`clearTimeout` functions driven by `tick`.
+ *
+ * @returns {{setTimer: Function, clearTimer: Function, tick: (ms: number) => void, readonly pending: number}} The fake clock
+ */
+function createClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    setTimer(callback, ms) {
+      const id = nextId++;
+      timers.set(id, { callback, at: now + ms });
+      return id;
+    },
+    clearTimer(id) {
+      timers.delete(id);
+    },
+    tick(ms) {
+      now += ms;
+      for (const [id, timer] of [...timers].sort((a, b) => a[1].at - b[1].at)) {
+        if (timer.at <= now) {
+          timers.delete(id);
+          timer.callback();
+        }
+      }
+    },
+    get pending() {
+      return timers.size;
+    }
+  };
+}
+
+/**
+ * Create a run whose calls stay in progress until released.
+ *
+ * @returns {{run: () => Promise<void>, finish: () => Promise<void>, readonly calls: number, readonly active: number, readonly maxActive: number}} The run
+ */
+function createControlledRun() {
+  const waiting = [];
+  let calls = 0;
+  let active = 0;
+  let maxActive = 0;
+  return {
+    run() {
+      calls++;
+      active++;
+      maxActive = Math.max(maxActive, active);
+      return new Promise((resolve) => waiting.push(() => {
+        active--;
+        resolve();
+      }));
+    },
+    async finish() {
+      waiting.shift()();
+      // Let the scheduler react to the finished run
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+    get calls() { return calls; },
+    get active() { return active; },
+    get maxActive() { return maxActive; }
+  };
+}
+
+test('triggers within the debounce period collapse into one run', async () => {
+  const clock = createClock();
+  const run = createControlledRun();
+  const states = [];
+  const scheduler = createRunScheduler(run.run, { debounceMs: 300, onStateChange: (state) => states.push(state), ...clock });
+
+  scheduler.trigger();
+  clock.tick(200);
+  scheduler.trigger();
+  clock.tick(200);
+  assert.strictEqual(run.calls, 0);
+  assert.strictEqual(scheduler.state, 'scheduled');
+
+  clock.tick(100);
+  assert.strictEqual(run.calls, 1);
+  assert.strictEqual(scheduler.state, 'running');
+  await run.finish();
+  assert.deepStrictEqual(states, ['scheduled', 'running', 'idle']);
+});
+
+test('triggers during a run lead to one follow-up run, never an overlapping one', async () => {
+  const clock = createClock();
+  const run = createControlledRun();
+  const scheduler = createRunScheduler(run.run, { debounceMs: 100, ...clock });
+
+  scheduler.trigger();
+  clock.tick(100);
+  for (let i = 0; i < 3; i++) {
+    scheduler.trigger();
+    clock.tick(100);
+  }
+  assert.strictEqual(run.calls, 1);
+  assert.strictEqual(scheduler.state, 'running');
+
+  await run.finish();
+  assert.strictEqual(run.calls, 2);
+  await run.finish();
+  assert.strictEqual(run.calls, 2);
+  assert.strictEqual(run.maxActive, 1);
+  assert.strictEqual(scheduler.state, 'idle');
+});
+
+test('a failed run does not stop later runs', async (t) => {
+  const clock = createClock();
+  t.mock.method(console, 'log', () => {});
+  let calls = 0;
+  const scheduler = createRunScheduler(async () => {
+    calls++;
+    throw new Error('boom');
+  }, { debounceMs: 10, ...clock });
+
+  scheduler.trigger();
+  clock.tick(10);
+  await new Promise((resolve) => setImmediate(resolve));
+  scheduler.trigger();
+  clock.tick(10);
+  assert.strictEqual(calls, 2);
+});
+
+test('dispose cancels a scheduled run and ignores later triggers', () => {
+  const clock = createClock();
+  const run = createControlledRun();
+  const scheduler = createRunScheduler(run.run, { debounceMs: 10, ...clock });
+
+  scheduler.trigger();
+  scheduler.dispose();
+  assert.strictEqual(clock.pending, 0);
+  scheduler.trigger();
+  clock.tick(10);
+  assert.strictEqual(run.calls, 0);
+});
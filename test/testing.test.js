@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { discoverTests, buildTestRunnerScript, parseTestReport } = require('../src/testing');
+const { runScriptFile } = require('../src/runner');
+const { loadSettings } = require('../src/settings');
+
+/**
+ * Reduce discovered suites and tests to their kind, name, line and children.
+ *
+ * @param {Object[]} nodes Nodes returned by `discoverTests`
+ * @returns {Array} Nested `[kind name@line, children]` entries
+ */
+function outline(nodes) {
+  return nodes.map((node) => (node.children.length > 0
+    ? [`${node.kind} ${node.name}@${node.line}`, outline(node.children)]
+    : `${node.kind} ${node.name}@${node.line}`));
+}
+
+test('discoverTests nests tests in their suites with zero-based lines', () => {
+  const source = [
+    'describe("outer", function () {',
+    '  it("first", function () {});',
+    '  describe(\'inner\', function () {',
+    '    it("second", function () {});',
+    '  });',
+    '});',
+    'it("top level", function () {});'
+  ].join('\n');
+  assert.deepStrictEqual(outline(discoverTests(source)), [
+    ['suite outer@0', ['test first@1', ['suite inner@2', ['test second@3']]]],
+    'test top level@6'
+  ]);
+});
+
+test('discoverTests reads escaped names and skips computed names, members and comments', () => {
+  const source = [
+    'it("say \\"hi\\"\\tthere \\u00e9", function () {});',
+    'it(\'it\\\'s\', function () {});',
+    'it("a" + n, function () {});',
+    'it(name, function () {});',
+    'suite.it("member", function () {});',
+    '// it("commented", function () {});',
+    'var text = \'it("in a string", f)\';'
+  ].join('\n');
+  assert.deepStrictEqual(discoverTests(source).map((node) => node.name), ['say "hi"\tthere é', "it's"]);
+});
+
+test('parseTestReport rejects malformed reports', () => {
+  assert.deepStrictEqual(parseTestReport('[{"path":["a"],"ok":true,"duration":1}]'), [{ path: ['a'], ok: true, duration: 1 }]);
+  assert.throws(() => parseTestReport('[{"path":['), /Unexpected test report: /);
+  assert.throws(() => parseTestReport('{"path":["a"]}'), /expected a list of test results/);
+  assert.throws(() => parseTestReport('[{"path":[]}]'), /expected a list of test results/);
+  assert.throws(() => parseTestReport('[null]'), /expected a list of test results/);
+  assert.throws(() => parseTestReport('undefined'), /Unexpected test report/);
+});
+
+test('a test file runs through the mock transport and reports each test', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-testing-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const testPath = path.join(folder, 'math.test.jsx');
+  fs.writeFileSync(testPath, [
+    'describe("math", function () {',
+    '  it("adds", function () { assert.equal(1 + 1, 2); });',
+    '  it("fails", function () { assert.equal(1 + 1, 3); });',
+    '  it("throws", function () { throw new Error("boom"); });',
+    '});',
+    'it("skipped by the filter", function () {});'
+  ].join('\n'));
+  const runnerPath = path.join(folder, 'runner.jsx');
+  fs.writeFileSync(runnerPath, buildTestRunnerScript(testPath, { filter: [['math']] }));
+
+  const settings = loadSettings({ cwd: folder, overrides: { transport: 'mock', useBridge: false, wrapInUndoGroup: false, resultTimeout: 20 } });
+  const outcome = await runScriptFile(runnerPath, settings, { runFilesDirectory: path.join(folder, 'runs'), log: () => {} });
+  assert.strictEqual(outcome.status, 'ok');
+
+  const report = parseTestReport(outcome.result.result);
+  assert.deepStrictEqual(report.map((entry) => [entry.path.join(' > '), entry.ok]), [['math > adds', true], ['math > fails', false], ['math > throws', false]]);
+  assert.strictEqual(report[1].message, 'Expected 2 to equal 3');
+  assert.strictEqual(report[1].actual, '2');
+  assert.strictEqual(report[1].expected, '3');
+  assert.match(report[2].message, /boom/);
+});
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const test = require('node:test');
+const { isCancellation } = require('../src/runQueue');
+const { executeCommand } = require('../src/transports');
+
+/** Arguments for a Node process that keeps running until it is killed. */
+const HANG = ['-e', 'setTimeout(() => {}, 60000)'];
+
+test('executeCommand passes output on and reports non-zero exits', async () => {
+  const output = [];
+  const result = await executeCommand(process.execPath, ['-e', 'console.log("hi")'], { onOutput: (text) => output.push(text) });
+  assert.strictEqual(result.exitCode, 0);
+  assert.strictEqual(output.join('').trim(), 'hi');
+
+  await assert.rejects(
+    executeCommand(process.execPath, ['-e', 'console.error("bad"); process.exit(3)'], { onOutput: null }),
+    (err) => err.exitCode === 3 && /bad/.test(err.message)
+  );
+});
+
+test('executeCommand kills a process that exceeds the timeout', async () => {
+  await assert.rejects(
+    executeCommand(process.execPath, HANG, { timeoutMs: 200, onOutput: null }),
+    (err) => err.code === 'ETIMEDOUT' && /did not finish within 0 seconds/.test(err.message)
+  );
+});
+
+test('executeCommand stops when the run is cancelled', async () => {
+  const controller = new AbortController();
+  const running = executeCommand(process.execPath, HANG, { signal: controller.signal, onOutput: null });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(running, (err) => isCancellation(err));
+  await assert.rejects(executeCommand(process.execPath, HANG, { signal: controller.signal }), (err) => isCancellation(err));
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const {
+  windowsAfterFxTransport,
+  getWindowsAdobeFolders,
+  versionFromFolderName,
+  discoverWindowsInstallations
+} = require('../src/transports/windowsAfterFx');
+
+/**
+ * Create a fake `Adobe` folder with an `AfterFX.exe` in each named install.
+ *
+ * @param {string} root Folder to create it in
+ * @param {string[]} installs Install folder names, e.g. `Adobe After Effects 2024`
+ * @returns {string} The `Adobe` folder
+ */
+function createAdobeFolder(root, installs) {
+  const adobe = path.join(root, 'Adobe');
+  for (const name of installs) {
+    fs.mkdirSync(path.join(adobe, name, 'Support Files'), { recursive: true });
+    fs.writeFileSync(path.join(adobe, name, 'Support Files', 'AfterFX.exe'), '');
+  }
+  return adobe;
+}
+
+test('getWindowsAdobeFolders lists each Program Files folder once', () => {
+  const folders = getWindowsAdobeFolders({ ProgramFiles: '/pf', ProgramW6432: '/PF', 'ProgramFiles(x86)': '/pf86' });
+  assert.deepStrictEqual(folders, [path.join('/pf', 'Adobe'), path.join('/pf86', 'Adobe')]);
+});
+
+test('versionFromFolderName maps release years to major versions', () => {
+  assert.strictEqual(versionFromFolderName('Adobe After Effects 2024'), '24');
+  assert.strictEqual(versionFromFolderName('Adobe After Effects CC'), '');
+});
+
+test('discoverWindowsInstallations finds installs in Program Files and the registry', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ae-windows-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const adobe = createAdobeFolder(root, ['Adobe After Effects 2024', 'Adobe After Effects 2025', 'Adobe Photoshop 2025']);
+  fs.mkdirSync(path.join(adobe, 'Adobe After Effects 2023', 'Support Files'), { recursive: true });
+  const registered = createAdobeFolder(path.join(root, 'D'), ['Adobe After Effects 2022']);
+  const versions = { [path.join(adobe, 'Adobe After Effects 2025', 'Support Files', 'AfterFX.exe')]: '25.1.0' };
+
+  const installations = await discoverWindowsInstallations({
+    adobeFolders: [adobe, path.join(root, 'missing')],
+    queryRegistry: async () => [
+      path.join(adobe, 'Adobe After Effects 2024', 'Support Files'),
+      path.join(registered, 'Adobe After Effects 2022', 'Support Files')
+    ],
+    readFileVersion: async (exePath) => versions[exePath] || ''
+  });
+
+  assert.deepStrictEqual(installations, [
+    { name: 'After Effects 2024', version: '24', exePath: path.join(adobe, 'Adobe After Effects 2024', 'Support Files', 'AfterFX.exe') },
+    { name: 'After Effects 2025', version: '25.1.0', exePath: path.join(adobe, 'Adobe After Effects 2025', 'Support Files', 'AfterFX.exe') },
+    { name: 'After Effects 2022', version: '22', exePath: path.join(registered, 'Adobe After Effects 2022', 'Support Files', 'AfterFX.exe') }
+  ]);
+});
+
+test('buildCommand runs the newest installation for auto', async () => {
+  const settings = { winAfterEffectsExe: 'auto', winNoUi: true };
+  const { command, args, launchesHost } = await windowsAfterFxTransport.buildCommand('C:\\runs\\a.jsx', { get: (key) => settings[key] }, {
+    getInstallations: async () => [{ version: '24.6', exePath: 'old.exe' }, { version: '25.0', exePath: 'new.exe' }]
+  });
+  assert.strictEqual(command, 'new.exe');
+  assert.deepStrictEqual(args, ['-noui', '-r', 'C:\\runs\\a.jsx']);
+  assert.strictEqual(launchesHost, true);
+});
@@ -0,0 +1,599 @@
+// After Effects scripting object model.
+// Covers the commonly used API; see the After Effects Scripting Guide for the full reference.
+
+declare var app: Application;
+
+interface Application {
+  /** The open project. */
+  readonly project: Project;
+  /** Version of After Effects, e.g. `24.0x12`. */
+  readonly version: string;
+  readonly buildName: string;
+  readonly buildNumber: number;
+  /** True when running as a watch folder render client. */
+  readonly isWatchFolder: boolean;
+  /** True when running as a render engine. */
+  readonly isRenderEngine: boolean;
+  readonly isoLanguage: string;
+  readonly memoryInUse: number;
+  /** The viewer panel that was last active. */
+  readonly activeViewer: Viewer | null;
+  readonly settings: Settings;
+  readonly preferences: Preferences;
+  /** Called with the error message when a script raises an error. */
+  onError: ((message: string, severity: string) => void) | null;
+  /** Let a script run while the user works with the UI. */
+  exitAfterLaunchAndEval: boolean;
+  exitCode: number;
+  saveProjectOnCrash: boolean;
+
+  /** Start a group of actions that is undone in one step. */
+  beginUndoGroup(undoString: string): void;
+  /** Close the current undo group. */
+  endUndoGroup(): void;
+  /** Suppress dialogs while the script runs. */
+  beginSuppressDialogs(): void;
+  endSuppressDialogs(alert: boolean): void;
+  /** Run a menu command by ID. */
+  executeCommand(id: number): void;
+  /** Look up the ID of a menu command by its English name. */
+  findMenuCommandId(name: string): number;
+  /** Create a new, empty project. */
+  newProject(): Project | null;
+  /** Open a project, or show the open dialog without a file. */
+  open(file?: File): Project | null;
+  quit(): void;
+  /** Run a script after a delay, optionally repeating. Returns a task ID. */
+  scheduleTask(script: string, delay: number, repeat: boolean): number;
+  cancelTask(taskId: number): void;
+  /** Purge caches. */
+  purge(target: PurgeTarget): void;
+  /** Pause or resume rendering in the watch folder. */
+  pauseWatchFolder(pause: boolean): void;
+  setMemoryUsageLimits(imageCachePercentage: number, maximumMemoryPercentage: number): void;
+  setSavePreferencesOnQuit(doSave: boolean): void;
+  activate(): void;
+}
+
+interface Settings {
+  getSetting(section: string, key: string, type?: number): string;
+  haveSetting(section: string, key: string): boolean;
+  saveSetting(section: string, key: string, value: string, type?: number): void;
+}
+
+interface Preferences {
+  getPrefAsBool(section: string, key: string, type?: number): boolean;
+  getPrefAsFloat(section: string, key: string, type?: number): number;
+  getPrefAsLong(section: string, key: string, type?: number): number;
+  getPrefAsString(section: string, key: string, type?: number): string;
+  havePref(section: string, key: string, type?: number): boolean;
+  reload(): void;
+  savePrefAsBool(section: string, key: string, value: boolean, type?: number): void;
+  savePrefAsFloat(section: string, key: string, value: number, type?: number): void;
+  savePrefAsLong(section: string, key: string, value: number, type?: number): void;
+  savePrefAsString(section: string, key: string, value: string, type?: number): void;
+  saveToDisk(): void;
+}
+
+interface Viewer {
+  readonly type: ViewerType;
+  readonly active: boolean;
+  maximized: boolean;
+  setActive(): boolean;
+}
+
+interface Project {
+  /** The project file, or null if never saved. */
+  readonly file: File | null;
+  /** The item selected or shown in the active viewer. */
+  readonly activeItem: Item | null;
+  readonly items: ItemCollection;
+  readonly numItems: number;
+  readonly rootFolder: FolderItem;
+  readonly renderQueue: RenderQueue;
+  /** Items selected in the Project panel. */
+  readonly selection: Item[];
+  readonly dirty: boolean;
+  bitsPerChannel: number;
+  linearBlending: boolean;
+  workingSpace: string;
+  expressionEngine: string;
+  timeDisplayType: TimeDisplayType;
+
+  /** Item at a 1-based index. */
+  item(index: number): Item;
+  /** Item with an ID. */
+  itemByID(id: number): Item | null;
+  save(file?: File): boolean;
+  saveWithDialog(): boolean;
+  close(closeOptions: CloseOptions): boolean;
+  importFile(importOptions: ImportOptions): Item;
+  importFileWithDialog(): Item[] | null;
+  importPlaceholder(name: string, width: number, height: number, frameRate: number, duration: number): PlaceholderItem;
+  consolidateFootage(): number;
+  removeUnusedFootage(): number;
+  reduceProject(items: Item[]): number;
+  showWindow(doShow: boolean): void;
+  autoFixExpressions(oldText: string, newText: string): void;
+}
+
+declare class ImportOptions {
+  constructor(file?: File);
+  file: File;
+  importAs: ImportAsType;
+  sequence: boolean;
+  forceAlphabetical: boolean;
+  rangeStart: number;
+  rangeEnd: number;
+  canImportAs(type: ImportAsType): boolean;
+}
+
+interface ItemCollection {
+  readonly length: number;
+  [index: number]: Item;
+  /** Add a composition to the project. */
+  addComp(name: string, width: number, height: number, pixelAspect: number, duration: number, frameRate: number): CompItem;
+  /** Add a folder to the project. */
+  addFolder(name: string): FolderItem;
+}
+
+interface Item {
+  readonly id: number;
+  readonly typeName: string;
+  name: string;
+  comment: string;
+  label: number;
+  selected: boolean;
+  parentFolder: FolderItem;
+  readonly dynamicLinkGUID: string;
+  remove(): void;
+}
+
+interface FolderItem extends Item {
+  readonly items: ItemCollection;
+  readonly numItems: number;
+  item(index: number): Item;
+}
+
+interface AVItem extends Item {
+  width: number;
+  height: number;
+  pixelAspect: number;
+  frameRate: number;
+  frameDuration: number;
+  duration: number;
+  readonly hasAudio: boolean;
+  readonly hasVideo: boolean;
+  readonly footageMissing: boolean;
+  readonly usedIn: CompItem[];
+  time: number;
+  useProxy: boolean;
+  readonly proxySource: FootageSource | null;
+  setProxy(file: File): void;
+  setProxyToNone(): void;
+}
+
+interface CompItem extends AVItem {
+  readonly layers: LayerCollection;
+  readonly numLayers: number;
+  readonly selectedLayers: Layer[];
+  readonly selectedProperties: PropertyBase[];
+  readonly activeCamera: CameraLayer | null;
+  readonly markerProperty: Property;
+  bgColor: [number, number, number];
+  displayStartTime: number;
+  displayStartFrame: number;
+  dropFrame: boolean;
+  frameBlending: boolean;
+  motionBlur: boolean;
+  draft3d: boolean;
+  hideShyLayers: boolean;
+  preserveNestedFrameRate: boolean;
+  preserveNestedResolution: boolean;
+  resolutionFactor: [number, number];
+  shutterAngle: number;
+  shutterPhase: number;
+  workAreaStart: number;
+  workAreaDuration: number;
+  renderer: string;
+  readonly renderers: string[];
+
+  /** Layer at a 1-based index, or with a name. */
+  layer(index: number): Layer;
+  layer(name: string): Layer;
+  layer(otherLayer: Layer, relIndex: number): Layer;
+  duplicate(): CompItem;
+  openInViewer(): Viewer | null;
+  openInEssentialGraphics(): void;
+  exportAsMotionGraphicsTemplate(doOverWriteFileIfExisting: boolean, file?: string): boolean;
+}
+
+interface FootageItem extends AVItem {
+  readonly file: File | null;
+  readonly mainSource: FootageSource;
+  replace(file: File): void;
+  replaceWithPlaceholder(name: string, width: number, height: number, frameRate: number, duration: number): void;
+  replaceWithSequence(file: File, forceAlphabetical: boolean): void;
+  replaceWithSolid(color: [number, number, number], name: string, width: number, height: number, pixelAspect: number): void;
+  openInViewer(): Viewer | null;
+}
+
+interface PlaceholderItem extends FootageItem {}
+
+interface FootageSource {
+  readonly hasAlpha: boolean;
+  readonly isStill: boolean;
+  alphaMode: number;
+  conformFrameRate: number;
+  readonly displayFrameRate: number;
+  fieldSeparationType: number;
+  loop: number;
+  premulColor: [number, number, number];
+  guessAlphaMode(): void;
+  guessPulldown(method: number): void;
+}
+
+interface SolidSource extends FootageSource {
+  color: [number, number, number];
+}
+
+interface LayerCollection {
+  readonly length: number;
+  [index: number]: Layer;
+  /** Add a layer using a project item as its source. */
+  add(item: AVItem, duration?: number): AVLayer;
+  addBoxText(size: [number, number], sourceText?: string | TextDocument): TextLayer;
+  addCamera(name: string, centerPoint: [number, number]): CameraLayer;
+  addLight(name: string, centerPoint: [number, number]): LightLayer;
+  addNull(duration?: number): AVLayer;
+  addShape(): ShapeLayer;
+  addSolid(color: [number, number, number], name: string, width: number, height: number, pixelAspect: number, duration?: number): AVLayer;
+  addText(sourceText?: string | TextDocument): TextLayer;
+  addVerticalText(sourceText?: string | TextDocument): TextLayer;
+  /** Layer with a name. */
+  byName(name: string): Layer | null;
+  /** Move layers into a new composition. */
+  precompose(layerIndices: number[], name: string, moveAllAttributes?: boolean): CompItem;
+}
+
+interface PropertyBase {
+  readonly name: string;
+  readonly matchName: string;
+  readonly propertyIndex: number;
+  readonly propertyDepth: number;
+  readonly propertyType: PropertyType;
+  readonly parentProperty: PropertyGroup | null;
+  readonly isModified: boolean;
+  readonly canSetEnabled: boolean;
+  readonly active: boolean;
+  readonly elided: boolean;
+  readonly isEffect: boolean;
+  readonly isMask: boolean;
+  enabled: boolean;
+  selected: boolean;
+
+  /** Child property by index or name. */
+  property(indexOrName: number | string): PropertyBase;
+  /** Ancestor at a depth. */
+  propertyGroup(countUp?: number): PropertyGroup;
+  duplicate(): PropertyBase;
+  moveTo(newIndex: number): void;
+  remove(): void;
+}
+
+interface PropertyGroup extends PropertyBase {
+  readonly numProperties: number;
+  addProperty(name: string): PropertyBase;
+  canAddProperty(name: string): boolean;
+  property(indexOrName: number | string): PropertyBase;
+}
+
+interface MaskPropertyGroup extends PropertyGroup {
+  color: [number, number, number];
+  inverted: boolean;
+  locked: boolean;
+  maskMode: MaskMode;
+  maskMotionBlur: number;
+  rotoBezier: boolean;
+}
+
+interface Property extends PropertyBase {
+  /** Value at the current time. */
+  readonly value: any;
+  readonly propertyValueType: PropertyValueType;
+  readonly numKeys: number;
+  readonly selectedKeys: number[];
+  readonly isTimeVarying: boolean;
+  readonly isSpatial: boolean;
+  readonly isSeparationFollower: boolean;
+  readonly isSeparationLeader: boolean;
+  readonly canVaryOverTime: boolean;
+  readonly canSetExpression: boolean;
+  readonly hasMin: boolean;
+  readonly hasMax: boolean;
+  readonly minValue: number;
+  readonly maxValue: number;
+  readonly unitsText: string;
+  readonly expressionError: string;
+  readonly isDropdownEffect: boolean;
+  expression: string;
+  expressionEnabled: boolean;
+  dimensionsSeparated: boolean;
+
+  setValue(value: any): void;
+  valueAtTime(time: number, preExpression: boolean): any;
+  setValueAtTime(time: number, value: any): void;
+  setValuesAtTimes(times: number[], values: any[]): void;
+  setValueAtKey(keyIndex: number, value: any): void;
+  addKey(time: number): number;
+  removeKey(keyIndex: number): void;
+  nearestKeyIndex(time: number): number;
+  keyTime(keyIndex: number): number;
+  keyTime(markerComment: string): number;
+  keyValue(keyIndex: number): any;
+  keySelected(keyIndex: number): boolean;
+  setSelectedAtKey(keyIndex: number, onOff: boolean): void;
+  keyInInterpolationType(keyIndex: number): KeyframeInterpolationType;
+  keyOutInterpolationType(keyIndex: number): KeyframeInterpolationType;
+  setInterpolationTypeAtKey(keyIndex: number, inType: KeyframeInterpolationType, outType?: KeyframeInterpolationType): void;
+  keyInTemporalEase(keyIndex: number): KeyframeEase[];
+  keyOutTemporalEase(keyIndex: number): KeyframeEase[];
+  setTemporalEaseAtKey(keyIndex: number, inTemporalEase: KeyframeEase[], outTemporalEase?: KeyframeEase[]): void;
+  setSpatialTangentsAtKey(keyIndex: number, inTangent: number[], outTangent?: number[]): void;
+  getSeparationFollower(dim: number): Property;
+  setPropertyParameters(items: string[]): Property;
+}
+
+declare class KeyframeEase {
+  constructor(speed: number, influence: number);
+  speed: number;
+  influence: number;
+}
+
+declare class MarkerValue {
+  constructor(comment: string, chapter?: string, url?: string, frameTarget?: string, cuePointName?: string, params?: object);
+  comment: string;
+  chapter: string;
+  cuePointName: string;
+  duration: number;
+  eventCuePoint: boolean;
+  frameTarget: string;
+  label: number;
+  protectedRegion: boolean;
+  url: string;
+  getParameters(): object;
+  setParameters(params: object): void;
+}
+
+declare class Shape {
+  constructor();
+  closed: boolean;
+  vertices: number[][];
+  inTangents: number[][];
+  outTangents: number[][];
+  featherSegLocs: number[];
+  featherRelSegLocs: number[];
+  featherRadii: number[];
+}
+
+declare class TextDocument {
+  constructor(text: string);
+  text: string;
+  font: string;
+  fontSize: number;
+  fillColor: [number, number, number];
+  strokeColor: [number, number, number];
+  applyFill: boolean;
+  applyStroke: boolean;
+  strokeWidth: number;
+  justification: ParagraphJustification;
+  tracking: number;
+  leading: number;
+  allCaps: boolean;
+  smallCaps: boolean;
+  fauxBold: boolean;
+  fauxItalic: boolean;
+  readonly boxText: boolean;
+  boxTextSize: [number, number];
+  readonly pointText: boolean;
+  resetCharStyle(): void;
+  resetParagraphStyle(): void;
+}
+
+interface Layer extends PropertyGroup {
+  readonly index: number;
+  readonly containingComp: CompItem;
+  readonly hasVideo: boolean;
+  readonly isNameSet: boolean;
+  readonly nullLayer: boolean;
+  readonly selectedProperties: PropertyBase[];
+  readonly time: number;
+  readonly id: number;
+  readonly marker: Property;
+  /** Transform group with anchorPoint, position, scale, rotation and opacity. */
+  readonly transform: PropertyGroup & {
+    anchorPoint: Property;
+    position: Property;
+    xPosition: Property;
+    yPosition: Property;
+    zPosition: Property;
+    scale: Property;
+    rotation: Property;
+    xRotation: Property;
+    yRotation: Property;
+    zRotation: Property;
+    orientation: Property;
+    opacity: Property;
+  };
+  name: string;
+  comment: string;
+  label: number;
+  enabled: boolean;
+  locked: boolean;
+  shy: boolean;
+  solo: boolean;
+  inPoint: number;
+  outPoint: number;
+  startTime: number;
+  stretch: number;
+  parent: Layer | null;
+  autoOrient: AutoOrientType;
+
+  activeAtTime(time: number): boolean;
+  applyPreset(presetName: File): void;
+  copyToComp(intoComp: CompItem): void;
+  duplicate(): Layer;
+  moveAfter(layer: Layer): void;
+  moveBefore(layer: Layer): void;
+  moveToBeginning(): void;
+  moveToEnd(): void;
+  remove(): void;
+  setParentWithJump(newParent?: Layer): void;
+}
+
+interface AVLayer extends Layer {
+  readonly source: AVItem;
+  readonly width: number;
+  readonly height: number;
+  readonly audioActive: boolean;
+  readonly canSetCollapseTransformation: boolean;
+  readonly canSetTimeRemapEnabled: boolean;
+  readonly hasAudio: boolean;
+  readonly hasTrackMatte: boolean;
+  readonly isTrackMatte: boolean;
+  readonly frameBlending: boolean;
+  readonly isNameFromSource: boolean;
+  adjustmentLayer: boolean;
+  audioEnabled: boolean;
+  blendingMode: BlendingMode;
+  collapseTransformation: boolean;
+  effectsActive: boolean;
+  environmentLayer: boolean;
+  frameBlendingType: number;
+  guideLayer: boolean;
+  motionBlur: boolean;
+  preserveTransparency: boolean;
+  quality: LayerQuality;
+  threeDLayer: boolean;
+  threeDPerChar: boolean;
+  timeRemapEnabled: boolean;
+  trackMatteType: TrackMatteType;
+  readonly trackMatteLayer: AVLayer | null;
+  /** Effects applied to the layer. */
+  readonly effect: PropertyGroup;
+  /** Masks of the layer. */
+  readonly mask: PropertyGroup;
+
+  audioActiveAtTime(time: number): boolean;
+  calculateTransformFromPoints(pointTopLeft: number[], pointTopRight: number[], pointBottomRight: number[]): object;
+  replaceSource(newSource: AVItem, fixExpressions: boolean): void;
+  setTrackMatte(trackMatteLayer: AVLayer | null, trackMatteType: TrackMatteType): void;
+  removeTrackMatte(): void;
+  sourceRectAtTime(timeT: number, extents: boolean): { top: number; left: number; width: number; height: number };
+  openInViewer(): Viewer | null;
+}
+
+interface TextLayer extends AVLayer {
+  /** Text group; `text.sourceText` holds the TextDocument. */
+  readonly text: PropertyGroup & { sourceText: Property };
+}
+
+interface ShapeLayer extends AVLayer {
+  /** Root vectors group holding the layer's shape contents. */
+  readonly content: PropertyGroup;
+}
+
+interface CameraLayer extends Layer {
+  readonly cameraOption: PropertyGroup;
+}
+
+interface LightLayer extends Layer {
+  lightType: LightType;
+  readonly lightOption: PropertyGroup;
+}
+
+interface RenderQueue {
+  readonly items: RQItemCollection;
+  readonly numItems: number;
+  readonly rendering: boolean;
+  readonly canQueueInAME: boolean;
+  readonly queueNotify: boolean;
+  item(index: number): RenderQueueItem;
+  render(): void;
+  pauseRendering(pause: boolean): void;
+  stopRendering(): void;
+  showWindow(doShow: boolean): void;
+  queueInAME(renderImmediately: boolean): void;
+}
+
+interface RQItemCollection {
+  readonly length: number;
+  [index: number]: RenderQueueItem;
+  add(comp: CompItem): RenderQueueItem;
+}
+
+interface RenderQueueItem {
+  readonly comp: CompItem;
+  readonly elapsedSeconds: number | null;
+  readonly numOutputModules: number;
+  readonly outputModules: OMCollection;
+  readonly startTime: number | null;
+  readonly templates: string[];
+  render: boolean;
+  skipFrames: number;
+  status: RQItemStatus;
+  timeSpanDuration: number;
+  timeSpanStart: number;
+  logType: LogType;
+  onStatusChanged: (() => void) | null;
+  applyTemplate(templateName: string): void;
+  duplicate(): RenderQueueItem;
+  getSetting(key: string): any;
+  getSettings(format?: GetSettingsFormat): object;
+  outputModule(index: number): OutputModule;
+  remove(): void;
+  saveAsTemplate(name: string): void;
+  setSetting(key: string, value: any): void;
+  setSettings(settings: object): void;
+}
+
+interface OMCollection {
+  readonly length: number;
+  [index: number]: OutputModule;
+  add(): OutputModule;
+}
+
+interface OutputModule {
+  file: File;
+  readonly name: string;
+  readonly templates: string[];
+  includeSourceXMP: boolean;
+  postRenderAction: PostRenderAction;
+  applyTemplate(templateName: string): void;
+  getSetting(key: string): any;
+  getSettings(format?: GetSettingsFormat): object;
+  remove(): void;
+  saveAsTemplate(name: string): void;
+  setSetting(key: string, value: any): void;
+  setSettings(settings: object): void;
+}
+
+declare enum BlendingMode { NORMAL, DISSOLVE, DANCING_DISSOLVE, DARKEN, MULTIPLY, COLOR_BURN, LINEAR_BURN, DARKER_COLOR, ADD, LIGHTEN, SCREEN, COLOR_DODGE, LINEAR_DODGE, LIGHTER_COLOR, OVERLAY, SOFT_LIGHT, HARD_LIGHT, LINEAR_LIGHT, VIVID_LIGHT, PIN_LIGHT, HARD_MIX, DIFFERENCE, EXCLUSION, SUBTRACT, DIVIDE, HUE, SATURATION, COLOR, LUMINOSITY, STENCIL_ALPHA, STENCIL_LUMA, SILHOUETE_ALPHA, SILHOUETTE_LUMA, ALPHA_ADD, LUMINESCENT_PREMUL }
+declare enum KeyframeInterpolationType { LINEAR, BEZIER, HOLD }
+declare enum PropertyValueType { NO_VALUE, ThreeD_SPATIAL, ThreeD, TwoD_SPATIAL, TwoD, OneD, COLOR, CUSTOM_VALUE, MARKER, LAYER_INDEX, MASK_INDEX, SHAPE, TEXT_DOCUMENT }
+declare enum PropertyType { PROPERTY, INDEXED_GROUP, NAMED_GROUP }
+declare enum MaskMode { NONE, ADD, SUBTRACT, INTERSECT, LIGHTEN, DARKEN, DIFFERENCE }
+declare enum TrackMatteType { ALPHA, ALPHA_INVERTED, LUMA, LUMA_INVERTED, NO_TRACK_MATTE }
+declare enum LayerQuality { BEST, DRAFT, WIREFRAME }
+declare enum LightType { PARALLEL, SPOT, POINT, AMBIENT }
+declare enum AutoOrientType { ALONG_PATH, CAMERA_OR_POINT_OF_INTEREST, CHARACTERS_TOWARD_CAMERA, NO_AUTO_ORIENT }
+declare enum ParagraphJustification { LEFT_JUSTIFY, RIGHT_JUSTIFY, CENTER_JUSTIFY, FULL_JUSTIFY_LASTLINE_LEFT, FULL_JUSTIFY_LASTLINE_RIGHT, FULL_JUSTIFY_LASTLINE_CENTER, FULL_JUSTIFY_LASTLINE_FULL }
+declare enum CloseOptions { DO_NOT_SAVE_CHANGES, PROMPT_TO_SAVE_CHANGES, SAVE_CHANGES }
+declare enum ImportAsType { COMP_CROPPED_LAYERS, FOOTAGE, COMP, PROJECT }
+declare enum PurgeTarget { ALL_CACHES, UNDO_CACHES, SNAPSHOT_CACHES, IMAGE_CACHES }
+declare enum TimeDisplayType { FRAMES, TIMECODE }
+declare enum ViewerType { VIEWER_COMPOSITION, VIEWER_LAYER, VIEWER_FOOTAGE }
+declare enum RQItemStatus { WILL_CONTINUE, NEEDS_OUTPUT, UNQUEUED, QUEUED, RENDERING, USER_STOPPED, ERR_STOPPED, DONE }
+declare enum LogType { ERRORS_ONLY, ERRORS_AND_SETTINGS, ERRORS_AND_PER_FRAME_INFO }
+declare enum GetSettingsFormat { STRING, STRING_SETTABLE, NUMBER, NUMBER_SETTABLE, SPEC }
+declare enum PostRenderAction { NONE, IMPORT, IMPORT_AND_REPLACE_USAGE, SET_PROXY }
@@ -0,0 +1,226 @@
+// ExtendScript core: the $ helper, File and Folder, Socket and global functions.
+// Covers the commonly used API; see the JavaScript Tools Guide for the full reference.
+
+interface Dollar {
+  /** Global object of the engine. */
+  readonly global: any;
+  /** Path of the script being executed. */
+  readonly fileName: string;
+  /** Line currently being executed. */
+  readonly line: number;
+  /** Operating system description. */
+  readonly os: string;
+  /** ExtendScript version. */
+  readonly version: string;
+  /** Name of the engine the script runs in. */
+  readonly engineName: string;
+  /** Current locale, e.g. `en_US`. */
+  locale: string;
+  /** Debug level: 0 no debugging, 1 break on runtime errors, 2 full debug mode. */
+  level: number;
+  /** Last error, or `undefined`. */
+  error: Error;
+  /** Microseconds since the timer was last read. Reading it resets the timer. */
+  readonly hiresTimer: number;
+  /** Source of the include paths used by `#include`. */
+  includePath: string;
+
+  /** Write to the console of the attached debugger. */
+  write(...text: any[]): void;
+  /** Write a line to the console of the attached debugger. */
+  writeln(...text: any[]): void;
+  /** Evaluate a script file and return its result. */
+  evalFile(file: File | string, timeout?: number): any;
+  /** Run the garbage collector. */
+  gc(): void;
+  /** Suspend execution for a number of milliseconds. */
+  sleep(milliseconds: number): void;
+  /** Stop in the debugger. */
+  bp(condition?: string): void;
+  /** Get the value of an environment variable. */
+  getenv(name: string): string | null;
+  /** Set an environment variable. */
+  setenv(name: string, value: string): void;
+  /** Current call stack. */
+  stack: string;
+}
+
+declare var $: Dollar;
+
+declare class File {
+  /** Create a file object. The file itself is not created until it is written. */
+  constructor(path?: string);
+
+  /** Absolute URI of the file. */
+  readonly absoluteURI: string;
+  /** Platform-specific full path. */
+  readonly fsName: string;
+  /** Full path in URI notation. */
+  readonly fullName: string;
+  /** File name, URI encoded. */
+  readonly name: string;
+  /** Localized, unencoded file name. */
+  readonly displayName: string;
+  /** Path of the parent folder. */
+  readonly path: string;
+  /** Parent folder. */
+  readonly parent: Folder;
+  /** True if the file exists. */
+  readonly exists: boolean;
+  /** Creation date. */
+  readonly created: Date;
+  /** Last modification date. */
+  readonly modified: Date;
+  /** True after reading past the end of the file. */
+  readonly eof: boolean;
+  /** Message of the last failed file system operation. */
+  error: string;
+  /** Character encoding, e.g. `UTF-8` or `BINARY`. */
+  encoding: string;
+  /** Line feed style: `Windows`, `Macintosh` or `Unix`. */
+  lineFeed: string;
+  /** Size in bytes. */
+  length: number;
+  /** True if the file is read-only. */
+  readonly: boolean;
+  /** True if the file is hidden. */
+  hidden: boolean;
+
+  /** Open the file. Mode is `r` (read), `w` (write), `e` (edit) or `a` (append). */
+  open(mode: string, type?: string, creator?: string): boolean;
+  /** Close the file. */
+  close(): boolean;
+  /** Read characters, or the rest of the file. */
+  read(chars?: number): string;
+  /** Read one line. */
+  readln(): string;
+  /** Read a single character. */
+  readch(): string;
+  /** Write text. */
+  write(...text: any[]): boolean;
+  /** Write text followed by a line feed. */
+  writeln(...text: any[]): boolean;
+  /** Move the read/write position. Mode 0 is absolute, 1 relative, 2 from the end. */
+  seek(pos: number, mode?: number): boolean;
+  /** Current read/write position. */
+  tell(): number;
+  /** Copy the file. */
+  copy(target: File | string): boolean;
+  /** Delete the file. */
+  remove(): boolean;
+  /** Rename the file within its folder. */
+  rename(newName: string): boolean;
+  /** Open the file with its default application. */
+  execute(): boolean;
+  /** Show an open dialog starting at this file. */
+  openDlg(prompt?: string, filter?: any, multiSelect?: boolean): File | File[] | null;
+  /** Show a save dialog starting at this file. */
+  saveDlg(prompt?: string, filter?: any): File | null;
+  /** Path relative to a base path. */
+  getRelativeURI(basePath?: string): string;
+  /** Resolve an alias or shortcut. */
+  resolve(): File | null;
+
+  /** Show a file open dialog. */
+  static openDialog(prompt?: string, filter?: any, multiSelect?: boolean): File | File[] | null;
+  /** Show a file save dialog. */
+  static saveDialog(prompt?: string, filter?: any): File | null;
+  /** Decode a URI-encoded string. */
+  static decode(uri: string): string;
+  /** URI-encode a string. */
+  static encode(name: string): string;
+  /** Platform the file system belongs to: `Windows`, `Macintosh` or `Unix`. */
+  static readonly fs: string;
+}
+
+declare class Folder {
+  /** Create a folder object. The folder itself is not created until `create` is called. */
+  constructor(path?: string);
+
+  readonly absoluteURI: string;
+  readonly fsName: string;
+  readonly fullName: string;
+  readonly name: string;
+  readonly displayName: string;
+  readonly path: string;
+  readonly parent: Folder;
+  readonly exists: boolean;
+  readonly created: Date;
+  readonly modified: Date;
+  error: string;
+
+  /** Create the folder and any missing parents. */
+  create(): boolean;
+  /** List the files and folders, optionally matching a mask or filter function. */
+  getFiles(mask?: string | ((item: File | Folder) => boolean)): Array<File | Folder>;
+  /** Delete the folder. It must be empty. */
+  remove(): boolean;
+  rename(newName: string): boolean;
+  execute(): boolean;
+  getRelativeURI(basePath?: string): string;
+  resolve(): Folder | null;
+  /** Show a folder selection dialog starting at this folder. */
+  selectDlg(prompt?: string): Folder | null;
+
+  /** Show a folder selection dialog. */
+  static selectDialog(prompt?: string): Folder | null;
+  static decode(uri: string): string;
+  static encode(name: string): string;
+  /** Current working folder. */
+  static current: Folder;
+  static readonly appData: Folder;
+  static readonly appPackage: Folder;
+  static readonly commonFiles: Folder;
+  static readonly desktop: Folder;
+  static readonly myDocuments: Folder;
+  static readonly startup: Folder;
+  static readonly system: Folder;
+  static readonly temp: Folder;
+  static readonly trash: Folder;
+  static readonly userData: Folder;
+  static readonly fs: string;
+}
+
+declare class Socket {
+  constructor();
+  readonly connected: boolean;
+  readonly eof: boolean;
+  readonly host: string;
+  encoding: string;
+  timeout: number;
+  error: string;
+  /** Connect to `host:port`. */
+  open(host: string, encoding?: string): boolean;
+  /** Listen for connections on a port. */
+  listen(port: number, encoding?: string): boolean;
+  /** Accept a pending connection, or return null. */
+  poll(): Socket | null;
+  read(count?: number): string;
+  readln(): string;
+  write(...text: any[]): boolean;
+  writeln(...text: any[]): boolean;
+  close(): boolean;
+}
+
+/** Show a message box. */
+declare function alert(message: string, title?: string, errorIcon?: boolean): void;
+/** Ask a yes/no question. */
+declare function confirm(message: string, noAsDefault?: boolean, title?: string): boolean;
+/** Ask for a line of text. Returns null when cancelled. */
+declare function prompt(message: string, preset?: string, title?: string): string | null;
+/** Check whether an object is still valid, e.g. a layer that may have been deleted. */
+declare function isValid(obj: any): boolean;
+/** Localize a string or ZString. */
+declare function localize(text: string | object, ...args: any[]): string;
+/** Write to the debugger console; ExtendScript alias of `$.write`. */
+declare function write(...text: any[]): void;
+/** Write a line to the debugger console; ExtendScript alias of `$.writeln`. */
+declare function writeln(...text: any[]): void;
+
+interface Object {
+  /** Serialize the object as source code (ExtendScript extension). */
+  toSource(): string;
+  /** Watch a property for changes (ExtendScript extension). */
+  watch(name: string, handler: (name: string, oldValue: any, newValue: any) => any): void;
+  unwatch(name: string): void;
+}
@@ -0,0 +1,217 @@
+// ScriptUI: windows, panels and controls for script user interfaces.
+// Covers the commonly used API; see the JavaScript Tools Guide for the full reference.
+
+type ControlType = 'button' | 'checkbox' | 'dropdownlist' | 'edittext' | 'flashplayer' | 'group' | 'iconbutton'
+  | 'image' | 'listbox' | 'panel' | 'progressbar' | 'radiobutton' | 'scrollbar' | 'slider' | 'statictext'
+  | 'tab' | 'tabbedpanel' | 'treeview';
+
+type Bounds = [number, number, number, number] | { x: number; y: number; width: number; height: number };
+type Dimension = [number, number] | { width: number; height: number };
+type Alignment = string | [string, string];
+
+interface ScriptUIEvent {
+  readonly type: string;
+  readonly target: any;
+  readonly keyName?: string;
+  preventDefault(): void;
+  stopPropagation(): void;
+}
+
+interface Control {
+  /** Type of the control, e.g. `button`. */
+  readonly type: string;
+  /** Parent container. */
+  readonly parent: Container;
+  /** Window containing the control. */
+  readonly window: Window;
+  /** Properties passed when the control was created. */
+  properties: any;
+  text: string;
+  helpTip: string;
+  enabled: boolean;
+  visible: boolean;
+  active: boolean;
+  bounds: Bounds;
+  size: Dimension;
+  preferredSize: Dimension;
+  minimumSize: Dimension;
+  maximumSize: Dimension;
+  location: [number, number];
+  alignment: Alignment;
+  graphics: any;
+  justify: string;
+  /** Called when the user changes the value of the control. */
+  onChange: () => void;
+  /** Called repeatedly while the user changes the value, e.g. drags a slider. */
+  onChanging: () => void;
+  /** Called when the control is clicked. */
+  onClick: () => void;
+  onDraw: (drawState: any) => void;
+  onActivate: () => void;
+  onDeactivate: () => void;
+  addEventListener(type: string, handler: (event: ScriptUIEvent) => void, capture?: boolean): void;
+  removeEventListener(type: string, handler: (event: ScriptUIEvent) => void, capture?: boolean): void;
+  notify(event?: string): void;
+  show(): void;
+  hide(): void;
+}
+
+interface ListItem {
+  text: string;
+  index: number;
+  selected: boolean;
+  checked: boolean;
+  expanded: boolean;
+  image: any;
+  readonly items: ListItem[];
+  readonly parent: any;
+}
+
+interface ListControl extends Control {
+  readonly items: ListItem[];
+  selection: ListItem | number | null;
+  add(type: 'item' | 'separator' | 'node', text?: string, index?: number): ListItem;
+  remove(item: ListItem | number | string): void;
+  removeAll(): void;
+  find(text: string): ListItem | null;
+}
+
+interface Button extends Control {}
+interface IconButton extends Control { image: any; }
+interface Image extends Control { image: any; }
+interface StaticText extends Control {}
+interface EditText extends Control { textselection: string; }
+interface Checkbox extends Control { value: boolean; }
+interface RadioButton extends Control { value: boolean; }
+interface Slider extends Control { value: number; minvalue: number; maxvalue: number; }
+interface Scrollbar extends Slider { stepdelta: number; jumpdelta: number; }
+interface Progressbar extends Control { value: number; minvalue: number; maxvalue: number; }
+interface DropDownList extends ListControl {}
+interface ListBox extends ListControl {}
+interface TreeView extends ListControl {}
+
+interface Container extends Control {
+  readonly children: Control[];
+  orientation: 'row' | 'column' | 'stack';
+  alignChildren: Alignment;
+  margins: number | [number, number, number, number];
+  spacing: number;
+  readonly layout: { layout(recalculate?: boolean): void; resize(): void };
+
+  add(type: 'button', bounds?: Bounds, text?: string, properties?: any): Button;
+  add(type: 'checkbox', bounds?: Bounds, text?: string, properties?: any): Checkbox;
+  add(type: 'dropdownlist', bounds?: Bounds, items?: string[], properties?: any): DropDownList;
+  add(type: 'edittext', bounds?: Bounds, text?: string, properties?: any): EditText;
+  add(type: 'group', bounds?: Bounds, properties?: any): Group;
+  add(type: 'iconbutton', bounds?: Bounds, icon?: any, properties?: any): IconButton;
+  add(type: 'image', bounds?: Bounds, icon?: any, properties?: any): Image;
+  add(type: 'listbox', bounds?: Bounds, items?: string[], properties?: any): ListBox;
+  add(type: 'panel', bounds?: Bounds, text?: string, properties?: any): Panel;
+  add(type: 'progressbar', bounds?: Bounds, value?: number, maxvalue?: number, properties?: any): Progressbar;
+  add(type: 'radiobutton', bounds?: Bounds, text?: string, properties?: any): RadioButton;
+  add(type: 'scrollbar', bounds?: Bounds, value?: number, minvalue?: number, maxvalue?: number, properties?: any): Scrollbar;
+  add(type: 'slider', bounds?: Bounds, value?: number, minvalue?: number, maxvalue?: number, properties?: any): Slider;
+  add(type: 'statictext', bounds?: Bounds, text?: string, properties?: any): StaticText;
+  add(type: 'tab', bounds?: Bounds, text?: string, properties?: any): Panel;
+  add(type: 'tabbedpanel', bounds?: Bounds, text?: string, properties?: any): Panel;
+  add(type: 'treeview', bounds?: Bounds, items?: string[], properties?: any): TreeView;
+  /** Add controls from a resource specification string. */
+  add(resource: string): any;
+  remove(control: Control | number | string): void;
+  /** Find a child control by name. */
+  findElement(name: string): Control | null;
+}
+
+interface Group extends Container {}
+
+declare class Panel implements Container {
+  readonly type: string;
+  readonly parent: Container;
+  readonly window: Window;
+  readonly children: Control[];
+  readonly layout: { layout(recalculate?: boolean): void; resize(): void };
+  properties: any;
+  text: string;
+  helpTip: string;
+  enabled: boolean;
+  visible: boolean;
+  active: boolean;
+  bounds: Bounds;
+  size: Dimension;
+  preferredSize: Dimension;
+  minimumSize: Dimension;
+  maximumSize: Dimension;
+  location: [number, number];
+  alignment: Alignment;
+  graphics: any;
+  justify: string;
+  orientation: 'row' | 'column' | 'stack';
+  alignChildren: Alignment;
+  margins: number | [number, number, number, number];
+  spacing: number;
+  onChange: () => void;
+  onChanging: () => void;
+  onClick: () => void;
+  onDraw: (drawState: any) => void;
+  onActivate: () => void;
+  onDeactivate: () => void;
+  onResize: () => void;
+  onResizing: () => void;
+  add: Container['add'];
+  remove(control: Control | number | string): void;
+  findElement(name: string): Control | null;
+  addEventListener(type: string, handler: (event: ScriptUIEvent) => void, capture?: boolean): void;
+  removeEventListener(type: string, handler: (event: ScriptUIEvent) => void, capture?: boolean): void;
+  notify(event?: string): void;
+  show(): void;
+  hide(): void;
+}
+
+declare class Window extends Panel {
+  /**
+   * Create a window. Type is `dialog`, `palette` or `window`, or a resource
+   * specification string.
+   */
+  constructor(type: string, title?: string, bounds?: Bounds, properties?: any);
+
+  /** Button activated by Enter in dialogs. */
+  defaultElement: Button;
+  /** Button activated by Escape in dialogs. */
+  cancelElement: Button;
+  frameBounds: Bounds;
+  frameLocation: [number, number];
+  frameSize: Dimension;
+  maximized: boolean;
+  minimized: boolean;
+  opacity: number;
+
+  /** Show the window. Dialogs return the value passed to `close`. */
+  show(): any;
+  /** Close the window, returning `result` from `show` for dialogs. */
+  close(result?: any): void;
+  /** Center the window on its parent or the screen. */
+  center(window?: Window): void;
+  update(): void;
+  onClose: () => boolean | void;
+  onShow: () => void;
+  onMove: () => void;
+  onMoving: () => void;
+
+  static alert(message: string, title?: string, errorIcon?: boolean): void;
+  static confirm(message: string, noAsDefault?: boolean, title?: string): boolean;
+  static prompt(message: string, preset?: string, title?: string): string | null;
+  static find(type: string, title: string): Window | null;
+}
+
+declare var ScriptUI: {
+  readonly version: string;
+  readonly environment: any;
+  readonly FontStyle: { BOLD: number; BOLDITALIC: number; ITALIC: number; REGULAR: number };
+  readonly Alignment: { BOTTOM: number; CENTER: number; FILL: number; LEFT: number; RIGHT: number; TOP: number };
+  /** Create a font object. */
+  newFont(name: string, style?: string | number, size?: number): any;
+  /** Create an image object from a file or embedded image data. */
+  newImage(normal: string | File, disabled?: string | File, pressed?: string | File, rollover?: string | File): any;
+  /** Look up a ScriptUI event by name. */
+  events: any;
+};